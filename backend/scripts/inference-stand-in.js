@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Local stand-in for the inference server used by HttpInferenceDetector.
+//   node scripts/inference-stand-in.js [--port 8500] [--delay-ms 0] [--fail-rate 0]
+//
+// Answers POST / with detections derived from a hash of the request body, so
+// the same image always gets the same boxes. --fail-rate (0..1) answers that
+// share of requests with 503 and --delay-ms slows every answer down, to
+// exercise retries, timeouts and the circuit breaker.
+const http = require('http');
+const crypto = require('crypto');
+
+const option = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? Number(process.argv[index + 1]) : fallback;
+};
+
+const port = option('port', Number(process.env.PORT) || 8500);
+const delayMs = option('delay-ms', 0);
+const failRate = option('fail-rate', 0);
+
+const LABELS = ['car', 'car', 'truck', 'bus', 'person', 'motorcycle', 'van', 'traffic light'];
+const WIDTH = 1920;
+const HEIGHT = 1080;
+
+// Each detection uses five bytes of the digest: label, x, y, width, score
+const predict = (body) => {
+  const digest = crypto.createHash('sha256').update(body).digest();
+  const count = 1 + (digest[0] % 5);
+  const detections = [];
+  for (let i = 0; i < count; i++) {
+    const [label, x, y, size, score] = digest.subarray(1 + i * 5, 6 + i * 5);
+    const width = 120 + size * 2;
+    const height = Math.round(width * 0.6);
+    const x1 = Math.round((x / 255) * (WIDTH - width));
+    const y1 = Math.round((y / 255) * (HEIGHT - height));
+    detections.push({
+      label: LABELS[label % LABELS.length],
+      score: Math.round((0.5 + (score / 255) * 0.49) * 100) / 100,
+      bbox: [x1, y1, x1 + width, y1 + height]
+    });
+  }
+  return {
+    model: { name: 'stand-in', version: '0.1.0', algorithm: 'Inference stand-in (content hash)' },
+    image: { width: WIDTH, height: HEIGHT },
+    detections
+  };
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'POST an image' }));
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    setTimeout(() => {
+      if (Math.random() < failRate) {
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Simulated failure' }));
+        return;
+      }
+      const parameters = JSON.parse(req.headers['x-inference-parameters'] || '{}');
+      const filename = decodeURIComponent(req.headers['x-filename'] || '');
+      console.log(`Predicting ${filename || 'upload'} (${Buffer.concat(chunks).length} bytes)`, parameters);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(predict(Buffer.concat(chunks))));
+    }, delayMs);
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Inference stand-in listening on http://localhost:${port}`);
+});
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Maintenance commands for the local data store.
+//   node src/cli <command> [options]
+require('dotenv').config();
+
+const commands = {
+  migrate: require('./migrate'),
+  snapshot: require('./snapshot'),
+  trash: require('./trash'),
+  'integrity-check': require('./integrityCheck')
+};
+
+// Minimal flag parser: --flag, --key=value, --key value and positionals
+const parseArgs = (argv) => {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+
+    const [key, inlineValue] = arg.slice(2).split('=');
+    const name = key.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    if (inlineValue !== undefined) {
+      args[name] = inlineValue;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      args[name] = argv[++i];
+    } else {
+      args[name] = true;
+    }
+  }
+  return args;
+};
+
+const printUsage = () => {
+  console.log('Usage: node src/cli <command> [options]\n');
+  console.log('Commands:');
+  Object.entries(commands).forEach(([name, command]) => {
+    console.log(`  ${command.usage.padEnd(40)} ${command.description}`);
+  });
+};
+
+const main = async () => {
+  const [name, ...rest] = process.argv.slice(2);
+  const command = commands[name];
+
+  if (!command) {
+    printUsage();
+    process.exitCode = name && name !== 'help' ? 1 : 0;
+    return;
+  }
+
+  process.exitCode = (await command.run(parseArgs(rest))) || 0;
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
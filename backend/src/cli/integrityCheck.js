@@ -0,0 +1,28 @@
+const dataService = require('../services/dataService');
+const { checkIntegrity } = require('../services/integrityService');
+
+module.exports = {
+  usage: 'integrity-check [--repair] [--json]',
+  description: 'Report (and repair) dangling references and orphaned files',
+
+  async run(args) {
+    try {
+      const report = await checkIntegrity({ repair: Boolean(args.repair) });
+      if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        report.problems.forEach(problem => {
+          const status = problem.repaired === undefined ? '' : (problem.repaired ? ' [repaired]' : ' [not repaired]');
+          console.log(`  ${problem.type}: ${problem.message}${status}`);
+        });
+        console.log(report.ok
+          ? 'No integrity problems found'
+          : `${report.problems.length} problem(s) found, ${report.repaired} repaired`);
+      }
+      // Exit non-zero while unrepaired problems remain
+      return report.problems.length === report.repaired ? 0 : 2;
+    } finally {
+      await dataService.adapter.close();
+    }
+  }
+};
@@ -0,0 +1,23 @@
+const { COLLECTIONS, createStorageAdapter } = require('../services/storage');
+const { migrate, formatMigrationReport } = require('../services/migrationService');
+
+module.exports = {
+  usage: 'migrate [--dry-run] [--json]',
+  description: 'Upgrade stored data to the current schema versions',
+
+  async run(args) {
+    const adapter = createStorageAdapter();
+    try {
+      await adapter.init(COLLECTIONS);
+      const report = await migrate(adapter, {
+        collections: COLLECTIONS,
+        dryRun: Boolean(args.dryRun)
+      });
+
+      console.log(args.json ? JSON.stringify(report, null, 2) : formatMigrationReport(report));
+      return 0;
+    } finally {
+      await adapter.close();
+    }
+  }
+};
@@ -0,0 +1,70 @@
+const dataService = require('../services/dataService');
+const snapshotService = require('../services/snapshotService');
+
+// Restoring while the API server is running leaves its cache stale; restore
+// through POST /api/admin/snapshots/:id/restore instead, or restart the server.
+const subcommands = {
+  async create(args) {
+    const manifest = await snapshotService.createSnapshot({ label: args.label || null });
+    console.log(`Created ${manifest.id}: ${manifest.files.length} file(s)`);
+    if (manifest.missingFiles.length > 0) {
+      console.log(`Warning: ${manifest.missingFiles.length} upload(s) had no file on disk`);
+    }
+    return 0;
+  },
+
+  async list() {
+    const snapshots = await snapshotService.listSnapshots();
+    if (snapshots.length === 0) {
+      console.log('No snapshots found');
+    }
+    snapshots.forEach(snapshot => {
+      const records = Object.entries(snapshot.records).map(([name, count]) => `${name}=${count}`).join(' ');
+      const label = snapshot.label ? ` "${snapshot.label}"` : '';
+      console.log(`${snapshot.id}  ${snapshot.createdAt}${label}  ${records} files=${snapshot.files}`);
+    });
+    return 0;
+  },
+
+  async verify(args) {
+    const verification = await snapshotService.verifySnapshot(args._[1]);
+    verification.problems.forEach(problem => console.log(`  - ${problem}`));
+    console.log(verification.ok
+      ? `${verification.id} OK (${verification.checkedFiles} file(s) checked)`
+      : `${verification.id} FAILED with ${verification.problems.length} problem(s)`);
+    return verification.ok ? 0 : 2;
+  },
+
+  async restore(args) {
+    const result = await snapshotService.restoreSnapshot(args._[1], { force: Boolean(args.force) });
+    console.log(`Restored ${result.id}; previous state saved as ${result.preRestoreSnapshot}`);
+    return 0;
+  }
+};
+
+module.exports = {
+  usage: 'snapshot create|list|verify|restore [id]',
+  description: 'Create, list, verify or restore data snapshots (--label, --force)',
+
+  async run(args) {
+    const subcommand = subcommands[args._[0]];
+    if (!subcommand) {
+      console.error(`Usage: node src/cli ${this.usage}`);
+      return 1;
+    }
+    if (['verify', 'restore'].includes(args._[0]) && !args._[1]) {
+      console.error(`Usage: node src/cli snapshot ${args._[0]} <id>`);
+      return 1;
+    }
+
+    try {
+      return await subcommand(args);
+    } catch (error) {
+      console.error(error.message);
+      (error.details || []).forEach(detail => console.error(`  - ${detail}`));
+      return 1;
+    } finally {
+      await dataService.adapter.close();
+    }
+  }
+};
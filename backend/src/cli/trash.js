@@ -0,0 +1,31 @@
+const dataService = require('../services/dataService');
+const trashService = require('../services/trashService');
+
+module.exports = {
+  usage: 'trash purge',
+  description: 'Permanently remove expired trash (--retention-days N)',
+
+  async run(args) {
+    if (args._[0] !== 'purge') {
+      console.error(`Usage: node src/cli ${this.usage}`);
+      return 1;
+    }
+
+    const options = {};
+    if (args.retentionDays !== undefined) {
+      options.retentionDays = parseFloat(args.retentionDays);
+      if (!Number.isFinite(options.retentionDays) || options.retentionDays < 0) {
+        console.error('--retention-days must be a non-negative number');
+        return 1;
+      }
+    }
+
+    try {
+      const result = await trashService.purgeExpired(options);
+      console.log(`Removed ${result.uploads} upload(s) and ${result.detections} detection(s) deleted before ${result.cutoff}`);
+      return 0;
+    } finally {
+      await dataService.adapter.close();
+    }
+  }
+};
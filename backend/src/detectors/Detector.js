@@ -0,0 +1,50 @@
+// Base class for vehicle detectors.
+//
+// detect() receives the uploaded file, the analysis parameters and { signal },
+// an AbortSignal for cancelled analyses, and resolves to
+// { vehicles, imageMetadata, processingMetadata? }; processingMetadata may
+// override metadata() with what actually ran. Each vehicle has the shape stored in
+// Detection results.vehicles (see Detection.createSampleDetection):
+//   { id, type, confidence, boundingBox: { x, y, width, height },
+//     occlusion: { isOccluded, occlusionLevel, occlusionPercentage, occludedBy },
+//     features }
+class Detector {
+  constructor({ name, version, algorithm, description = '' }) {
+    this.name = name;
+    this.version = version;
+    this.algorithm = algorithm;
+    this.description = description;
+  }
+
+  get id() {
+    return `${this.name}@${this.version}`;
+  }
+
+  // `input` is { path, mimetype, size, originalName } of the upload
+  async detect(input, parameters, options = {}) {
+    throw new Error(`${this.id} detector does not implement detect()`);
+  }
+
+  // Written to results.processingMetadata of every detection it produces.
+  // detectorVersion stays the registered version when a detector reports the
+  // version of the model that ran as modelVersion.
+  metadata() {
+    return {
+      detector: this.name,
+      detectorVersion: this.version,
+      modelVersion: this.version,
+      algorithm: this.algorithm
+    };
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      version: this.version,
+      algorithm: this.algorithm,
+      description: this.description
+    };
+  }
+}
+
+module.exports = Detector;
@@ -0,0 +1,196 @@
+const fs = require('fs-extra');
+const Detector = require('./Detector');
+const { CircuitBreaker } = require('../utils/CircuitBreaker');
+
+// Detector labels (COCO and similar) that count as vehicles, mapped to our types
+const VEHICLE_LABELS = {
+  car: 'car',
+  truck: 'truck',
+  bus: 'bus',
+  van: 'van',
+  motorcycle: 'motorcycle',
+  motorbike: 'motorcycle',
+  bicycle: 'bicycle'
+};
+
+class InferenceError extends Error {
+  constructor(message, { code = 'INFERENCE_ERROR', retryable = false, status = null } = {}) {
+    super(message);
+    this.name = 'InferenceError';
+    this.code = code;
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Accepts { x, y, width, height } or [x1, y1, x2, y2]
+const toBoundingBox = (box) => {
+  if (Array.isArray(box)) {
+    const [x1, y1, x2, y2] = box;
+    return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+  }
+  return { x: box.x, y: box.y, width: box.width, height: box.height };
+};
+
+// Map an inference server response to detector output. Servers either return
+// `vehicles` in our format, or generic `detections` of
+// { label, score, bbox, id? } that are filtered down to vehicle labels.
+const mapResponse = (body) => {
+  const image = body.image || {};
+  const imageMetadata = {
+    originalWidth: image.width,
+    originalHeight: image.height,
+    format: image.format || null
+  };
+
+  const vehicles = Array.isArray(body.vehicles)
+    ? body.vehicles
+    : (body.detections || [])
+      .filter(detection => VEHICLE_LABELS[String(detection.label).toLowerCase()])
+      .map((detection, index) => ({
+        id: detection.id ? String(detection.id) : `vehicle_${index + 1}`,
+        type: VEHICLE_LABELS[String(detection.label).toLowerCase()],
+        confidence: detection.score,
+        boundingBox: toBoundingBox(detection.bbox),
+        ...(detection.occlusion && { occlusion: detection.occlusion }),
+        features: detection.features || {}
+      }));
+
+  const model = body.model || {};
+  return {
+    vehicles,
+    imageMetadata,
+    // Reported by the server, so results name the model that actually ran
+    processingMetadata: {
+      ...(model.version && { modelVersion: String(model.version) }),
+      ...(model.algorithm && { algorithm: model.algorithm })
+    }
+  };
+};
+
+// Sends the upload to an external inference server:
+//   POST <url>   body: the raw file, Content-Type: its mimetype
+//                X-Filename: original file name (URI encoded)
+//                X-Inference-Parameters: analysis parameters as JSON
+// Requests time out after timeoutMs and are retried (with backoff) on network
+// errors, timeouts, 429 and 5xx. Repeated failures open a circuit breaker so
+// analyses fail fast while the server is down.
+class HttpInferenceDetector extends Detector {
+  constructor({
+    url,
+    name = 'http',
+    version = '1.0.0',
+    algorithm = 'External inference server',
+    apiKey = null,
+    timeoutMs = 30000,
+    retries = 2,
+    retryDelayMs = 500,
+    breakerThreshold = 5,
+    breakerResetMs = 30000
+  }) {
+    super({ name, version, algorithm, description: `Inference server at ${url}` });
+    this.url = url;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.breaker = new CircuitBreaker({
+      name: `Inference server ${url}`,
+      failureThreshold: breakerThreshold,
+      resetTimeoutMs: breakerResetMs,
+      // A 4xx answer means the server is up; only outages count
+      isFailure: error => error.retryable === true
+    });
+  }
+
+  // Settings from INFERENCE_* environment variables (see README)
+  static fromEnv(env = process.env) {
+    const number = (value, fallback) => (value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback);
+    return new HttpInferenceDetector({
+      url: env.INFERENCE_URL,
+      name: env.INFERENCE_DETECTOR_NAME || 'http',
+      version: env.INFERENCE_MODEL_VERSION || '1.0.0',
+      apiKey: env.INFERENCE_API_KEY || null,
+      timeoutMs: number(env.INFERENCE_TIMEOUT_MS, 30000),
+      retries: number(env.INFERENCE_RETRIES, 2),
+      breakerThreshold: number(env.INFERENCE_BREAKER_THRESHOLD, 5),
+      breakerResetMs: number(env.INFERENCE_BREAKER_RESET_MS, 30000)
+    });
+  }
+
+  describe() {
+    return { ...super.describe(), circuit: this.breaker.state };
+  }
+
+  async detect(input, parameters = {}, { signal = null } = {}) {
+    const file = await fs.readFile(input.path);
+    const body = await this.breaker.execute(() => this.requestWithRetries(file, input, parameters, signal));
+    return mapResponse(body);
+  }
+
+  async requestWithRetries(file, input, parameters, signal) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.request(file, input, parameters, signal);
+      } catch (error) {
+        if (!error.retryable || attempt >= this.retries) throw error;
+        // Exponential backoff with jitter
+        await sleep(this.retryDelayMs * 2 ** attempt * (0.5 + Math.random()));
+        if (signal) signal.throwIfAborted();
+      }
+    }
+  }
+
+  async request(file, input, parameters, signal = null) {
+    const headers = {
+      'Content-Type': input.mimetype || 'application/octet-stream',
+      'X-Filename': encodeURIComponent(input.originalName || ''),
+      'X-Inference-Parameters': JSON.stringify(parameters)
+    };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const timeout = AbortSignal.timeout(this.timeoutMs);
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers,
+        body: file,
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+      });
+    } catch (error) {
+      // Cancelled by the caller, not a server problem
+      if (signal && signal.aborted) throw signal.reason;
+      if (error.name === 'TimeoutError') {
+        throw new InferenceError(`Inference request timed out after ${this.timeoutMs}ms`, {
+          code: 'INFERENCE_TIMEOUT',
+          retryable: true
+        });
+      }
+      throw new InferenceError(`Inference server unreachable: ${error.cause ? error.cause.message : error.message}`, {
+        code: 'INFERENCE_UNAVAILABLE',
+        retryable: true
+      });
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new InferenceError(`Inference server responded ${response.status}: ${text.slice(0, 200)}`, {
+        status: response.status,
+        retryable: response.status === 429 || response.status >= 500
+      });
+    }
+
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new InferenceError(`Inference server returned invalid JSON: ${error.message}`);
+    }
+  }
+}
+
+module.exports = HttpInferenceDetector;
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const Detector = require('./Detector');
+const { readImageSize } = require('../utils/imageInfo');
+
+const VEHICLE_TYPES = ['car', 'car', 'car', 'truck', 'bus', 'van', 'motorcycle'];
+const COLORS = ['white', 'black', 'silver', 'grey', 'blue', 'red'];
+const DEFAULT_FRAME = { width: 1920, height: 1080 };
+// Image headers (and JPEG frame markers) sit near the start of the file
+const HEADER_BYTES = 256 * 1024;
+
+const hashFile = (filename) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filename)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest()));
+});
+
+const readHeader = async (filename) => {
+  const handle = await fs.promises.open(filename, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, HEADER_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// mulberry32: small seeded PRNG returning floats in [0, 1)
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Deterministic stand-in for a real model. Vehicles are derived from a hash of
+// the file contents, so the same upload and parameters always give the same
+// results. Parameters: confidenceThreshold (default 0.5).
+class StubDetector extends Detector {
+  constructor() {
+    super({
+      name: 'stub',
+      version: '1.0.0',
+      algorithm: 'Deterministic stub (content hash)',
+      description: 'Generates repeatable vehicles from the file contents; for development and testing'
+    });
+  }
+
+  async detect(input, parameters = {}) {
+    const [digest, header] = await Promise.all([hashFile(input.path), readHeader(input.path)]);
+    const imageSize = readImageSize(header);
+    const frame = imageSize || DEFAULT_FRAME;
+    const random = seededRandom(digest.readUInt32BE(0));
+    const pick = (values) => values[Math.floor(random() * values.length)];
+
+    const candidates = [];
+    const count = 1 + Math.floor(random() * 6);
+    for (let i = 0; i < count; i++) {
+      const width = Math.round(frame.width * (0.08 + random() * 0.17));
+      const height = Math.min(frame.height, Math.round(width * (0.5 + random() * 0.4)));
+      const relativeSize = width / frame.width;
+      candidates.push({
+        id: `vehicle_${i + 1}`,
+        type: pick(VEHICLE_TYPES),
+        confidence: Math.round((0.4 + random() * 0.59) * 100) / 100,
+        boundingBox: {
+          x: Math.round(random() * (frame.width - width)),
+          y: Math.round(random() * (frame.height - height)),
+          width,
+          height
+        },
+        features: {
+          color: pick(COLORS),
+          size: relativeSize < 0.12 ? 'small' : (relativeSize < 0.2 ? 'medium' : 'large'),
+          orientation: Math.round(random() * 60 - 30)
+        }
+      });
+    }
+
+    const threshold = Number.isFinite(Number(parameters.confidenceThreshold))
+      ? Number(parameters.confidenceThreshold)
+      : 0.5;
+    // Occlusion is left to the post-processing pipeline (see pipeline/occlusion.js)
+    const vehicles = candidates.filter(vehicle => vehicle.confidence >= threshold);
+
+    return {
+      vehicles,
+      imageMetadata: {
+        originalWidth: frame.width,
+        originalHeight: frame.height,
+        format: imageSize ? imageSize.format : null,
+        size: input.size
+      }
+    };
+  }
+}
+
+module.exports = StubDetector;
@@ -0,0 +1,124 @@
+const Joi = require('joi');
+const Detector = require('./Detector');
+const StubDetector = require('./StubDetector');
+const HttpInferenceDetector = require('./HttpInferenceDetector');
+
+// Raised for a detector name or version that is not registered
+class UnknownDetectorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnknownDetectorError';
+    this.code = 'UNKNOWN_DETECTOR';
+  }
+}
+
+// Shape every detector must return (see Detector.js)
+const vehicleSchema = Joi.object({
+  id: Joi.string().required(),
+  type: Joi.string().required(),
+  confidence: Joi.number().min(0).max(1).required(),
+  boundingBox: Joi.object({
+    x: Joi.number().required(),
+    y: Joi.number().required(),
+    width: Joi.number().min(0).required(),
+    height: Joi.number().min(0).required()
+  }).required(),
+  occlusion: Joi.object({
+    isOccluded: Joi.boolean().required(),
+    occlusionLevel: Joi.string().valid('none', 'partial', 'heavy', 'complete').required(),
+    occlusionPercentage: Joi.number().min(0).max(100).required(),
+    occludedBy: Joi.array().items(Joi.string()).default([])
+  }).default({ isOccluded: false, occlusionLevel: 'none', occlusionPercentage: 0, occludedBy: [] }),
+  features: Joi.object().default({})
+}).unknown(true);
+
+const outputSchema = Joi.object({
+  vehicles: Joi.array().items(vehicleSchema).required(),
+  imageMetadata: Joi.object().default({}),
+  processingMetadata: Joi.object().default({})
+}).unknown(true);
+
+// Compare dotted version strings numerically, so 1.10.0 sorts after 1.9.2
+const compareVersions = (a, b) => {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+};
+
+// Detectors by name and version. Selections are 'name', 'name@version' or
+// { name, version }; without a version the highest registered one is used,
+// and without a name the DETECTOR environment variable (default: stub).
+class DetectorRegistry {
+  constructor() {
+    this.detectors = new Map();
+  }
+
+  register(detector) {
+    if (!(detector instanceof Detector)) {
+      throw new Error('Detectors must extend Detector');
+    }
+    const versions = this.detectors.get(detector.name) || [];
+    if (versions.some(existing => existing.version === detector.version)) {
+      throw new Error(`Detector ${detector.id} is already registered`);
+    }
+    this.detectors.set(detector.name, [...versions, detector]
+      .sort((a, b) => compareVersions(b.version, a.version)));
+    return detector;
+  }
+
+  resolve(selection = null) {
+    let name = null;
+    let version = null;
+    if (typeof selection === 'string') {
+      [name, version = null] = selection.split('@');
+    } else if (selection) {
+      ({ name = null, version = null } = selection);
+    }
+    name = name || process.env.DETECTOR || 'stub';
+
+    const versions = this.detectors.get(name);
+    if (!versions) {
+      throw new UnknownDetectorError(`Unknown detector: ${name}`);
+    }
+    const detector = version ? versions.find(candidate => candidate.version === version) : versions[0];
+    if (!detector) {
+      throw new UnknownDetectorError(`Unknown version ${version} of detector ${name}`);
+    }
+    return detector;
+  }
+
+  list() {
+    return [...this.detectors.values()].flat().map(detector => detector.describe());
+  }
+}
+
+// Run a detector and check its output, filling in optional fields.
+// `options.signal` aborts the run.
+const runDetector = async (detector, input, parameters, options = {}) => {
+  const output = await detector.detect(input, parameters, options);
+  const { error, value } = outputSchema.validate(output);
+  if (error) {
+    throw new Error(`Detector ${detector.id} returned invalid output: ${error.message}`);
+  }
+  return value;
+};
+
+const registry = new DetectorRegistry();
+registry.register(new StubDetector());
+// External inference server, enabled by INFERENCE_URL
+if (process.env.INFERENCE_URL) {
+  registry.register(HttpInferenceDetector.fromEnv());
+}
+
+module.exports = {
+  Detector,
+  HttpInferenceDetector,
+  DetectorRegistry,
+  UnknownDetectorError,
+  registry,
+  runDetector
+};
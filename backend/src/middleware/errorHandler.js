@@ -1,3 +1,5 @@
+const { runInRequestContext } = require('../utils/requestContext');
+
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
   error.message = err.message;
@@ -88,6 +90,63 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // Corrupt data store (see services/storage/errors.js)
+  if (err.name === 'DataCorruptionError') {
+    error = {
+      message: 'Data store unavailable',
+      status: 503
+    };
+  }
+
+  // Write rejected by the data layer's reference rules
+  if (err.name === 'ReferenceIntegrityError') {
+    error = {
+      message: err.message,
+      status: 409
+    };
+  }
+
+  // Analysis requested with a detector that is not registered
+  if (err.name === 'UnknownDetectorError') {
+    error = {
+      message: err.message,
+      status: 400
+    };
+  }
+
+  // Analysis parameters rejected by a post-processing stage
+  if (err.name === 'InvalidParametersError') {
+    error = {
+      message: err.message,
+      status: 400
+    };
+  }
+
+  // Annotation referring to vehicles a detection's reviewed view does not have
+  // (see services/annotationReview.js)
+  if (err.name === 'InvalidAnnotationError') {
+    error = {
+      message: err.message,
+      status: 400
+    };
+  }
+
+  // Preset name already used in the same namespace (see models/Preset.js)
+  if (err.name === 'DuplicatePresetError') {
+    error = {
+      message: err.message,
+      status: 409
+    };
+  }
+
+  // Camera name already used by the same owner (see models/Camera.js)
+  if (err.name === 'DuplicateCameraError') {
+    error = {
+      message: err.message,
+      status: 409
+    };
+  }
+
   // Network timeout errors
   if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') {
     error = {
@@ -105,8 +164,9 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
-  // Default to 500 server error
-  const status = error.status || err.statusCode || 500;
+  // Default to 500 server error. AppError keeps the numeric code in statusCode
+  // and a 'fail'/'error' label in status.
+  const status = (Number.isInteger(error.status) && error.status) || err.statusCode || 500;
   const message = error.message || 'Server Error';
 
   const response = {
@@ -122,6 +182,7 @@ const errorHandler = (err, req, res, next) => {
   if (error.field) response.field = error.field;
   if (error.errors) response.errors = error.errors;
   if (error.retryAfter) response.retryAfter = error.retryAfter;
+  if (error.details) response.details = error.details;
 
   res.status(status).json(response);
 };
@@ -133,9 +194,10 @@ const notFound = (req, res, next) => {
   next(error);
 };
 
-// Async error handler wrapper
+// Async error handler wrapper. Handlers run in a request context so the
+// changes they make can be attributed (see utils/requestContext.js).
 const asyncHandler = (fn) => (req, res, next) => {
-  Promise.resolve(fn(req, res, next)).catch(next);
+  Promise.resolve(runInRequestContext(req, () => fn(req, res, next))).catch(next);
 };
 
 // Custom error class
@@ -0,0 +1,9 @@
+const { renameFields } = require('./helpers');
+
+// Records imported from the old MongoDB deployment use `_id`
+module.exports = {
+  collection: 'users',
+  version: 1,
+  description: 'Rename _id to id',
+  up: (record) => renameFields(record, { _id: 'id' })
+};
@@ -0,0 +1,10 @@
+const { renameFields } = require('./helpers');
+
+// The upload routes were written against Mongoose and stored `user`; the
+// Upload model reads `userId`
+module.exports = {
+  collection: 'uploads',
+  version: 1,
+  description: 'Rename _id/user to id/userId',
+  up: (record) => renameFields(record, { _id: 'id', user: 'userId' })
+};
@@ -0,0 +1,10 @@
+const { renameFields } = require('./helpers');
+
+// The detection routes were written against Mongoose and stored
+// `user`/`uploadedFile`; the Detection model reads `userId`/`uploadId`
+module.exports = {
+  collection: 'detections',
+  version: 1,
+  description: 'Rename _id/user/uploadedFile to id/userId/uploadId',
+  up: (record) => renameFields(record, { _id: 'id', user: 'userId', uploadedFile: 'uploadId' })
+};
@@ -0,0 +1,59 @@
+// Older records kept vehicles at the top level with a boolean `occluded` flag.
+// Move them under `results.vehicles` with the `occlusion` object that
+// Detection.occlusionSummary and the stats expect, and recompute the totals.
+
+const normalizeOcclusion = (vehicle) => {
+  const { occluded, ...rest } = vehicle;
+
+  if (rest.occlusion && typeof rest.occlusion === 'object') {
+    const occlusion = { ...rest.occlusion };
+    if (occlusion.isOccluded === undefined) {
+      occlusion.isOccluded = Boolean(occlusion.occlusionLevel && occlusion.occlusionLevel !== 'none');
+    }
+    occlusion.occlusionLevel = occlusion.occlusionLevel || (occlusion.isOccluded ? 'partial' : 'none');
+    occlusion.occlusionPercentage = occlusion.occlusionPercentage || 0;
+    occlusion.occludedBy = occlusion.occludedBy || [];
+    return { ...rest, occlusion };
+  }
+
+  const isOccluded = Boolean(occluded);
+  return {
+    ...rest,
+    occlusion: {
+      isOccluded,
+      occlusionLevel: isOccluded ? 'partial' : 'none',
+      occlusionPercentage: 0,
+      occludedBy: []
+    }
+  };
+};
+
+module.exports = {
+  collection: 'detections',
+  version: 2,
+  description: 'Move vehicles under results.vehicles with an occlusion object',
+  up: (record) => {
+    if (Array.isArray(record.vehicles)) {
+      record.results = record.results || {};
+      if (!Array.isArray(record.results.vehicles) || record.results.vehicles.length === 0) {
+        record.results.vehicles = record.vehicles;
+      }
+      delete record.vehicles;
+    }
+
+    if (!record.results || !Array.isArray(record.results.vehicles)) {
+      return record;
+    }
+
+    const vehicles = record.results.vehicles.map(normalizeOcclusion);
+    const occludedCount = vehicles.filter(vehicle => vehicle.occlusion.isOccluded).length;
+    record.results = {
+      ...record.results,
+      vehicles,
+      totalVehicles: vehicles.length,
+      occludedVehicles: occludedCount,
+      occlusionPercentage: vehicles.length > 0 ? (occludedCount / vehicles.length) * 100 : 0
+    };
+    return record;
+  }
+};
@@ -0,0 +1,7 @@
+// Uploads can be moved to the trash; existing uploads are not trashed
+module.exports = {
+  collection: 'uploads',
+  version: 2,
+  description: 'Add deletedAt for soft delete',
+  up: (record) => ({ ...record, deletedAt: record.deletedAt || null })
+};
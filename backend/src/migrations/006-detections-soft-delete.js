@@ -0,0 +1,7 @@
+// Detections can be moved to the trash; existing detections are not trashed
+module.exports = {
+  collection: 'detections',
+  version: 3,
+  description: 'Add deletedAt for soft delete',
+  up: (record) => ({ ...record, deletedAt: record.deletedAt || null })
+};
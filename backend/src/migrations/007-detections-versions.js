@@ -0,0 +1,8 @@
+// Detections become numbered versions of their upload. Until re-runs existed
+// an upload had at most one detection, so existing detections are version 1.
+module.exports = {
+  collection: 'detections',
+  version: 4,
+  description: 'Add version and rerunOf',
+  up: (record) => ({ ...record, version: record.version || 1, rerunOf: record.rerunOf || null })
+};
@@ -0,0 +1,8 @@
+// Users can belong to a team, which shares analysis presets. Existing users
+// are in no team.
+module.exports = {
+  collection: 'users',
+  version: 2,
+  description: 'Add team',
+  up: (record) => ({ ...record, team: record.team || null })
+};
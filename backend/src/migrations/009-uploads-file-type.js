@@ -0,0 +1,15 @@
+// Uploads saved through the routes never had fileType set; derive it from the
+// MIME type so videos are analyzed frame by frame
+module.exports = {
+  collection: 'uploads',
+  version: 3,
+  description: 'Set fileType from mimetype',
+  up: (record) => {
+    if (record.fileType) return record;
+    const mimetype = record.mimetype || '';
+    let fileType = null;
+    if (mimetype.startsWith('image/')) fileType = 'image';
+    if (mimetype.startsWith('video/')) fileType = 'video';
+    return { ...record, fileType };
+  }
+};
@@ -0,0 +1,8 @@
+// Uploads can be linked to the camera they were recorded with. Existing
+// uploads are linked to none.
+module.exports = {
+  collection: 'uploads',
+  version: 4,
+  description: 'Add cameraId',
+  up: (record) => ({ ...record, cameraId: record.cameraId || null })
+};
@@ -0,0 +1,8 @@
+// Cameras can have counting lines for video analyses. Existing cameras have
+// none.
+module.exports = {
+  collection: 'cameras',
+  version: 1,
+  description: 'Add lines',
+  up: (record) => ({ ...record, lines: record.lines || [] })
+};
@@ -0,0 +1,8 @@
+// Uploads can carry imported ground-truth boxes for evaluating detectors.
+// Existing uploads have none.
+module.exports = {
+  collection: 'uploads',
+  version: 5,
+  description: 'Add groundTruth',
+  up: (record) => ({ ...record, groundTruth: record.groundTruth || null })
+};
@@ -0,0 +1,49 @@
+// Detections keep a reviewed view of their vehicles with the annotations
+// applied. Annotations so far only corrected the type or occlusion level of a
+// vehicle, so that is all this applies; detections nobody annotated have none.
+
+const levelOf = (corrected) => (typeof corrected === 'string' ? corrected : (corrected || {}).occlusionLevel);
+
+const correct = (vehicle, annotation) => {
+  const level = levelOf(annotation.correctedOcclusion);
+  if (!annotation.correctedType && !level) return vehicle;
+
+  const occlusion = vehicle.occlusion || { occlusionLevel: 'none', occlusionPercentage: 0, occludedBy: [] };
+  return {
+    ...vehicle,
+    type: annotation.correctedType || vehicle.type,
+    occlusion: level && level !== occlusion.occlusionLevel
+      ? { ...occlusion, isOccluded: level !== 'none', occlusionLevel: level, occlusionPercentage: level === 'none' ? 0 : null }
+      : occlusion,
+    review: 'corrected'
+  };
+};
+
+module.exports = {
+  collection: 'detections',
+  version: 5,
+  description: 'Add reviewed',
+  up: (record) => {
+    const annotations = record.annotations || [];
+    if (record.reviewed !== undefined || annotations.length === 0) {
+      return { ...record, reviewed: record.reviewed || null };
+    }
+
+    const vehicles = ((record.results || {}).vehicles || []).map(vehicle => annotations
+      .filter(annotation => annotation.vehicleId === vehicle.id)
+      .reduce(correct, { ...vehicle, review: 'unchanged' }));
+    const occludedVehicles = vehicles.filter(vehicle => vehicle.occlusion && vehicle.occlusion.isOccluded).length;
+    return {
+      ...record,
+      reviewed: {
+        vehicles,
+        removedVehicles: [],
+        totalVehicles: vehicles.length,
+        occludedVehicles,
+        occlusionPercentage: vehicles.length > 0 ? (occludedVehicles / vehicles.length) * 100 : 0,
+        annotationCount: annotations.length,
+        reviewedAt: annotations[annotations.length - 1].timestamp || null
+      }
+    };
+  }
+};
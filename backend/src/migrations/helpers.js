@@ -0,0 +1,19 @@
+// Shared helpers for record migrations. Migrations receive a deep copy of each
+// record and return the upgraded record.
+
+// Move fields to their new names, keeping the new field if both are present
+const renameFields = (record, renames) => {
+  Object.entries(renames).forEach(([from, to]) => {
+    if (Object.prototype.hasOwnProperty.call(record, from)) {
+      if (record[to] === undefined) {
+        record[to] = record[from];
+      }
+      delete record[from];
+    }
+  });
+  return record;
+};
+
+module.exports = {
+  renameFields
+};
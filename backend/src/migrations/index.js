@@ -0,0 +1,37 @@
+// Ordered schema migrations. Each one upgrades every record of a collection
+// from `version - 1` to `version`. Append new migrations at the end and never
+// edit one that has already shipped.
+const migrations = [
+  require('./001-users-record-ids'),
+  require('./002-uploads-reference-fields'),
+  require('./003-detections-reference-fields'),
+  require('./004-detections-vehicle-occlusion'),
+  require('./005-uploads-soft-delete'),
+  require('./006-detections-soft-delete'),
+  require('./007-detections-versions'),
+  require('./008-users-team'),
+  require('./009-uploads-file-type'),
+  require('./010-uploads-camera'),
+  require('./011-cameras-lines'),
+  require('./012-uploads-ground-truth'),
+  require('./013-detections-reviewed')
+];
+
+// Current schema version of a collection (0 if it has never had a migration)
+const latestVersion = (collection) => {
+  return migrations
+    .filter(migration => migration.collection === collection)
+    .reduce((version, migration) => Math.max(version, migration.version), 0);
+};
+
+const pendingMigrations = (collection, fromVersion) => {
+  return migrations
+    .filter(migration => migration.collection === collection && migration.version > fromVersion)
+    .sort((a, b) => a.version - b.version);
+};
+
+module.exports = {
+  migrations,
+  latestVersion,
+  pendingMigrations
+};
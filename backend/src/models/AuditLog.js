@@ -0,0 +1,59 @@
+const dataService = require('../services/dataService');
+const { applyQueryMethods } = require('./Query');
+
+// One entry per domain event. The collection is append-only: entries are
+// never updated or deleted, and they outlive the users and records they name.
+class AuditLog {
+  constructor(entryData) {
+    this.id = entryData.id;
+    this.action = entryData.action;
+    this.eventId = entryData.eventId;
+    this.actorId = entryData.actorId || null;
+    this.actorUsername = entryData.actorUsername || null;
+    this.actorRole = entryData.actorRole || null;
+    this.targetType = entryData.targetType || null;
+    this.targetId = entryData.targetId || null;
+    this.changes = entryData.changes || null;
+    this.details = entryData.details || {};
+    this.ip = entryData.ip || null;
+    this.method = entryData.method || null;
+    this.path = entryData.path || null;
+    this.requestId = entryData.requestId || null;
+    this.occurredAt = entryData.occurredAt;
+    this.createdAt = entryData.createdAt;
+  }
+
+  get _id() {
+    return this.id;
+  }
+
+  // Append the entry for an event published on the event bus. Events without
+  // a request context come from background work and have no actor.
+  static async record(event) {
+    const context = event.context || {};
+    const actor = context.actor || {};
+    const target = event.target || {};
+
+    const entryData = await dataService.createRecord('auditLogs', {
+      action: event.type,
+      eventId: event.id,
+      actorId: actor.id || null,
+      actorUsername: actor.username || null,
+      actorRole: actor.role || null,
+      targetType: target.collection || null,
+      targetId: target.id || null,
+      changes: event.changes,
+      details: event.payload,
+      ip: context.ip || null,
+      method: context.method || null,
+      path: context.path || null,
+      requestId: context.requestId || null,
+      occurredAt: event.occurredAt
+    });
+    return new AuditLog(entryData);
+  }
+}
+
+applyQueryMethods(AuditLog, { collection: 'auditLogs' });
+
+module.exports = AuditLog;
@@ -0,0 +1,137 @@
+const { applyQueryMethods } = require('./Query');
+const { publishChanges, diffRecords } = require('./events');
+const { EVENT_TYPES } = require('../services/eventBus');
+const { markPersisted, changedFields, refreshFrom, updateAtomically } = require('./changeTracking');
+const dataService = require('../services/dataService');
+const KeyedLock = require('../utils/KeyedLock');
+
+// Camera names are unique per owner. Checking and writing a name happen under
+// a lock for that owner.
+const nameLocks = new KeyedLock();
+
+class DuplicateCameraError extends Error {
+  constructor(name) {
+    super(`A camera named "${name}" already exists`);
+    this.name = 'DuplicateCameraError';
+  }
+}
+
+// A fixed camera (or other source) whose uploads are analyzed and compared
+// together. Its zones, lines and default preset apply to analyses of its
+// uploads.
+class Camera {
+  constructor(cameraData) {
+    this.id = cameraData.id;
+    this.userId = cameraData.userId || cameraData.user;
+    this.name = cameraData.name;
+    this.description = cameraData.description || '';
+    // { address, latitude, longitude }, each optional
+    this.location = cameraData.location || {};
+    // { width, height } in pixels, or null when unknown
+    this.resolution = cameraData.resolution || null;
+    // Free-form calibration data, e.g. { metersPerPixel, homography }
+    this.calibration = cameraData.calibration || {};
+    // Zones in the form of the `zones` analysis parameter (see pipeline/zones.js)
+    this.zones = cameraData.zones || [];
+    // Counting lines in the form of the `lines` analysis parameter (see
+    // pipeline/counting.js)
+    this.lines = cameraData.lines || [];
+    this.defaultPreset = cameraData.defaultPreset || null;
+    this.createdAt = cameraData.createdAt;
+    this.updatedAt = cameraData.updatedAt;
+
+    if (cameraData.id) {
+      markPersisted(this, cameraData);
+    }
+  }
+
+  get _id() {
+    return this.id;
+  }
+
+  static async create(cameraData) {
+    return await new Camera(cameraData).save();
+  }
+
+  static async findOwned(user, id) {
+    return await Camera.findOne({ _id: id, user: user.id });
+  }
+
+  // Parameters an analysis of one of the camera's uploads starts from; the
+  // preset's and the request's parameters override them
+  defaultParameters() {
+    return {
+      ...(this.zones.length > 0 ? { zones: this.zones } : {}),
+      ...(this.lines.length > 0 ? { lines: this.lines } : {})
+    };
+  }
+
+  async save() {
+    const cameraData = {
+      userId: this.userId,
+      name: this.name,
+      description: this.description,
+      location: this.location,
+      resolution: this.resolution,
+      calibration: this.calibration,
+      zones: this.zones,
+      lines: this.lines,
+      defaultPreset: this.defaultPreset
+    };
+
+    return await nameLocks.run(this.userId, async () => {
+      const taken = await dataService.findRecords('cameras',
+        record => record.id !== this.id && record.name === cameraData.name,
+        { field: 'userId', values: [this.userId] });
+      if (taken.length > 0) {
+        throw new DuplicateCameraError(cameraData.name);
+      }
+
+      if (this.id) {
+        const changes = changedFields(this, cameraData);
+        if (Object.keys(changes).length === 0) return this;
+
+        return await updateAtomically(this, { $set: changes });
+      }
+
+      const newCameraData = await dataService.createRecord('cameras', cameraData);
+      publishChanges(Camera, null, newCameraData);
+      return refreshFrom(this, newCameraData);
+    });
+  }
+
+  // Uploads of the camera are kept: the data layer unlinks them and deletes
+  // the camera in one step (see REFERENCES in services/dataService.js)
+  async remove() {
+    if (this.id) {
+      return Boolean(await Camera.findByIdAndDelete(this.id));
+    }
+    return false;
+  }
+
+  // Domain events for a stored change (see models/events.js)
+  static domainEvents(before, after) {
+    const record = after || before;
+    const payload = {
+      cameraId: record.id,
+      userId: record.userId,
+      name: record.name
+    };
+
+    if (!before) return [{ type: EVENT_TYPES.CAMERA_CREATED, payload }];
+    if (!after) return [{ type: EVENT_TYPES.CAMERA_DELETED, payload }];
+    return [{ type: EVENT_TYPES.CAMERA_UPDATED, payload: { ...payload, fields: Object.keys(diffRecords(before, after)) } }];
+  }
+}
+
+applyQueryMethods(Camera, {
+  collection: 'cameras',
+  aliases: { user: 'userId' },
+  references: {
+    user: { localField: 'userId', model: () => require('./User') }
+  }
+});
+
+Camera.DuplicateCameraError = DuplicateCameraError;
+
+module.exports = Camera;
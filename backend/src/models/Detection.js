@@ -1,10 +1,27 @@
 const dataService = require('../services/dataService');
+const { applyQueryMethods } = require('./Query');
+const { publishChanges, trashEvents } = require('./events');
+const { EVENT_TYPES } = require('../services/eventBus');
+const { markPersisted, changedFields, refreshFrom, updateAtomically } = require('./changeTracking');
+const KeyedLock = require('../utils/KeyedLock');
+const { reviewedView, prepareAnnotation } = require('../services/annotationReview');
+
+// Numbering a new version and saving it happen under a per-upload lock, so two
+// analyses of the same upload never get the same version
+const versionLocks = new KeyedLock();
+
+// Annotations of a detection are checked against its reviewed view and stored
+// with the updated view one at a time
+const annotationLocks = new KeyedLock();
 
 class Detection {
   constructor(detectionData) {
     this.id = detectionData.id;
-    this.userId = detectionData.userId;
-    this.uploadId = detectionData.uploadId;
+    this.userId = detectionData.userId || detectionData.user;
+    this.uploadId = detectionData.uploadId || detectionData.uploadedFile;
+    // Re-running an analysis adds a new version for the same upload
+    this.version = detectionData.version || 1;
+    this.rerunOf = detectionData.rerunOf || null;
     this.status = detectionData.status || 'pending';
     this.processingStartTime = detectionData.processingStartTime;
     this.processingEndTime = detectionData.processingEndTime;
@@ -18,13 +35,25 @@ class Detection {
       processingMetadata: {}
     };
     this.annotations = detectionData.annotations || [];
+    // results with the annotations applied (see services/annotationReview.js),
+    // or null until the detection is annotated
+    this.reviewed = detectionData.reviewed || null;
     this.errorDetails = detectionData.errorDetails || {};
     this.metrics = detectionData.metrics || {};
+    this.deletedAt = detectionData.deletedAt || null;
     this.createdAt = detectionData.createdAt;
     this.updatedAt = detectionData.updatedAt;
+
+    if (detectionData.id) {
+      markPersisted(this, detectionData);
+    }
   }
 
   // Virtual properties
+  get _id() {
+    return this.id;
+  }
+
   get processingTimeFormatted() {
     if (!this.processingDuration) return null;
     
@@ -62,33 +91,46 @@ class Detection {
   }
 
   // Static methods
-  static async findById(id) {
-    const detectionData = await dataService.getDetectionById(id);
-    return detectionData ? new Detection(detectionData) : null;
-  }
-
   static async findByUserId(userId) {
-    const detectionsData = await dataService.getDetectionsByUserId(userId);
-    return detectionsData.map(detectionData => new Detection(detectionData));
+    return await Detection.find({ user: userId });
   }
 
   static async findByUploadId(uploadId) {
-    const detectionsData = await dataService.getDetectionsByUploadId(uploadId);
-    return detectionsData.map(detectionData => new Detection(detectionData));
+    return await Detection.find({ uploadedFile: uploadId });
+  }
+
+  // Version number for the next analysis of an upload, counting trashed ones
+  static async nextVersion(uploadId) {
+    const detections = await Detection.find({ uploadedFile: uploadId }).withDeleted();
+    return detections.reduce((latest, detection) => Math.max(latest, detection.version), 0) + 1;
+  }
+
+  // Save a new detection as the next version of its upload
+  static async createVersion(detectionData) {
+    const detection = new Detection(detectionData);
+    return await versionLocks.run(detection.uploadId, async () => {
+      detection.version = await Detection.nextVersion(detection.uploadId);
+      return await detection.save();
+    });
+  }
+
+  // Every version of an upload, newest first
+  static async findVersions(uploadId) {
+    return await Detection.find({ uploadedFile: uploadId }).sort({ version: -1 });
   }
 
   static async findAll() {
-    const detectionsData = await dataService.getDetections();
-    return detectionsData.map(detectionData => new Detection(detectionData));
+    return await Detection.find();
   }
 
   static async create(detectionData) {
-    const newDetectionData = await dataService.createDetection(detectionData);
-    return new Detection(newDetectionData);
+    return await new Detection(detectionData).save();
   }
 
   // Instance methods
-  async save() {
+
+  // Stored form of the detection, with its derived fields recomputed
+  toRecord() {
     // Calculate processing duration if both times are set
     if (this.processingStartTime && this.processingEndTime) {
       this.processingDuration = new Date(this.processingEndTime) - new Date(this.processingStartTime);
@@ -104,57 +146,128 @@ class Detection {
       this.results.occlusionPercentage = (occludedCount / this.results.vehicles.length) * 100;
     }
 
-    const detectionData = {
+    return {
       userId: this.userId,
       uploadId: this.uploadId,
+      version: this.version,
+      rerunOf: this.rerunOf,
       status: this.status,
       processingStartTime: this.processingStartTime,
       processingEndTime: this.processingEndTime,
       processingDuration: this.processingDuration,
       results: this.results,
       annotations: this.annotations,
+      reviewed: this.reviewed,
       errorDetails: this.errorDetails,
-      metrics: this.metrics
+      metrics: this.metrics,
+      deletedAt: this.deletedAt
     };
+  }
+
+  async save() {
+    const detectionData = this.toRecord();
 
     if (this.id) {
-      const updatedData = await dataService.updateDetection(this.id, detectionData);
-      if (updatedData) {
-        Object.assign(this, updatedData);
-      }
+      // Only write what changed so concurrent saves of other fields survive
+      const changes = changedFields(this, detectionData);
+      if (Object.keys(changes).length === 0) return this;
+
+      await updateAtomically(this, { $set: changes });
     } else {
       const newDetectionData = await dataService.createDetection(detectionData);
-      Object.assign(this, newDetectionData);
+      publishChanges(Detection, null, newDetectionData);
+      refreshFrom(this, newDetectionData);
     }
     
     return this;
   }
 
+  // Permanently delete the record. Routes use softDelete() instead.
   async remove() {
     if (this.id) {
-      return await dataService.deleteDetection(this.id);
+      return Boolean(await Detection.findByIdAndDelete(this.id).withDeleted());
     }
     return false;
   }
 
+  // Move to the trash; the purge job removes the record later
+  async softDelete() {
+    const before = this._persisted;
+    const record = await dataService.trashRecord('detections', this.id);
+    if (record) publishChanges(Detection, before, record);
+    return refreshFrom(this, record);
+  }
+
+  // Fails with a ReferenceIntegrityError while a referenced record is trashed
+  async restore() {
+    const before = this._persisted;
+    const record = await dataService.restoreRecord('detections', this.id);
+    if (record) publishChanges(Detection, before, record);
+    return refreshFrom(this, record);
+  }
+
+  // Append a validated annotation and update the reviewed view. Fails with an
+  // InvalidAnnotationError for vehicles the view does not have. Resolves to
+  // the stored annotation.
   async addAnnotation(annotation) {
-    annotation.timestamp = new Date().toISOString();
-    this.annotations.push(annotation);
-    return await this.save();
+    return await annotationLocks.run(this.id, async () => {
+      refreshFrom(this, await Detection.findById(this.id).withDeleted().lean());
+
+      const stored = {
+        ...prepareAnnotation(this.results, this.annotations, annotation),
+        timestamp: new Date().toISOString()
+      };
+      await updateAtomically(this, {
+        $push: { annotations: stored },
+        $set: { reviewed: reviewedView(this.results, [...this.annotations, stored]) }
+      });
+      return stored;
+    });
   }
 
-  async updateStatus(status, errorDetails = null) {
+  // Set the status and the processing times it implies, without storing them
+  applyStatus(status, errorDetails = null) {
     this.status = status;
     if (status === 'processing' && !this.processingStartTime) {
       this.processingStartTime = new Date().toISOString();
     } else if (['completed', 'failed', 'cancelled'].includes(status) && !this.processingEndTime) {
       this.processingEndTime = new Date().toISOString();
     }
-    
+
     if (errorDetails) {
       this.errorDetails = errorDetails;
     }
-    
+  }
+
+  // Move to `status`, storing every pending change with it, only while the
+  // stored status is one of `from`. A run starting or finishing and a cancel
+  // then never overwrite each other. Resolves to whether the status changed;
+  // otherwise the document is reloaded with the stored status.
+  async transitionStatus(from, status, errorDetails = null) {
+    this.applyStatus(status, errorDetails);
+
+    const record = await Detection.findOneAndUpdate(
+      { _id: this.id, status: { $in: from } },
+      { $set: changedFields(this, this.toRecord()) },
+      { new: true }
+    ).withDeleted().lean();
+    if (!record) {
+      refreshFrom(this, await Detection.findById(this.id).withDeleted().lean());
+      return false;
+    }
+
+    refreshFrom(this, record);
+    return true;
+  }
+
+  // Store a finished run's results, unless the detection stopped processing
+  // in the meantime, e.g. because it was cancelled
+  async completeProcessing() {
+    return await this.transitionStatus(['processing'], 'completed');
+  }
+
+  async updateStatus(status, errorDetails = null) {
+    this.applyStatus(status, errorDetails);
     return await this.save();
   }
 
@@ -244,6 +357,66 @@ class Detection {
       }
     };
   }
+
+  // Domain events for a stored change (see models/events.js)
+  static domainEvents(before, after) {
+    const record = after || before;
+    const payload = {
+      detectionId: record.id,
+      userId: record.userId,
+      uploadId: record.uploadId
+    };
+
+    if (!before) return [{ type: EVENT_TYPES.DETECTION_CREATED, payload: { ...payload, status: after.status } }];
+    if (!after) return [{ type: EVENT_TYPES.DETECTION_DELETED, payload }];
+
+    const events = [];
+    if (before.status !== after.status) {
+      events.push({
+        type: EVENT_TYPES.DETECTION_STATUS_CHANGED,
+        payload: { ...payload, from: before.status, to: after.status }
+      });
+
+      const results = after.results || {};
+      if (after.status === 'completed') {
+        events.push({
+          type: EVENT_TYPES.DETECTION_COMPLETED,
+          payload: {
+            ...payload,
+            totalVehicles: results.totalVehicles || 0,
+            occludedVehicles: results.occludedVehicles || 0,
+            processingDuration: after.processingDuration || 0
+          }
+        });
+      } else if (after.status === 'failed') {
+        events.push({
+          type: EVENT_TYPES.DETECTION_FAILED,
+          payload: { ...payload, errorDetails: after.errorDetails || {} }
+        });
+      }
+    }
+
+    // Annotations are only ever appended
+    const previousCount = (before.annotations || []).length;
+    (after.annotations || []).slice(previousCount).forEach(annotation => {
+      events.push({ type: EVENT_TYPES.ANNOTATION_ADDED, payload: { ...payload, annotation } });
+    });
+
+    return events.concat(trashEvents(before, after, {
+      trashed: EVENT_TYPES.DETECTION_TRASHED,
+      restored: EVENT_TYPES.DETECTION_RESTORED
+    }, payload));
+  }
 }
 
+applyQueryMethods(Detection, {
+  collection: 'detections',
+  aliases: { user: 'userId', uploadedFile: 'uploadId' },
+  references: {
+    user: { localField: 'userId', model: () => require('./User') },
+    uploadedFile: { localField: 'uploadId', model: () => require('./Upload') }
+  },
+  softDelete: true
+});
+
 module.exports = Detection;
\ No newline at end of file
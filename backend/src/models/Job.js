@@ -0,0 +1,206 @@
+const dataService = require('../services/dataService');
+const { applyQueryMethods } = require('./Query');
+
+// Named priorities accepted by the API; higher runs first
+const PRIORITIES = {
+  low: 0,
+  normal: 5,
+  high: 10
+};
+
+const JOB_STATUSES = ['queued', 'processing', 'completed', 'failed', 'cancelled'];
+
+// Statuses of jobs that have not finished yet
+const ACTIVE_STATUSES = ['queued', 'processing'];
+
+const byPriority = (a, b) => (b.priority - a.priority) ||
+  a.runAt.localeCompare(b.runAt) ||
+  a.createdAt.localeCompare(b.createdAt);
+
+// A unit of background work, stored so it survives restarts. Workers claim
+// queued jobs with a lease (leaseExpiresAt) that they extend while running; a
+// job whose lease runs out was abandoned and is put back in the queue.
+class Job {
+  constructor(jobData) {
+    this.id = jobData.id;
+    this.type = jobData.type;
+    this.detectionId = jobData.detectionId || null;
+    this.payload = jobData.payload || {};
+    this.status = jobData.status || 'queued';
+    this.priority = jobData.priority === undefined ? PRIORITIES.normal : jobData.priority;
+    this.attempts = jobData.attempts || 0;
+    this.maxAttempts = jobData.maxAttempts || 1;
+    this.runAt = jobData.runAt;
+    this.workerId = jobData.workerId || null;
+    this.leaseExpiresAt = jobData.leaseExpiresAt || null;
+    this.lastError = jobData.lastError || null;
+    this.startedAt = jobData.startedAt || null;
+    this.finishedAt = jobData.finishedAt || null;
+    this.deletedAt = jobData.deletedAt || null;
+    this.createdAt = jobData.createdAt;
+    this.updatedAt = jobData.updatedAt;
+  }
+
+  get _id() {
+    return this.id;
+  }
+
+  static async enqueue({ type, detectionId = null, payload = {}, priority = PRIORITIES.normal, maxAttempts = 1, runAt = new Date() }) {
+    const jobData = await dataService.createRecord('jobs', {
+      type,
+      detectionId,
+      payload,
+      status: 'queued',
+      priority,
+      attempts: 0,
+      maxAttempts,
+      runAt: new Date(runAt).toISOString(),
+      workerId: null,
+      leaseExpiresAt: null,
+      lastError: null,
+      startedAt: null,
+      finishedAt: null,
+      deletedAt: null
+    });
+    return new Job(jobData);
+  }
+
+  // Claim the highest-priority job of the given types that is due, or null.
+  // Another worker may claim the same job in between, so the claim is only
+  // written if the job is still queued and otherwise the next one is tried.
+  static async claimNext({ types, workerId, leaseMs, now = new Date() }) {
+    const nowIso = now.toISOString();
+    const claimable = record => record.status === 'queued' && !record.deletedAt &&
+      types.includes(record.type) && record.runAt <= nowIso;
+
+    for (;;) {
+      const [next] = (await dataService.findRecords('jobs', claimable, { field: 'status', values: ['queued'] }))
+        .sort(byPriority);
+      if (!next) return null;
+
+      const result = await dataService.findAndUpdate('jobs', record => record.id === next.id && claimable(record), record => ({
+        ...record,
+        status: 'processing',
+        attempts: record.attempts + 1,
+        workerId,
+        startedAt: nowIso,
+        leaseExpiresAt: new Date(now.getTime() + leaseMs).toISOString()
+      }), { field: 'id', values: [next.id] });
+      if (result) return new Job(result.after);
+    }
+  }
+
+  // Write `changes` while this worker still holds the job's lease. Resolves to
+  // false when the lease was lost (the job expired and was requeued). With
+  // `expiredBy`, only writes if the lease had run out by then.
+  async updateClaimed(changes, { expiredBy = null } = {}) {
+    const held = record => record.id === this.id && record.status === 'processing' &&
+      record.workerId === this.workerId;
+    const expired = record => !expiredBy || record.leaseExpiresAt <= expiredBy.toISOString();
+    const result = await dataService.findAndUpdate('jobs',
+      record => held(record) && expired(record),
+      record => ({ ...record, ...changes }),
+      { field: 'id', values: [this.id] });
+    if (!result) return false;
+
+    Object.assign(this, new Job(result.after));
+    return true;
+  }
+
+  async extendLease(leaseMs) {
+    return await this.updateClaimed({
+      leaseExpiresAt: new Date(Date.now() + leaseMs).toISOString()
+    });
+  }
+
+  async complete() {
+    return await this.updateClaimed({
+      status: 'completed',
+      workerId: null,
+      leaseExpiresAt: null,
+      lastError: null,
+      finishedAt: new Date().toISOString()
+    });
+  }
+
+  // Put the job back in the queue to run at `retryAt`, or fail it for good
+  // when retryAt is null
+  async fail(error, retryAt = null, options = {}) {
+    const lastError = {
+      code: error.code || 'JOB_ERROR',
+      message: error.message,
+      attempt: this.attempts,
+      at: new Date().toISOString()
+    };
+    return await this.updateClaimed(retryAt
+      ? { status: 'queued', workerId: null, leaseExpiresAt: null, lastError, runAt: new Date(retryAt).toISOString() }
+      : { status: 'failed', workerId: null, leaseExpiresAt: null, lastError, finishedAt: new Date().toISOString() },
+    options);
+  }
+
+  // Stop a queued or running job. A worker running it notices on its next
+  // lease renewal (or at once, when it runs in this process; see
+  // JobQueue.cancel). Resolves to the cancelled job, or null if it had finished.
+  static async cancel(id) {
+    const result = await dataService.findAndUpdate('jobs',
+      record => record.id === id && ACTIVE_STATUSES.includes(record.status),
+      record => ({
+        ...record,
+        status: 'cancelled',
+        workerId: null,
+        leaseExpiresAt: null,
+        finishedAt: new Date().toISOString()
+      }),
+      { field: 'id', values: [id] });
+    return result ? new Job(result.after) : null;
+  }
+
+  static async findActiveForDetection(detectionId) {
+    const records = await dataService.findRecordsBy('jobs', 'detectionId', detectionId);
+    return records
+      .filter(record => ACTIVE_STATUSES.includes(record.status) && !record.deletedAt)
+      .map(record => new Job(record));
+  }
+
+  // Jobs left in processing by a worker that stopped renewing its lease,
+  // e.g. because the server crashed
+  static async findExpired(now = new Date()) {
+    const nowIso = now.toISOString();
+    const records = await dataService.findRecords('jobs',
+      record => record.status === 'processing' && record.leaseExpiresAt && record.leaseExpiresAt <= nowIso,
+      { field: 'status', values: ['processing'] });
+    return records.map(record => new Job(record));
+  }
+
+  // Latest job for a detection, including finished ones
+  static async findLatestForDetection(detectionId) {
+    const records = await dataService.findRecordsBy('jobs', 'detectionId', detectionId);
+    const [latest] = records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return latest ? new Job(latest) : null;
+  }
+
+  static async countByStatus() {
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    const records = await dataService.findRecords('jobs', record => !record.deletedAt);
+    records.forEach(record => {
+      counts[record.status] = (counts[record.status] || 0) + 1;
+    });
+    return counts;
+  }
+
+  // Jobs are bookkeeping for detections and publish no domain events of their own
+  static domainEvents() {
+    return [];
+  }
+}
+
+applyQueryMethods(Job, {
+  collection: 'jobs',
+  aliases: { detection: 'detectionId' },
+  softDelete: true
+});
+
+Job.PRIORITIES = PRIORITIES;
+Job.STATUSES = JOB_STATUSES;
+
+module.exports = Job;
@@ -0,0 +1,160 @@
+const { applyQueryMethods } = require('./Query');
+const { publishChanges, diffRecords } = require('./events');
+const { EVENT_TYPES } = require('../services/eventBus');
+const { markPersisted, changedFields, refreshFrom, updateAtomically } = require('./changeTracking');
+const dataService = require('../services/dataService');
+const KeyedLock = require('../utils/KeyedLock');
+
+// A personal preset is only visible to its owner; a team preset to every
+// member of the owner's team
+const SCOPES = ['user', 'team'];
+
+// Names are unique per owner (personal presets) or per team. Checking and
+// writing a name happen under a lock for that namespace.
+const nameLocks = new KeyedLock();
+
+class DuplicatePresetError extends Error {
+  constructor(name) {
+    super(`A preset named "${name}" already exists`);
+    this.name = 'DuplicatePresetError';
+  }
+}
+
+// Named analysis settings: the detector to run and the parameters passed to
+// it and to the post-processing pipeline
+class Preset {
+  constructor(presetData) {
+    this.id = presetData.id;
+    this.userId = presetData.userId || presetData.user;
+    this.name = presetData.name;
+    this.description = presetData.description || '';
+    this.scope = presetData.scope || 'user';
+    this.team = presetData.team || null;
+    this.detector = presetData.detector || null;
+    this.parameters = presetData.parameters || {};
+    this.createdAt = presetData.createdAt;
+    this.updatedAt = presetData.updatedAt;
+
+    if (presetData.id) {
+      markPersisted(this, presetData);
+    }
+  }
+
+  get _id() {
+    return this.id;
+  }
+
+  get namespace() {
+    return this.scope === 'team' ? `team:${this.team}` : `user:${this.userId}`;
+  }
+
+  static async create(presetData) {
+    return await new Preset(presetData).save();
+  }
+
+  // Presets the user can pick: their own and their team's, by name
+  static async findAccessible(user) {
+    const [own, team] = await Promise.all([
+      Preset.find({ user: user.id }),
+      user.team ? Preset.find({ scope: 'team', team: user.team, userId: { $ne: user.id } }) : []
+    ]);
+    return [...own, ...team].sort((a, b) => a.name.localeCompare(b.name) || a.scope.localeCompare(b.scope));
+  }
+
+  static async findAccessibleById(user, id) {
+    const preset = await Preset.findById(id);
+    return preset && preset.isVisibleTo(user) ? preset : null;
+  }
+
+  // Look a preset up by id or by name; a personal preset wins over a team
+  // preset of the same name. Only strings select a preset.
+  static async findForAnalysis(user, selection) {
+    if (typeof selection !== 'string') return null;
+    const byId = await Preset.findAccessibleById(user, selection);
+    if (byId) return byId;
+    return (await Preset.findAccessible(user))
+      .filter(preset => preset.name === selection)
+      .sort((a, b) => SCOPES.indexOf(a.scope) - SCOPES.indexOf(b.scope))[0] || null;
+  }
+
+  // Owners keep their team presets after leaving the team
+  isVisibleTo(user) {
+    if (user.role === 'admin' || this.userId === user.id) return true;
+    return this.scope === 'team' && Boolean(user.team) && this.team === user.team;
+  }
+
+  // Team members can use a team preset, but only its owner (or an admin)
+  // changes it
+  isEditableBy(user) {
+    return user.role === 'admin' || this.userId === user.id;
+  }
+
+  async save() {
+    const presetData = {
+      userId: this.userId,
+      name: this.name,
+      description: this.description,
+      scope: this.scope,
+      team: this.scope === 'team' ? this.team : null,
+      detector: this.detector,
+      parameters: this.parameters
+    };
+
+    return await nameLocks.run(this.namespace, async () => {
+      const taken = await dataService.findRecords('presets', record =>
+        record.id !== this.id && record.name === presetData.name && (presetData.scope === 'team'
+          ? record.scope === 'team' && record.team === presetData.team
+          : record.scope === 'user' && record.userId === presetData.userId));
+      if (taken.length > 0) {
+        throw new DuplicatePresetError(presetData.name);
+      }
+
+      if (this.id) {
+        const changes = changedFields(this, presetData);
+        if (Object.keys(changes).length === 0) return this;
+
+        return await updateAtomically(this, { $set: changes });
+      }
+
+      const newPresetData = await dataService.createRecord('presets', presetData);
+      publishChanges(Preset, null, newPresetData);
+      return refreshFrom(this, newPresetData);
+    });
+  }
+
+  async remove() {
+    if (this.id) {
+      return Boolean(await Preset.findByIdAndDelete(this.id));
+    }
+    return false;
+  }
+
+  // Domain events for a stored change (see models/events.js)
+  static domainEvents(before, after) {
+    const record = after || before;
+    const payload = {
+      presetId: record.id,
+      userId: record.userId,
+      name: record.name,
+      scope: record.scope,
+      team: record.team
+    };
+
+    if (!before) return [{ type: EVENT_TYPES.PRESET_CREATED, payload }];
+    if (!after) return [{ type: EVENT_TYPES.PRESET_DELETED, payload }];
+    return [{ type: EVENT_TYPES.PRESET_UPDATED, payload: { ...payload, fields: Object.keys(diffRecords(before, after)) } }];
+  }
+}
+
+applyQueryMethods(Preset, {
+  collection: 'presets',
+  aliases: { user: 'userId' },
+  references: {
+    user: { localField: 'userId', model: () => require('./User') }
+  }
+});
+
+Preset.SCOPES = SCOPES;
+Preset.DuplicatePresetError = DuplicatePresetError;
+
+module.exports = Preset;
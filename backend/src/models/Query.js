@@ -0,0 +1,550 @@
+const dataService = require('../services/dataService');
+const { publishChanges } = require('./events');
+
+// Models by collection, registered by applyQueryMethods
+const modelsByCollection = new Map();
+
+// Domain events of a delete: the records whose references to it were cleared,
+// then every record removed with it, dependents first (see
+// dataService.removeWithChanges)
+const publishRemoval = ({ removed, unlinked }) => {
+  unlinked.forEach(({ collection, before, after }) => {
+    publishChanges(modelsByCollection.get(collection), before, after);
+  });
+  Object.entries(removed).forEach(([collection, records]) => {
+    const Model = modelsByCollection.get(collection);
+    records.forEach(record => publishChanges(Model, record, null));
+  });
+};
+
+// Helpers for evaluating Mongo-style filters against plain JSON records
+
+const getPath = (record, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+};
+
+const setPath = (record, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => {
+    if (obj[key] === null || typeof obj[key] !== 'object') {
+      obj[key] = {};
+    }
+    return obj[key];
+  }, record);
+  target[last] = value;
+};
+
+const unsetPath = (record, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.length > 0 ? getPath(record, keys.join('.')) : record;
+  if (target && typeof target === 'object') {
+    delete target[last];
+  }
+};
+
+// Dates are stored as ISO strings, so compare them that way
+const normalize = (value) => (value instanceof Date ? value.toISOString() : value);
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof RegExp);
+};
+
+const isOperatorObject = (value) => {
+  return isPlainObject(value) && Object.keys(value).length > 0 &&
+    Object.keys(value).every(key => key.startsWith('$'));
+};
+
+const valuesEqual = (actual, expected) => {
+  if (expected instanceof RegExp) {
+    return typeof actual === 'string' && expected.test(actual);
+  }
+  if (Array.isArray(actual) && !Array.isArray(expected)) {
+    return actual.some(item => valuesEqual(item, expected));
+  }
+
+  const a = normalize(actual);
+  const b = normalize(expected);
+  if (a === b) return true;
+  if (a == null || b == null) return a == null && b == null;
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return false;
+};
+
+const isIndexableValue = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+const compareValues = (a, b) => {
+  const x = normalize(a);
+  const y = normalize(b);
+  if (x == null && y == null) return 0;
+  if (x == null) return -1;
+  if (y == null) return 1;
+  if (x < y) return -1;
+  if (x > y) return 1;
+  return 0;
+};
+
+const matchesOperators = (actual, operators) => {
+  return Object.entries(operators).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return valuesEqual(actual, operand);
+      case '$ne':
+        return !valuesEqual(actual, operand);
+      case '$gt':
+        return actual != null && compareValues(actual, operand) > 0;
+      case '$gte':
+        return actual != null && compareValues(actual, operand) >= 0;
+      case '$lt':
+        return actual != null && compareValues(actual, operand) < 0;
+      case '$lte':
+        return actual != null && compareValues(actual, operand) <= 0;
+      case '$in':
+        return operand.some(value => valuesEqual(actual, value));
+      case '$nin':
+        return !operand.some(value => valuesEqual(actual, value));
+      case '$exists':
+        return operand ? actual !== undefined : actual === undefined;
+      case '$regex': {
+        const regex = operand instanceof RegExp ? operand : new RegExp(operand, operators.$options || '');
+        return typeof actual === 'string' && regex.test(actual);
+      }
+      case '$options':
+        return true;
+      case '$size':
+        return Array.isArray(actual) && actual.length === operand;
+      case '$elemMatch':
+        return Array.isArray(actual) && actual.some(item => (
+          isOperatorObject(operand) ? matchesOperators(item, operand) : matchesFilter(item, operand)
+        ));
+      case '$not':
+        return !matchesOperators(actual, operand);
+      default:
+        throw new Error(`Unsupported query operator: ${operator}`);
+    }
+  });
+};
+
+// Evaluate a Mongo-style filter ({ field: value, field: { $op: value }, $or: [...] })
+// against a plain record. `resolveField` maps public field names to stored ones.
+const matchesFilter = (record, filter = {}, resolveField = (field) => field) => {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every(sub => matchesFilter(record, sub, resolveField));
+    }
+    if (key === '$or') {
+      return condition.some(sub => matchesFilter(record, sub, resolveField));
+    }
+    if (key === '$nor') {
+      return !condition.some(sub => matchesFilter(record, sub, resolveField));
+    }
+
+    const actual = getPath(record, resolveField(key));
+    if (isOperatorObject(condition)) {
+      return matchesOperators(actual, condition);
+    }
+    if (condition === null) {
+      return actual == null;
+    }
+    return valuesEqual(actual, condition);
+  });
+};
+
+// Apply a Mongo-style update document. Plain keys are treated as $set.
+const applyUpdate = (record, update, resolveField = (field) => field) => {
+  const operations = Object.keys(update).some(key => key.startsWith('$'))
+    ? update
+    : { $set: update };
+
+  Object.entries(operations).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([field, value]) => {
+      const path = resolveField(field);
+      const current = getPath(record, path);
+
+      switch (operator) {
+        case '$set':
+          setPath(record, path, normalize(value));
+          break;
+        case '$unset':
+          unsetPath(record, path);
+          break;
+        case '$inc':
+          setPath(record, path, (current || 0) + value);
+          break;
+        case '$push':
+          setPath(record, path, [...(current || []), ...(value && value.$each ? value.$each : [value])]);
+          break;
+        case '$addToSet': {
+          const items = value && value.$each ? value.$each : [value];
+          const next = [...(current || [])];
+          items.forEach(item => {
+            if (!next.some(existing => valuesEqual(existing, item))) {
+              next.push(item);
+            }
+          });
+          setPath(record, path, next);
+          break;
+        }
+        case '$pull':
+          setPath(record, path, (current || []).filter(item => (
+            isOperatorObject(value) ? !matchesOperators(item, value)
+              : isPlainObject(value) ? !matchesFilter(item, value) : !valuesEqual(item, value)
+          )));
+          break;
+        default:
+          throw new Error(`Unsupported update operator: ${operator}`);
+      }
+    });
+  });
+
+  return record;
+};
+
+// Parse 'a b -c' / ['a', '-c'] / { a: 1, c: 0 } into { include: [], exclude: [] }
+const parseProjection = (fields) => {
+  const projection = { include: [], exclude: [] };
+  if (!fields) return projection;
+
+  let entries;
+  if (typeof fields === 'string') {
+    entries = fields.split(/\s+/).filter(Boolean);
+  } else if (Array.isArray(fields)) {
+    entries = fields;
+  } else {
+    entries = Object.entries(fields).map(([field, flag]) => (flag ? field : `-${field}`));
+  }
+
+  entries.forEach(entry => {
+    if (entry.startsWith('-')) {
+      projection.exclude.push(entry.slice(1));
+    } else {
+      projection.include.push(entry.replace(/^\+/, ''));
+    }
+  });
+  return projection;
+};
+
+// Parse '-createdAt name' / { createdAt: -1 } into [[field, direction], ...]
+const parseSort = (sort) => {
+  if (!sort) return [];
+  if (typeof sort === 'string') {
+    return sort.split(/\s+/).filter(Boolean).map(field => (
+      field.startsWith('-') ? [field.slice(1), -1] : [field, 1]
+    ));
+  }
+  return Object.entries(sort).map(([field, direction]) => [
+    field,
+    direction === -1 || direction === 'desc' || direction === 'descending' ? -1 : 1
+  ]);
+};
+
+// Chainable, thenable query over a file-backed model, mirroring the subset of
+// the Mongoose Query API used by the routes.
+class Query {
+  constructor(Model, operation, filter = {}, options = {}) {
+    this.Model = Model;
+    this.operation = operation;
+    this.filter = filter || {};
+    this.update = options.update || null;
+    this.options = options;
+    this._sort = [];
+    this._skip = 0;
+    this._limit = null;
+    this._projection = parseProjection(null);
+    this._populate = [];
+    this._lean = false;
+    this._withDeleted = false;
+  }
+
+  get config() {
+    return this.Model.queryConfig;
+  }
+
+  resolveField(field) {
+    const [head, ...rest] = field.split('.');
+    const resolved = this.config.aliases[head] || head;
+    return [resolved, ...rest].join('.');
+  }
+
+  sort(sort) {
+    this._sort = parseSort(sort);
+    return this;
+  }
+
+  skip(count) {
+    this._skip = Math.max(0, parseInt(count, 10) || 0);
+    return this;
+  }
+
+  limit(count) {
+    const limit = parseInt(count, 10);
+    this._limit = limit > 0 ? limit : null;
+    return this;
+  }
+
+  select(fields) {
+    const projection = parseProjection(fields);
+    this._projection = {
+      include: [...this._projection.include, ...projection.include],
+      exclude: [...this._projection.exclude, ...projection.exclude]
+    };
+    return this;
+  }
+
+  populate(path, select) {
+    if (typeof path === 'object' && path !== null && !Array.isArray(path)) {
+      this._populate.push({ path: path.path, select: path.select });
+    } else {
+      String(path).split(/\s+/).filter(Boolean).forEach(p => {
+        this._populate.push({ path: p, select });
+      });
+    }
+    return this;
+  }
+
+  lean() {
+    this._lean = true;
+    return this;
+  }
+
+  // Include soft-deleted (trashed) records, which are hidden by default
+  withDeleted() {
+    this._withDeleted = true;
+    return this;
+  }
+
+  // Trashed records stay hidden unless asked for, either with withDeleted() or
+  // by filtering on deletedAt directly
+  hidesDeleted() {
+    return Boolean(this.config.softDelete) && !this._withDeleted &&
+      !Object.prototype.hasOwnProperty.call(this.filter, 'deletedAt');
+  }
+
+  where(filter) {
+    this.filter = { ...this.filter, ...filter };
+    return this;
+  }
+
+  matches(record) {
+    if (this.hidesDeleted() && record.deletedAt != null) return false;
+    return matchesFilter(record, this.filter, field => this.resolveField(field));
+  }
+
+  // An equality or $in condition on an indexed field, used by dataService to
+  // narrow the scan before the full filter is applied
+  indexHint() {
+    const indexed = dataService.indexedFields(this.config.collection);
+
+    for (const [key, condition] of Object.entries(this.filter)) {
+      if (key.startsWith('$')) continue;
+      const field = this.resolveField(key);
+      if (!indexed.includes(field)) continue;
+
+      if (isIndexableValue(condition)) {
+        return { field, values: [condition] };
+      }
+      if (isOperatorObject(condition) && Object.keys(condition).length === 1) {
+        if (isIndexableValue(condition.$eq)) {
+          return { field, values: [condition.$eq] };
+        }
+        if (Array.isArray(condition.$in) && condition.$in.every(isIndexableValue)) {
+          return { field, values: condition.$in };
+        }
+      }
+    }
+    return null;
+  }
+
+  async findMatches() {
+    return await dataService.findRecords(
+      this.config.collection,
+      record => this.matches(record),
+      this.indexHint()
+    );
+  }
+
+  sortRecords(records) {
+    if (this._sort.length === 0) return records;
+    const sortKeys = this._sort.map(([field, direction]) => [this.resolveField(field), direction]);
+    return [...records].sort((a, b) => {
+      for (const [field, direction] of sortKeys) {
+        const result = compareValues(getPath(a, field), getPath(b, field));
+        if (result !== 0) return result * direction;
+      }
+      return 0;
+    });
+  }
+
+  project(record) {
+    const { include, exclude } = this._projection;
+    if (include.length === 0 && exclude.length === 0) return record;
+
+    let projected;
+    if (include.length > 0) {
+      projected = { id: record.id };
+      include.forEach(field => {
+        const path = this.resolveField(field);
+        const value = getPath(record, path);
+        if (value !== undefined) setPath(projected, path, value);
+      });
+    } else {
+      projected = JSON.parse(JSON.stringify(record));
+    }
+    exclude.forEach(field => unsetPath(projected, this.resolveField(field)));
+    return projected;
+  }
+
+  hydrate(record) {
+    if (!record) return null;
+    const projected = this.project(record);
+    if (this._lean) return projected;
+
+    const doc = new this.Model(projected);
+    const { include, exclude } = this._projection;
+    if (include.length > 0 || exclude.length > 0) {
+      // Drop constructor defaults for fields that were not selected
+      Object.keys(doc).forEach(key => {
+        if (key !== 'id' && !(key in projected)) {
+          delete doc[key];
+        }
+      });
+    }
+    return doc;
+  }
+
+  async populateDocs(docs) {
+    for (const { path, select } of this._populate) {
+      const reference = this.config.references[path];
+      if (!reference) {
+        throw new Error(`Cannot populate unknown path "${path}" on ${this.Model.name}`);
+      }
+
+      const RefModel = reference.model();
+      const ids = [...new Set(docs.map(doc => doc[reference.localField]).filter(Boolean))];
+      if (ids.length === 0) {
+        docs.forEach(doc => { doc[path] = null; });
+        continue;
+      }
+
+      const refQuery = RefModel.find({ _id: { $in: ids } }).withDeleted();
+      if (select) refQuery.select(select);
+      if (this._lean) refQuery.lean();
+      const refDocs = await refQuery.exec();
+      const byId = new Map(refDocs.map(refDoc => [refDoc.id, refDoc]));
+
+      docs.forEach(doc => {
+        doc[path] = byId.get(doc[reference.localField]) || null;
+      });
+    }
+    return docs;
+  }
+
+  async exec() {
+    const { collection } = this.config;
+
+    switch (this.operation) {
+      case 'find': {
+        const records = await this.findMatches();
+        const sorted = this.sortRecords(records);
+        const end = this._limit ? this._skip + this._limit : undefined;
+        const docs = sorted.slice(this._skip, end).map(record => this.hydrate(record));
+        return await this.populateDocs(docs);
+      }
+
+      case 'findOne': {
+        const records = await this.findMatches();
+        const [record] = this.sortRecords(records);
+        if (!record) return null;
+        const [doc] = await this.populateDocs([this.hydrate(record)]);
+        return doc;
+      }
+
+      case 'countDocuments': {
+        const records = await this.findMatches();
+        return records.length;
+      }
+
+      case 'findOneAndUpdate': {
+        const result = await dataService.findAndUpdate(
+          collection,
+          record => this.matches(record),
+          record => applyUpdate(record, this.update, field => this.resolveField(field)),
+          this.indexHint()
+        );
+        if (!result) return null;
+        publishChanges(this.Model, result.before, result.after);
+        const record = this.options.new ? result.after : result.before;
+        const [doc] = await this.populateDocs([this.hydrate(record)]);
+        return doc;
+      }
+
+      case 'findOneAndDelete': {
+        const result = await dataService.removeWithChanges(
+          collection,
+          record => this.matches(record),
+          this.indexHint()
+        );
+        if (!result) return null;
+        publishRemoval(result);
+        return this.hydrate(result.record);
+      }
+
+      default:
+        throw new Error(`Unsupported query operation: ${this.operation}`);
+    }
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+// Attach Mongoose-style static query methods to a model class.
+//   collection - dataService collection name
+//   aliases    - public field name -> stored field name (e.g. user -> userId)
+//   references - populatable paths: { path: { localField, model: () => Model } }
+//   softDelete - hide records with a deletedAt timestamp unless asked for
+const applyQueryMethods = (Model, { collection, aliases = {}, references = {}, softDelete = false }) => {
+  Model.queryConfig = {
+    collection,
+    aliases: { _id: 'id', ...aliases },
+    references,
+    softDelete
+  };
+  modelsByCollection.set(collection, Model);
+
+  Model.find = (filter = {}) => new Query(Model, 'find', filter);
+  Model.findOne = (filter = {}) => new Query(Model, 'findOne', filter);
+  Model.findById = (id) => new Query(Model, 'findOne', { _id: id });
+  Model.countDocuments = (filter = {}) => new Query(Model, 'countDocuments', filter);
+
+  // Like Mongoose, resolves to the document as it was before the update unless { new: true }
+  // is passed. Validators are not run; validation happens in the routes.
+  Model.findOneAndUpdate = (filter, update, options = {}) => {
+    return new Query(Model, 'findOneAndUpdate', filter, { ...options, update });
+  };
+  Model.findByIdAndUpdate = (id, update, options = {}) => {
+    return Model.findOneAndUpdate({ _id: id }, update, options);
+  };
+
+  Model.findOneAndDelete = (filter) => new Query(Model, 'findOneAndDelete', filter);
+  Model.findByIdAndDelete = (id) => Model.findOneAndDelete({ _id: id });
+
+  return Model;
+};
+
+module.exports = {
+  Query,
+  applyQueryMethods,
+  matchesFilter,
+  applyUpdate,
+  getPath
+};
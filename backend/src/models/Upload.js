@@ -1,16 +1,32 @@
 const dataService = require('../services/dataService');
+const { applyQueryMethods } = require('./Query');
+const { publishChanges, trashEvents, diffRecords } = require('./events');
+const { EVENT_TYPES } = require('../services/eventBus');
+const { markPersisted, changedFields, refreshFrom, updateAtomically } = require('./changeTracking');
+
+// 'image' or 'video' from the MIME type, or null for anything else
+const fileTypeFor = (mimetype = '') => {
+  if (mimetype.startsWith('image/')) return 'image';
+  if (mimetype.startsWith('video/')) return 'video';
+  return null;
+};
 
 class Upload {
   constructor(uploadData) {
     this.id = uploadData.id;
-    this.userId = uploadData.userId;
+    this.userId = uploadData.userId || uploadData.user;
     this.originalName = uploadData.originalName;
     this.filename = uploadData.filename;
     this.mimetype = uploadData.mimetype;
     this.size = uploadData.size;
     this.path = uploadData.path;
     this.url = uploadData.url;
-    this.fileType = uploadData.fileType;
+    this.fileType = uploadData.fileType || fileTypeFor(uploadData.mimetype);
+    // The camera the file was recorded with (see models/Camera.js), if any
+    this.cameraId = uploadData.cameraId || uploadData.camera || null;
+    // Imported ground truth, { vehicles: [{ type, boundingBox, occlusionLevel }],
+    // importedAt }, used to evaluate detectors (see services/evaluation.js)
+    this.groundTruth = uploadData.groundTruth || null;
     this.metadata = uploadData.metadata || {};
     this.thumbnailPath = uploadData.thumbnailPath || null;
     this.thumbnailUrl = uploadData.thumbnailUrl || null;
@@ -24,11 +40,20 @@ class Upload {
     this.lastAccessed = uploadData.lastAccessed;
     this.expiresAt = uploadData.expiresAt || null;
     this.checksum = uploadData.checksum;
+    this.deletedAt = uploadData.deletedAt || null;
     this.createdAt = uploadData.createdAt;
     this.updatedAt = uploadData.updatedAt;
+
+    if (uploadData.id) {
+      markPersisted(this, uploadData);
+    }
   }
 
   // Virtual properties
+  get _id() {
+    return this.id;
+  }
+
   get sizeFormatted() {
     const bytes = this.size;
     const sizes = ['Bytes', 'KB', 'MB', 'GB'];
@@ -54,31 +79,17 @@ class Upload {
   }
 
   // Static methods
-  static async findById(id) {
-    const uploadData = await dataService.getUploadById(id);
-    return uploadData ? new Upload(uploadData) : null;
-  }
-
   static async findByUserId(userId) {
-    const uploadsData = await dataService.getUploadsByUserId(userId);
-    return uploadsData.map(uploadData => new Upload(uploadData));
+    return await Upload.find({ user: userId });
   }
 
   static async findAll() {
-    const uploadsData = await dataService.getUploads();
-    return uploadsData.map(uploadData => new Upload(uploadData));
+    return await Upload.find();
   }
 
+  // The file type follows from the mimetype (see fileTypeFor)
   static async create(uploadData) {
-    // Set file type based on mimetype
-    if (uploadData.mimetype.startsWith('image/')) {
-      uploadData.fileType = 'image';
-    } else if (uploadData.mimetype.startsWith('video/')) {
-      uploadData.fileType = 'video';
-    }
-
-    const newUploadData = await dataService.createUpload(uploadData);
-    return new Upload(newUploadData);
+    return await new Upload(uploadData).save();
   }
 
   // Instance methods
@@ -92,6 +103,8 @@ class Upload {
       path: this.path,
       url: this.url,
       fileType: this.fileType,
+      cameraId: this.cameraId,
+      groundTruth: this.groundTruth,
       metadata: this.metadata,
       thumbnailPath: this.thumbnailPath,
       thumbnailUrl: this.thumbnailUrl,
@@ -104,49 +117,115 @@ class Upload {
       downloadCount: this.downloadCount,
       lastAccessed: this.lastAccessed,
       expiresAt: this.expiresAt,
-      checksum: this.checksum
+      checksum: this.checksum,
+      deletedAt: this.deletedAt
     };
 
     if (this.id) {
-      const updatedData = await dataService.updateUpload(this.id, uploadData);
-      if (updatedData) {
-        Object.assign(this, updatedData);
-      }
+      const changes = changedFields(this, uploadData);
+      if (Object.keys(changes).length === 0) return this;
+
+      await updateAtomically(this, { $set: changes });
     } else {
       const newUploadData = await dataService.createUpload(uploadData);
-      Object.assign(this, newUploadData);
+      publishChanges(Upload, null, newUploadData);
+      refreshFrom(this, newUploadData);
     }
     
     return this;
   }
 
+  // Permanently delete the record with its file and detections. Routes use
+  // softDelete() instead.
   async remove() {
     if (this.id) {
-      return await dataService.deleteUpload(this.id);
+      return Boolean(await Upload.findByIdAndDelete(this.id).withDeleted());
     }
     return false;
   }
 
+  // Move to the trash; the purge job removes the file and record later
+  async softDelete() {
+    const before = this._persisted;
+    const record = await dataService.trashRecord('uploads', this.id);
+    if (record) publishChanges(Upload, before, record);
+    return refreshFrom(this, record);
+  }
+
+  // Fails with a ReferenceIntegrityError while a referenced record is trashed
+  async restore() {
+    const before = this._persisted;
+    const record = await dataService.restoreRecord('uploads', this.id);
+    if (record) publishChanges(Upload, before, record);
+    return refreshFrom(this, record);
+  }
+
   async addProcessingHistory(action, details, userId) {
-    this.processingHistory.push({
-      action,
-      details,
-      user: userId,
-      timestamp: new Date().toISOString()
+    return await updateAtomically(this, {
+      $push: {
+        processingHistory: {
+          action,
+          details,
+          user: userId,
+          timestamp: new Date().toISOString()
+        }
+      }
     });
-    return await this.save();
   }
 
   async incrementDownloadCount() {
-    this.downloadCount += 1;
-    this.lastAccessed = new Date().toISOString();
-    return await this.save();
+    return await updateAtomically(this, {
+      $inc: { downloadCount: 1 },
+      $set: { lastAccessed: new Date().toISOString() }
+    });
   }
 
   isExpired() {
     if (!this.expiresAt) return false;
     return new Date() > new Date(this.expiresAt);
   }
+
+  // Domain events for a stored change (see models/events.js)
+  static domainEvents(before, after) {
+    const record = after || before;
+    const payload = {
+      uploadId: record.id,
+      userId: record.userId,
+      originalName: record.originalName,
+      mimetype: record.mimetype,
+      size: record.size,
+      cameraId: record.cameraId || null
+    };
+
+    if (!before) return [{ type: EVENT_TYPES.UPLOAD_CREATED, payload }];
+    if (!after) return [{ type: EVENT_TYPES.UPLOAD_DELETED, payload }];
+
+    const events = trashEvents(before, after, {
+      trashed: EVENT_TYPES.UPLOAD_TRASHED,
+      restored: EVENT_TYPES.UPLOAD_RESTORED
+    }, payload);
+
+    // Changes such as the camera or ground truth; trashing has its own events
+    // and access counters are bookkeeping
+    const fields = Object.keys(diffRecords(before, after))
+      .filter(field => !['deletedAt', 'trashedWith', 'downloadCount', 'lastAccessed'].includes(field));
+    if (fields.length > 0) {
+      events.push({ type: EVENT_TYPES.UPLOAD_UPDATED, payload: { ...payload, fields } });
+    }
+    return events;
+  }
 }
 
+applyQueryMethods(Upload, {
+  collection: 'uploads',
+  aliases: { user: 'userId', camera: 'cameraId' },
+  references: {
+    user: { localField: 'userId', model: () => require('./User') },
+    camera: { localField: 'cameraId', model: () => require('./Camera') }
+  },
+  softDelete: true
+});
+
+Upload.fileTypeFor = fileTypeFor;
+
 module.exports = Upload;
\ No newline at end of file
@@ -1,5 +1,9 @@
 const bcrypt = require('bcryptjs');
 const dataService = require('../services/dataService');
+const { applyQueryMethods } = require('./Query');
+const { diffRecords, publishChanges } = require('./events');
+const { EVENT_TYPES } = require('../services/eventBus');
+const { markPersisted, changedFields, refreshFrom, updateAtomically } = require('./changeTracking');
 
 class User {
   constructor(userData) {
@@ -10,13 +14,16 @@ class User {
     this.firstName = userData.firstName;
     this.lastName = userData.lastName;
     this.role = userData.role || 'user';
+    // Team members share team presets; set by an admin
+    this.team = userData.team || null;
     this.avatar = userData.avatar || null;
     this.isActive = userData.isActive !== undefined ? userData.isActive : true;
     this.lastLogin = userData.lastLogin;
     this.preferences = userData.preferences || {
       theme: 'light',
       notifications: { email: true, push: true },
-      language: 'en'
+      language: 'en',
+      defaultPreset: null
     };
     this.stats = userData.stats || {
       totalUploads: 0,
@@ -26,6 +33,15 @@ class User {
     };
     this.createdAt = userData.createdAt;
     this.updatedAt = userData.updatedAt;
+
+    if (userData.id) {
+      markPersisted(this, userData);
+    }
+  }
+
+  // Virtual for Mongoose-style id access
+  get _id() {
+    return this.id;
   }
 
   // Virtual for full name
@@ -34,31 +50,19 @@ class User {
   }
 
   // Static methods for database operations
-  static async findById(id) {
-    const userData = await dataService.getUserById(id);
-    return userData ? new User(userData) : null;
-  }
-
   static async findByEmail(email) {
     const userData = await dataService.getUserByEmail(email);
     return userData ? new User(userData) : null;
   }
 
   static async findByUsername(username) {
-    const users = await dataService.getUsers();
-    const userData = users.find(user => user.username === username);
+    const userData = await dataService.getUserByUsername(username);
     return userData ? new User(userData) : null;
   }
 
+  // Stores the record with its defaults; save() hashes the password
   static async create(userData) {
-    // Hash password before saving
-    if (userData.password) {
-      const salt = await bcrypt.genSalt(12);
-      userData.password = await bcrypt.hash(userData.password, salt);
-    }
-    
-    const newUserData = await dataService.createUser(userData);
-    return new User(newUserData);
+    return await new User(userData).save();
   }
 
   static async findAll() {
@@ -75,6 +79,7 @@ class User {
       firstName: this.firstName,
       lastName: this.lastName,
       role: this.role,
+      team: this.team,
       avatar: this.avatar,
       isActive: this.isActive,
       lastLogin: this.lastLogin,
@@ -83,11 +88,11 @@ class User {
     };
 
     if (this.id) {
-      // Update existing user
-      const updatedData = await dataService.updateUser(this.id, userData);
-      if (updatedData) {
-        Object.assign(this, updatedData);
-      }
+      // Update existing user, writing only the fields that changed
+      const changes = changedFields(this, userData);
+      if (Object.keys(changes).length === 0) return this;
+
+      await updateAtomically(this, { $set: changes });
     } else {
       // Create new user
       if (this.password) {
@@ -95,15 +100,17 @@ class User {
         userData.password = await bcrypt.hash(userData.password, salt);
       }
       const newUserData = await dataService.createUser(userData);
-      Object.assign(this, newUserData);
+      publishChanges(User, null, newUserData);
+      refreshFrom(this, newUserData);
     }
     
     return this;
   }
 
+  // Permanently delete the user with all of their uploads, files and detections
   async remove() {
     if (this.id) {
-      return await dataService.deleteUser(this.id);
+      return Boolean(await User.findByIdAndDelete(this.id));
     }
     return false;
   }
@@ -118,9 +125,19 @@ class User {
   }
 
   async incrementUploadStats() {
-    this.stats.totalUploads += 1;
-    this.stats.lastUploadDate = new Date().toISOString();
-    return await this.save();
+    return await updateAtomically(this, {
+      $inc: { 'stats.totalUploads': 1 },
+      $set: { 'stats.lastUploadDate': new Date().toISOString() }
+    });
+  }
+
+  async incrementDetectionStats(processingDuration = 0) {
+    return await updateAtomically(this, {
+      $inc: {
+        'stats.totalDetections': 1,
+        'stats.totalProcessingTime': processingDuration
+      }
+    });
   }
 
   toJSON() {
@@ -160,6 +177,42 @@ class User {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     return emailRegex.test(email);
   }
+
+  // Domain events for a stored change (see models/events.js). Payloads never
+  // include the password hash.
+  static domainEvents(before, after) {
+    const record = after || before;
+    const payload = { userId: record.id, username: record.username };
+
+    if (!before) return [{ type: EVENT_TYPES.USER_CREATED, payload: { ...payload, role: after.role } }];
+    if (!after) return [{ type: EVENT_TYPES.USER_DELETED, payload }];
+
+    const events = [];
+    if (before.role !== after.role) {
+      events.push({
+        type: EVENT_TYPES.USER_ROLE_CHANGED,
+        payload: { ...payload, from: before.role, to: after.role }
+      });
+    }
+    if (before.isActive !== after.isActive) {
+      events.push({
+        type: EVENT_TYPES.USER_STATUS_CHANGED,
+        payload: { ...payload, isActive: after.isActive }
+      });
+    }
+
+    // Profile and password changes; logins and stats counters are bookkeeping
+    const fields = Object.keys(diffRecords(before, after))
+      .filter(field => !['role', 'isActive', 'lastLogin', 'stats'].includes(field));
+    if (fields.length > 0) {
+      events.push({ type: EVENT_TYPES.USER_UPDATED, payload: { ...payload, fields } });
+    }
+    return events;
+  }
 }
 
+applyQueryMethods(User, {
+  collection: 'users'
+});
+
 module.exports = User;
\ No newline at end of file
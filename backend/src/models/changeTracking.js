@@ -0,0 +1,53 @@
+// Models remember the stored record they were loaded from so save() only
+// writes the fields that actually changed. Two requests saving different
+// fields of the same record (e.g. a status update and an annotation) then no
+// longer overwrite each other with stale copies.
+
+const serialize = (value) => JSON.stringify(value === undefined ? null : value);
+
+const markPersisted = (doc, record) => {
+  Object.defineProperty(doc, '_persisted', {
+    value: JSON.parse(JSON.stringify(record)),
+    writable: true,
+    configurable: true,
+    enumerable: false
+  });
+};
+
+// Subset of `data` that differs from what was last loaded or saved
+const changedFields = (doc, data) => {
+  if (!doc._persisted) return data;
+
+  return Object.keys(data).reduce((changes, key) => {
+    if (serialize(data[key]) !== serialize(doc._persisted[key])) {
+      changes[key] = data[key];
+    }
+    return changes;
+  }, {});
+};
+
+// Load a record returned by a write into the document
+const refreshFrom = (doc, record) => {
+  if (record) {
+    Object.assign(doc, record);
+    markPersisted(doc, record);
+  }
+  return doc;
+};
+
+// Apply a Mongo-style update ($push, $inc, ...) to the stored record atomically
+// and refresh the document from the result. Trashed records are included, since
+// the document is addressed by id.
+const updateAtomically = async (doc, update) => {
+  const record = await doc.constructor.findByIdAndUpdate(doc.id, update, { new: true })
+    .withDeleted()
+    .lean();
+  return refreshFrom(doc, record);
+};
+
+module.exports = {
+  markPersisted,
+  changedFields,
+  refreshFrom,
+  updateAtomically
+};
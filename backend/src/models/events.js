@@ -0,0 +1,51 @@
+const { eventBus } = require('../services/eventBus');
+
+// Never copied into events (and from there into the audit log)
+const REDACTED_FIELDS = ['password'];
+const UNTRACKED_FIELDS = ['createdAt', 'updatedAt'];
+
+// { field: { from, to } } for the top-level fields that differ between two
+// versions of a record
+const diffRecords = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  fields.forEach(field => {
+    if (UNTRACKED_FIELDS.includes(field)) return;
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: '[redacted]', to: '[redacted]' }
+      : { from: from === undefined ? null : from, to: to === undefined ? null : to };
+  });
+  return changes;
+};
+
+// Publish the domain events a model derives from a stored change. `before` is
+// null for a created record and `after` is null for a deleted one.
+const publishChanges = (Model, before, after) => {
+  const events = Model.domainEvents(before || null, after || null);
+  if (events.length === 0) return;
+
+  const record = after || before;
+  const details = {
+    target: { collection: Model.queryConfig.collection, id: record.id },
+    changes: diffRecords(before, after)
+  };
+  events.forEach(({ type, payload }) => eventBus.publish(type, payload, details));
+};
+
+// Events for moving a record in or out of the trash
+const trashEvents = (before, after, { trashed, restored }, payload) => {
+  if (!before.deletedAt && after.deletedAt) return [{ type: trashed, payload }];
+  if (before.deletedAt && !after.deletedAt) return [{ type: restored, payload }];
+  return [];
+};
+
+module.exports = {
+  diffRecords,
+  publishChanges,
+  trashEvents
+};
@@ -0,0 +1,158 @@
+const Joi = require('joi');
+const { sideOf, segmentCrossing } = require('../utils/geometry');
+const { anchorPoint, resolveParameters: resolveZoneParameters } = require('./zones');
+const { InvalidParametersError } = require('./errors');
+
+const DEFAULTS = {
+  lines: []
+};
+
+// Virtual counting lines are segments in image pixels, e.g.
+// { name: 'stop-line', points: [[100, 500], [900, 520]] }. Crossing from the
+// left of the line to its right, looking from the first point to the second,
+// is `forward`; the other way is `backward`.
+const lineSchema = Joi.object({
+  name: Joi.string().max(50).required(),
+  points: Joi.array()
+    .items(Joi.array().ordered(Joi.number().required(), Joi.number().required()))
+    .length(2)
+    .required()
+});
+
+const parametersSchema = Joi.object({
+  lines: Joi.array().items(lineSchema).max(50).unique('name')
+}).unknown(true);
+
+const resolveParameters = (parameters = {}) => {
+  const { error } = parametersSchema.validate(parameters);
+  if (error) {
+    throw new InvalidParametersError(`Invalid line parameters: ${error.message}`);
+  }
+  return {
+    lines: parameters.lines === undefined ? DEFAULTS.lines : parameters.lines,
+    zone_anchor: resolveZoneParameters(parameters).zone_anchor
+  };
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// The frames each track was detected in, by trackId, in frame order
+const trackObservations = (frames) => {
+  const byTrack = new Map();
+  frames.forEach((frame, position) => {
+    (frame.vehicles || []).forEach(vehicle => {
+      if (!vehicle.trackId) return;
+      if (!byTrack.has(vehicle.trackId)) byTrack.set(vehicle.trackId, []);
+      byTrack.get(vehicle.trackId).push({ frame: position, timestamp: frame.timestamp, vehicle });
+    });
+  });
+  return byTrack;
+};
+
+// Crossing events of one track: its anchor point moving over a line between
+// two detections. Detections with the anchor point on the line are on neither
+// side, so a track stopping on the line crosses it once it leaves to the other
+// side, at the time it reached the line; otherwise the time is interpolated
+// between the two frames.
+const trackCrossings = (track, observations, lines, anchor) => {
+  const crossings = [];
+  lines.forEach(line => {
+    const [a, b] = line.points;
+    let previous = null;
+    let onLine = null;
+    observations.forEach(current => {
+      const to = anchorPoint(current.vehicle.boundingBox, anchor);
+      if (sideOf(a, b, to) === 0) {
+        if (!onLine) onLine = current;
+        return;
+      }
+
+      const crossing = previous && segmentCrossing(anchorPoint(previous.vehicle.boundingBox, anchor), to, a, b);
+      if (crossing) {
+        crossings.push({
+          line: line.name,
+          trackId: track.trackId,
+          type: track.type,
+          direction: crossing.direction > 0 ? 'forward' : 'backward',
+          timestamp: onLine
+            ? onLine.timestamp
+            : round(previous.timestamp + (current.timestamp - previous.timestamp) * crossing.t),
+          frame: current.frame
+        });
+      }
+      previous = current;
+      onLine = null;
+    });
+  });
+  return crossings;
+};
+
+// Stays of one track in each zone: runs of detections inside the zone. Frames
+// the track was not detected in do not end a stay.
+const trackDwellTimes = (track, observations, zoneNames, frameDuration) => {
+  const dwellTimes = [];
+  zoneNames.forEach(zone => {
+    let current = null;
+    observations.forEach(observation => {
+      if (!(observation.vehicle.zones || []).includes(zone)) {
+        current = null;
+        return;
+      }
+      if (!current) {
+        current = { zone, trackId: track.trackId, type: track.type, enterTime: observation.timestamp, detectedFrames: 0 };
+        dwellTimes.push(current);
+      }
+      current.exitTime = observation.timestamp;
+      current.detectedFrames++;
+    });
+  });
+
+  return dwellTimes.map(stay => ({
+    ...stay,
+    duration: round(stay.exitTime - stay.enterTime + frameDuration)
+  }));
+};
+
+// Video post-processing stage turning tracks into traffic counts: `crossings`
+// lists every time a track crossed one of the `lines`, and `dwellTimes` every
+// stay of a track in one of the zones applied to the frames, both in time
+// order. Uses the same anchor point as the zones stage.
+const countingStage = {
+  name: 'counting',
+  validate: resolveParameters,
+  apply(video, parameters) {
+    const settings = resolveParameters(parameters);
+    const { zones = [] } = (video.processingMetadata && video.processingMetadata.zones) || {};
+    if (settings.lines.length === 0 && zones.length === 0) return video;
+
+    const sampleRate = (video.videoMetadata && video.videoMetadata.sampleRate) || 1;
+    const observations = trackObservations(video.frames);
+    const tracks = (video.tracks || []).filter(track => observations.has(track.trackId));
+
+    const crossings = tracks
+      .flatMap(track => trackCrossings(track, observations.get(track.trackId), settings.lines, settings.zone_anchor))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    const dwellTimes = tracks
+      .flatMap(track => trackDwellTimes(track, observations.get(track.trackId), zones.map(zone => zone.name), 1 / sampleRate))
+      .sort((a, b) => a.enterTime - b.enterTime);
+
+    return {
+      ...video,
+      crossings,
+      dwellTimes,
+      processingMetadata: {
+        ...video.processingMetadata,
+        counting: {
+          anchor: settings.zone_anchor,
+          lines: settings.lines
+        }
+      }
+    };
+  }
+};
+
+module.exports = {
+  DEFAULTS,
+  resolveParameters,
+  countingStage
+};
@@ -0,0 +1,14 @@
+// Raised for analysis parameters a post-processing stage cannot use. Retrying
+// the analysis cannot help, so the job fails at once.
+class InvalidParametersError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidParametersError';
+    this.code = 'INVALID_PARAMETERS';
+    this.retryable = false;
+  }
+}
+
+module.exports = {
+  InvalidParametersError
+};
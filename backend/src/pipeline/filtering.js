@@ -0,0 +1,107 @@
+const Joi = require('joi');
+const { iou } = require('../utils/geometry');
+const { InvalidParametersError } = require('./errors');
+
+// Applied when an analysis does not set them. The parameter names follow the
+// ones detections have always recorded (threshold, nms_threshold).
+const DEFAULTS = {
+  threshold: 0,
+  class_thresholds: {},
+  nms_threshold: 0.5,
+  nms_mode: 'class-aware',
+  max_detections: 100
+};
+
+const NMS_MODES = ['class-aware', 'class-agnostic', 'none'];
+
+const parametersSchema = Joi.object({
+  threshold: Joi.number().min(0).max(1),
+  class_thresholds: Joi.object().pattern(Joi.string(), Joi.number().min(0).max(1)),
+  nms_threshold: Joi.number().min(0).max(1),
+  nms_mode: Joi.string().valid(...NMS_MODES),
+  max_detections: Joi.number().integer().min(1)
+}).unknown(true);
+
+const resolveParameters = (parameters = {}) => {
+  const { error } = parametersSchema.validate(parameters);
+  if (error) {
+    throw new InvalidParametersError(`Invalid filtering parameters: ${error.message}`);
+  }
+  return Object.fromEntries(Object.keys(DEFAULTS).map(key => [
+    key,
+    parameters[key] === undefined ? DEFAULTS[key] : parameters[key]
+  ]));
+};
+
+const minimumConfidence = (vehicle, settings) => {
+  const classThreshold = settings.class_thresholds[vehicle.type];
+  return classThreshold === undefined ? settings.threshold : classThreshold;
+};
+
+// Greedy non-maximum suppression: going from the most to the least confident
+// vehicle, a box is dropped when it overlaps a kept one by more than the IoU
+// threshold. Class-aware NMS only compares vehicles of the same type.
+const suppress = (vehicles, settings) => {
+  if (settings.nms_mode === 'none') return { kept: vehicles, suppressed: [] };
+
+  const byConfidence = [...vehicles].sort((a, b) => b.confidence - a.confidence);
+  const kept = [];
+  const suppressed = [];
+  byConfidence.forEach(vehicle => {
+    const winner = kept.find(other =>
+      (settings.nms_mode === 'class-agnostic' || other.type === vehicle.type) &&
+      iou(other.boundingBox, vehicle.boundingBox) > settings.nms_threshold);
+    if (winner) {
+      suppressed.push({ id: vehicle.id, by: winner.id });
+    } else {
+      kept.push(vehicle);
+    }
+  });
+  return { kept, suppressed };
+};
+
+// Post-processing stage applying confidence thresholds (global and per vehicle
+// type), non-maximum suppression and a cap on the number of vehicles. Kept
+// vehicles stay in detector order; the applied parameters and what each step
+// removed are recorded under processingMetadata.filtering.
+const filteringStage = {
+  name: 'filtering',
+  validate: resolveParameters,
+  apply(output, parameters) {
+    const settings = resolveParameters(parameters);
+
+    const belowThreshold = output.vehicles.filter(vehicle => vehicle.confidence < minimumConfidence(vehicle, settings));
+    const confident = output.vehicles.filter(vehicle => !belowThreshold.includes(vehicle));
+
+    const { kept, suppressed } = suppress(confident, settings);
+    const overLimit = [...kept]
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(settings.max_detections);
+
+    return {
+      ...output,
+      vehicles: confident.filter(vehicle => kept.includes(vehicle) && !overLimit.includes(vehicle)),
+      processingMetadata: {
+        ...output.processingMetadata,
+        filtering: {
+          ...settings,
+          inputVehicles: output.vehicles.length,
+          removed: {
+            belowThreshold: belowThreshold.map(vehicle => vehicle.id),
+            suppressed,
+            overLimit: overLimit.map(vehicle => vehicle.id)
+          }
+        }
+      }
+    };
+  }
+};
+
+module.exports = {
+  DEFAULTS,
+  NMS_MODES,
+  parametersSchema,
+  resolveParameters,
+  suppress,
+  filteringStage
+};
@@ -0,0 +1,47 @@
+const { filteringStage } = require('./filtering');
+const { occlusionStage } = require('./occlusion');
+const { zonesStage } = require('./zones');
+const { trackingStage } = require('./tracking');
+const { countingStage } = require('./counting');
+const { InvalidParametersError } = require('./errors');
+
+// Post-processing applied, in order, to every detector's output before it is
+// stored. A stage takes { vehicles, imageMetadata, processingMetadata } and
+// the analysis parameters and returns the output for the next stage; its
+// validate() throws InvalidParametersError for parameters it cannot use.
+// Filtering runs first so that dropped boxes do not occlude anything, and
+// zones come last so their counts include the occlusion of each vehicle.
+const STAGES = [
+  filteringStage,
+  occlusionStage,
+  zonesStage
+];
+
+// Applied to a whole video once every sampled frame went through STAGES. A
+// stage takes { frames, videoMetadata, processingMetadata } and returns the
+// same for the next one. Counting works on the tracks, so it follows tracking.
+const VIDEO_STAGES = [
+  trackingStage,
+  countingStage
+];
+
+const runPipeline = (output, parameters = {}, stages = STAGES) => {
+  return stages.reduce((current, stage) => stage.apply(current, parameters), output);
+};
+
+const runVideoPipeline = (video, parameters = {}, stages = VIDEO_STAGES) => runPipeline(video, parameters, stages);
+
+// Check analysis parameters up front, so a request with unusable ones is
+// rejected instead of failing in the job queue
+const validateParameters = (parameters = {}, stages = [...STAGES, ...VIDEO_STAGES]) => {
+  stages.forEach(stage => stage.validate(parameters));
+};
+
+module.exports = {
+  STAGES,
+  VIDEO_STAGES,
+  runPipeline,
+  runVideoPipeline,
+  validateParameters,
+  InvalidParametersError
+};
@@ -0,0 +1,124 @@
+const { area, intersection, unionArea } = require('../utils/geometry');
+const { InvalidParametersError } = require('./errors');
+
+const LEVELS = ['partial', 'heavy', 'complete'];
+
+// Minimum occluded percentage for each level; below `partial` a vehicle
+// counts as not occluded. Override with OCCLUSION_THRESHOLDS=partial,heavy,complete
+// or per analysis with the occlusionThresholds parameter.
+const DEFAULT_THRESHOLDS = { partial: 5, heavy: 50, complete: 90 };
+
+// Levels left out of OCCLUSION_THRESHOLDS or not given as a number keep their
+// default, e.g. "10,60" only overrides partial and heavy
+const envThresholds = () => {
+  if (!process.env.OCCLUSION_THRESHOLDS) return {};
+  const values = process.env.OCCLUSION_THRESHOLDS.split(',').map(value => value.trim());
+  return Object.fromEntries(LEVELS
+    .map((level, index) => [level, values[index] ? Number(values[index]) : NaN])
+    .filter(([, value]) => Number.isFinite(value)));
+};
+
+const resolveThresholds = (parameters = {}) => {
+  const thresholds = {
+    ...DEFAULT_THRESHOLDS,
+    ...envThresholds(),
+    ...(parameters.occlusionThresholds || {})
+  };
+
+  const values = LEVELS.map(level => thresholds[level]);
+  const valid = values.every(value => typeof value === 'number' && value >= 0 && value <= 100) &&
+    values.every((value, index) => index === 0 || value >= values[index - 1]);
+  if (!valid) {
+    throw new InvalidParametersError(
+      'Occlusion thresholds must be numbers from 0 to 100 with partial <= heavy <= complete'
+    );
+  }
+  return Object.fromEntries(LEVELS.map(level => [level, thresholds[level]]));
+};
+
+const levelFor = (percentage, thresholds) => {
+  if (percentage >= thresholds.complete) return 'complete';
+  if (percentage >= thresholds.heavy) return 'heavy';
+  if (percentage >= thresholds.partial) return 'partial';
+  return 'none';
+};
+
+const depthOf = (vehicle) => {
+  const depth = vehicle.features && vehicle.features.depth;
+  return Number.isFinite(depth) ? depth : null;
+};
+
+// Whether `a` is in front of `b`. A depth hint (features.depth, distance from
+// the camera) decides when both vehicles have one; otherwise the vehicle whose
+// bottom edge is lower in the frame stands closer to the camera, and on a tie
+// the larger box does.
+const isInFront = (a, b) => {
+  const depthA = depthOf(a);
+  const depthB = depthOf(b);
+  if (depthA !== null && depthB !== null && depthA !== depthB) {
+    return depthA < depthB;
+  }
+
+  const bottomA = a.boundingBox.y + a.boundingBox.height;
+  const bottomB = b.boundingBox.y + b.boundingBox.height;
+  if (bottomA !== bottomB) return bottomA > bottomB;
+  return area(a.boundingBox) > area(b.boundingBox);
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Fill in the occlusion of every vehicle from the boxes in front of it. The
+// hidden share of a box is the union of its overlaps with those boxes, so a
+// region covered twice is not counted twice.
+const estimateOcclusion = (vehicles, thresholds) => {
+  return vehicles.map(vehicle => {
+    const box = vehicle.boundingBox;
+    const overlaps = vehicles
+      .filter(other => other !== vehicle && isInFront(other, vehicle))
+      .map(other => ({ id: other.id, overlap: intersection(box, other.boundingBox) }))
+      .filter(({ overlap }) => overlap);
+
+    const boxArea = area(box);
+    const percentage = boxArea > 0
+      ? round(Math.min(100, unionArea(overlaps.map(({ overlap }) => overlap)) / boxArea * 100))
+      : 0;
+    const occlusionLevel = levelFor(percentage, thresholds);
+
+    return {
+      ...vehicle,
+      occlusion: {
+        isOccluded: occlusionLevel !== 'none',
+        occlusionLevel,
+        occlusionPercentage: percentage,
+        occludedBy: overlaps.map(({ id }) => id)
+      }
+    };
+  });
+};
+
+// Post-processing stage replacing detector-reported occlusion with the
+// geometric estimate
+const occlusionStage = {
+  name: 'occlusion',
+  validate: resolveThresholds,
+  apply(output, parameters) {
+    const thresholds = resolveThresholds(parameters);
+    return {
+      ...output,
+      vehicles: estimateOcclusion(output.vehicles, thresholds),
+      processingMetadata: {
+        ...output.processingMetadata,
+        occlusion: { method: 'geometric', thresholds }
+      }
+    };
+  }
+};
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  resolveThresholds,
+  levelFor,
+  isInFront,
+  estimateOcclusion,
+  occlusionStage
+};
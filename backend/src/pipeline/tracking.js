@@ -0,0 +1,227 @@
+const Joi = require('joi');
+const { intersection, matchBoxes } = require('../utils/geometry');
+const { InvalidParametersError } = require('./errors');
+
+// Applied when an analysis does not set them
+const DEFAULTS = {
+  track_iou_threshold: 0.3,
+  track_max_gap: 2,
+  track_min_frames: 1
+};
+
+const parametersSchema = Joi.object({
+  track_iou_threshold: Joi.number().greater(0).max(1),
+  track_max_gap: Joi.number().integer().min(0),
+  track_min_frames: Joi.number().integer().min(1)
+}).unknown(true);
+
+const resolveParameters = (parameters = {}) => {
+  const { error } = parametersSchema.validate(parameters);
+  if (error) {
+    throw new InvalidParametersError(`Invalid tracking parameters: ${error.message}`);
+  }
+  return Object.fromEntries(Object.keys(DEFAULTS).map(key => [
+    key,
+    parameters[key] === undefined ? DEFAULTS[key] : parameters[key]
+  ]));
+};
+
+const LEVELS = ['none', 'partial', 'heavy', 'complete'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Where a track's box should be in `frame`, moving it on at the velocity
+// between its last two observations (constant-velocity motion model)
+const predictBox = (observations, frame) => {
+  const last = observations[observations.length - 1];
+  const previous = observations[observations.length - 2];
+  if (!previous) return last.vehicle.boundingBox;
+
+  const steps = last.frame - previous.frame;
+  const vx = (last.vehicle.boundingBox.x - previous.vehicle.boundingBox.x) / steps;
+  const vy = (last.vehicle.boundingBox.y - previous.vehicle.boundingBox.y) / steps;
+  const ahead = frame - last.frame;
+  return {
+    ...last.vehicle.boundingBox,
+    x: Math.round(last.vehicle.boundingBox.x + vx * ahead),
+    y: Math.round(last.vehicle.boundingBox.y + vy * ahead)
+  };
+};
+
+// Link the vehicles of consecutive frames. Each frame's vehicles are matched
+// to the predicted boxes of the live tracks by IoU; unmatched vehicles start
+// new tracks, and a track not matched for more than `track_max_gap` frames
+// ends. Returns the observations of every track, in order of start.
+const linkFrames = (frames, settings) => {
+  const tracks = [];
+  let live = [];
+
+  frames.forEach((frame, position) => {
+    live = live.filter(track => position - track.observations[track.observations.length - 1].frame - 1 <= settings.track_max_gap);
+
+    const vehicles = frame.vehicles || [];
+    const { matches, unmatchedB } = matchBoxes(
+      live.map(track => predictBox(track.observations, position)),
+      vehicles.map(vehicle => vehicle.boundingBox),
+      settings.track_iou_threshold
+    );
+
+    matches.forEach(({ aIndex, bIndex }) => {
+      live[aIndex].observations.push({ frame: position, vehicle: vehicles[bIndex] });
+    });
+    unmatchedB.forEach(index => {
+      const track = { observations: [{ frame: position, vehicle: vehicles[index] }] };
+      tracks.push(track);
+      live.push(track);
+    });
+  });
+
+  return tracks.filter(track => track.observations.length >= settings.track_min_frames);
+};
+
+const mostFrequent = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// Stretches of consecutive frames in which the track was occluded or not
+// detected at all (lost, most likely hidden behind another vehicle)
+const occlusionIntervals = (trackFrames, frameDuration) => {
+  const intervals = [];
+  let current = null;
+
+  trackFrames.forEach(entry => {
+    const occluded = !entry.detected || entry.occlusionLevel !== 'none';
+    if (!occluded) {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { startFrame: entry.frame, startTime: entry.timestamp, peakLevel: 'none', peakPercentage: 0, lostFrames: 0, occludedBy: new Set() };
+      intervals.push(current);
+    }
+    current.endFrame = entry.frame;
+    current.endTime = entry.timestamp;
+    if (entry.detected) {
+      if (LEVELS.indexOf(entry.occlusionLevel) > LEVELS.indexOf(current.peakLevel)) current.peakLevel = entry.occlusionLevel;
+      current.peakPercentage = Math.max(current.peakPercentage, entry.occlusionPercentage);
+    } else {
+      current.lostFrames++;
+    }
+    entry.occludedBy.forEach(trackId => current.occludedBy.add(trackId));
+  });
+
+  return intervals.map(interval => ({
+    startFrame: interval.startFrame,
+    endFrame: interval.endFrame,
+    startTime: interval.startTime,
+    endTime: interval.endTime,
+    duration: round(interval.endTime - interval.startTime + frameDuration),
+    peakLevel: interval.peakLevel,
+    peakPercentage: interval.peakPercentage,
+    lostFrames: interval.lostFrames,
+    occludedBy: [...interval.occludedBy]
+  }));
+};
+
+// Video post-processing stage linking vehicles across sampled frames into
+// tracks. Every frame vehicle gets the trackId of its track (null if its
+// track was too short to keep), and `tracks` lists per track its frames,
+// boxes and occlusion intervals, with occluders named by trackId.
+const trackingStage = {
+  name: 'tracking',
+  validate: resolveParameters,
+  apply(video, parameters) {
+    const settings = resolveParameters(parameters);
+    const linked = linkFrames(video.frames, settings);
+    const sampleRate = (video.videoMetadata && video.videoMetadata.sampleRate) || 1;
+
+    // Track ids of the vehicles in each frame, by vehicle id
+    const trackIds = video.frames.map(() => new Map());
+    linked.forEach((track, index) => {
+      track.trackId = `track_${index + 1}`;
+      track.observations.forEach(({ frame, vehicle }) => trackIds[frame].set(vehicle.id, track.trackId));
+    });
+
+    const tracks = linked.map(track => {
+      const { observations, trackId } = track;
+      const first = observations[0];
+      const last = observations[observations.length - 1];
+      const byFrame = new Map(observations.map(observation => [observation.frame, observation.vehicle]));
+
+      const trackFrames = [];
+      for (let frame = first.frame; frame <= last.frame; frame++) {
+        const { timestamp } = video.frames[frame];
+        const vehicle = byFrame.get(frame);
+        if (vehicle) {
+          const occlusion = vehicle.occlusion || {};
+          trackFrames.push({
+            frame,
+            timestamp,
+            detected: true,
+            vehicleId: vehicle.id,
+            boundingBox: vehicle.boundingBox,
+            confidence: vehicle.confidence,
+            occlusionLevel: occlusion.occlusionLevel || 'none',
+            occlusionPercentage: occlusion.occlusionPercentage || 0,
+            occludedBy: (occlusion.occludedBy || []).map(id => trackIds[frame].get(id)).filter(Boolean)
+          });
+        } else {
+          // Not detected in this frame: the predicted box, and the tracks
+          // whose vehicles cover it
+          const boundingBox = predictBox(observations.filter(observation => observation.frame < frame), frame);
+          trackFrames.push({
+            frame,
+            timestamp,
+            detected: false,
+            vehicleId: null,
+            boundingBox,
+            confidence: null,
+            occlusionLevel: null,
+            occlusionPercentage: null,
+            occludedBy: (video.frames[frame].vehicles || [])
+              .filter(other => intersection(other.boundingBox, boundingBox))
+              .map(other => trackIds[frame].get(other.id))
+              .filter(Boolean)
+          });
+        }
+      }
+
+      const intervals = occlusionIntervals(trackFrames, 1 / sampleRate);
+      return {
+        trackId,
+        type: mostFrequent(observations.map(({ vehicle }) => vehicle.type)),
+        startFrame: first.frame,
+        endFrame: last.frame,
+        startTime: video.frames[first.frame].timestamp,
+        endTime: video.frames[last.frame].timestamp,
+        detectedFrames: observations.length,
+        occludedDuration: round(intervals.reduce((total, interval) => total + interval.duration, 0)),
+        occlusionIntervals: intervals,
+        frames: trackFrames
+      };
+    });
+
+    return {
+      ...video,
+      frames: video.frames.map((frame, position) => ({
+        ...frame,
+        vehicles: (frame.vehicles || []).map(vehicle => ({ ...vehicle, trackId: trackIds[position].get(vehicle.id) || null }))
+      })),
+      tracks,
+      processingMetadata: {
+        ...video.processingMetadata,
+        tracking: { method: 'iou-motion', ...settings }
+      }
+    };
+  }
+};
+
+module.exports = {
+  DEFAULTS,
+  resolveParameters,
+  predictBox,
+  linkFrames,
+  trackingStage
+};
@@ -0,0 +1,101 @@
+const Joi = require('joi');
+const { containsPoint } = require('../utils/geometry');
+const { InvalidParametersError } = require('./errors');
+
+// The point of a vehicle's box that decides which zones it is in. The
+// bottom centre is where a vehicle meets the road, so a tall vehicle leaning
+// into the next lane in the image still counts for its own lane.
+const ANCHORS = {
+  'bottom-center': (box) => [box.x + box.width / 2, box.y + box.height],
+  center: (box) => [box.x + box.width / 2, box.y + box.height / 2]
+};
+
+const DEFAULTS = {
+  zones: [],
+  zone_anchor: 'bottom-center'
+};
+
+// Zones are polygons in image pixels, e.g.
+// { name: 'bay-1', polygon: [[0, 400], [200, 400], [200, 600], [0, 600]] }
+const zoneSchema = Joi.object({
+  name: Joi.string().max(50).required(),
+  polygon: Joi.array()
+    .items(Joi.array().ordered(Joi.number().required(), Joi.number().required()))
+    .min(3)
+    .max(100)
+    .required()
+});
+
+const anchorPoint = (box, anchor = DEFAULTS.zone_anchor) => ANCHORS[anchor](box);
+
+const parametersSchema = Joi.object({
+  zones: Joi.array().items(zoneSchema).max(50).unique('name'),
+  zone_anchor: Joi.string().valid(...Object.keys(ANCHORS))
+}).unknown(true);
+
+const resolveParameters = (parameters = {}) => {
+  const { error } = parametersSchema.validate(parameters);
+  if (error) {
+    throw new InvalidParametersError(`Invalid zone parameters: ${error.message}`);
+  }
+  return Object.fromEntries(Object.keys(DEFAULTS).map(key => [
+    key,
+    parameters[key] === undefined ? DEFAULTS[key] : parameters[key]
+  ]));
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Vehicle count and occlusion rate of every zone, from vehicles tagged by
+// zonesStage. A vehicle in two overlapping zones counts for both.
+const zoneStatistics = (vehicles, zones) => zones.map(({ name }) => {
+  const inZone = vehicles.filter(vehicle => (vehicle.zones || []).includes(name));
+  const occludedVehicles = inZone.filter(vehicle => vehicle.occlusion && vehicle.occlusion.isOccluded).length;
+  return {
+    name,
+    totalVehicles: inZone.length,
+    occludedVehicles,
+    occlusionPercentage: inZone.length > 0 ? round(occludedVehicles / inZone.length * 100) : 0
+  };
+});
+
+// Post-processing stage tagging every vehicle with the names of the zones
+// (the `zones` parameter) its anchor point falls in, and adding the per-zone
+// counts as `zoneStats`. Without zones the output is left as it is.
+const zonesStage = {
+  name: 'zones',
+  validate: resolveParameters,
+  apply(output, parameters) {
+    const settings = resolveParameters(parameters);
+    if (settings.zones.length === 0) return output;
+
+    const vehicles = output.vehicles.map(vehicle => {
+      const anchor = anchorPoint(vehicle.boundingBox, settings.zone_anchor);
+      return {
+        ...vehicle,
+        zones: settings.zones.filter(zone => containsPoint(zone.polygon, anchor)).map(zone => zone.name)
+      };
+    });
+
+    return {
+      ...output,
+      vehicles,
+      zoneStats: zoneStatistics(vehicles, settings.zones),
+      processingMetadata: {
+        ...output.processingMetadata,
+        zones: {
+          anchor: settings.zone_anchor,
+          zones: settings.zones
+        }
+      }
+    };
+  }
+};
+
+module.exports = {
+  DEFAULTS,
+  resolveParameters,
+  anchorPoint,
+  zoneStatistics,
+  zonesStage
+};
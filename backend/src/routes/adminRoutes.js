@@ -0,0 +1,170 @@
+const express = require('express');
+const snapshotService = require('../services/snapshotService');
+const { checkIntegrity } = require('../services/integrityService');
+const { jobQueue } = require('../services/jobQueue');
+const Job = require('../models/Job');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// @route   GET /api/admin/snapshots
+// @desc    List data snapshots
+// @access  Private/Admin
+router.get('/snapshots', asyncHandler(async (req, res) => {
+  const snapshots = await snapshotService.listSnapshots();
+
+  res.json({
+    success: true,
+    data: {
+      snapshots
+    }
+  });
+}));
+
+// @route   POST /api/admin/snapshots
+// @desc    Create a point-in-time snapshot of all collections and upload files
+// @access  Private/Admin
+router.post('/snapshots', asyncHandler(async (req, res) => {
+  const { label } = req.body;
+
+  if (label !== undefined && (typeof label !== 'string' || label.length > 200)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Label must be a string of at most 200 characters'
+    });
+  }
+
+  const manifest = await snapshotService.createSnapshot({ label: label || null });
+
+  res.status(201).json({
+    success: true,
+    message: 'Snapshot created successfully',
+    data: {
+      snapshot: manifest
+    }
+  });
+}));
+
+// @route   GET /api/admin/snapshots/:id/verify
+// @desc    Verify a snapshot's checksums and referenced upload files
+// @access  Private/Admin
+router.get('/snapshots/:id/verify', asyncHandler(async (req, res) => {
+  const verification = await snapshotService.verifySnapshot(req.params.id);
+
+  res.json({
+    success: true,
+    data: {
+      verification
+    }
+  });
+}));
+
+// @route   POST /api/admin/snapshots/:id/restore
+// @desc    Restore all collections and upload files from a snapshot
+// @access  Private/Admin
+router.post('/snapshots/:id/restore', asyncHandler(async (req, res) => {
+  const result = await snapshotService.restoreSnapshot(req.params.id, {
+    force: req.body.force === true
+  });
+
+  res.json({
+    success: true,
+    message: 'Snapshot restored successfully',
+    data: result
+  });
+}));
+
+// @route   GET /api/admin/integrity
+// @desc    Report dangling references and orphaned upload files
+// @access  Private/Admin
+router.get('/integrity', asyncHandler(async (req, res) => {
+  const report = await checkIntegrity();
+
+  res.json({
+    success: true,
+    data: {
+      report
+    }
+  });
+}));
+
+// @route   POST /api/admin/integrity/repair
+// @desc    Repair dangling references and orphaned upload files
+// @access  Private/Admin
+router.post('/integrity/repair', asyncHandler(async (req, res) => {
+  const report = await checkIntegrity({ repair: true });
+
+  res.json({
+    success: true,
+    message: `${report.repaired} of ${report.problems.length} problem(s) repaired`,
+    data: {
+      report
+    }
+  });
+}));
+
+// @route   GET /api/admin/jobs
+// @desc    List background jobs with queue and worker status
+// @access  Private/Admin
+router.get('/jobs', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+  const skip = (page - 1) * limit;
+  const { status, type, detection } = req.query;
+
+  if (status && !Job.STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Status must be one of: ${Job.STATUSES.join(', ')}`
+    });
+  }
+
+  const query = {};
+  if (status) query.status = status;
+  if (type) query.type = type;
+  if (detection) query.detection = detection;
+
+  const jobs = await Job.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Job.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      jobs,
+      queue: await jobQueue.status(),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// @route   GET /api/admin/jobs/:id
+// @desc    Get a background job
+// @access  Private/Admin
+router.get('/jobs/:id', asyncHandler(async (req, res) => {
+  const job = await Job.findById(req.params.id).withDeleted();
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      job
+    }
+  });
+}));
+
+module.exports = router;
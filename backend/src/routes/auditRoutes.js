@@ -0,0 +1,66 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @route   GET /api/audit
+// @desc    Get audit log entries, filtered by actor, action, target and date range
+// @access  Private/Admin
+router.get('/', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const skip = (page - 1) * limit;
+  const { actor, action, targetType, target, from, to } = req.query;
+
+  const query = {};
+  if (actor) query.actorId = actor;
+  if (targetType) query.targetType = targetType;
+  if (target) query.targetId = target;
+  if (action) {
+    // "detection.*" matches every detection action
+    query.action = action.endsWith('.*')
+      ? { $regex: `^${escapeRegex(action.slice(0, -1))}` }
+      : action;
+  }
+
+  const range = {};
+  for (const [operator, value] of [['$gte', from], ['$lte', to]]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid date: ${value}`
+      });
+    }
+    range[operator] = date.toISOString();
+  }
+  if (Object.keys(range).length > 0) {
+    query.occurredAt = range;
+  }
+
+  const entries = await AuditLog.find(query)
+    .sort({ occurredAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await AuditLog.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+module.exports = router;
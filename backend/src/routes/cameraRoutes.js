@@ -0,0 +1,258 @@
+const express = require('express');
+const Joi = require('joi');
+const Camera = require('../models/Camera');
+const Upload = require('../models/Upload');
+const Detection = require('../models/Detection');
+const Preset = require('../models/Preset');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { resolveParameters: resolveZones } = require('../pipeline/zones');
+const { resolveParameters: resolveLines } = require('../pipeline/counting');
+const { INTERVALS, cameraStatistics } = require('../services/cameraStatistics');
+
+const router = express.Router();
+
+const cameraSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  description: Joi.string().allow('').max(500),
+  location: Joi.object({
+    address: Joi.string().allow('').max(200),
+    latitude: Joi.number().min(-90).max(90),
+    longitude: Joi.number().min(-180).max(180)
+  }),
+  resolution: Joi.object({
+    width: Joi.number().integer().min(1).required(),
+    height: Joi.number().integer().min(1).required()
+  }).allow(null),
+  calibration: Joi.object(),
+  // Checked by the zones and counting stages
+  zones: Joi.array(),
+  lines: Joi.array(),
+  defaultPreset: Joi.string().allow(null)
+});
+
+const statisticsSchema = Joi.object({
+  interval: Joi.string().valid(...INTERVALS),
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+});
+
+// Unusable zones and lines are rejected with 400 by the error handler; a
+// default preset the user cannot see gives a message, otherwise null
+const checkAnalysisDefaults = async (user, { zones, lines, defaultPreset }) => {
+  if (zones) resolveZones({ zones });
+  if (lines) resolveLines({ lines });
+  if (defaultPreset && !(await Preset.findAccessibleById(user, defaultPreset))) {
+    return 'Default preset not found';
+  }
+  return null;
+};
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Camera not found'
+});
+
+// @route   GET /api/cameras
+// @desc    List the user's cameras with their number of uploads
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const cameras = await Camera.find({ user: req.user._id }).sort({ name: 1 });
+  const uploadCounts = await Promise.all(cameras.map(camera => Upload.countDocuments({ camera: camera.id })));
+
+  res.json({
+    success: true,
+    data: {
+      cameras: cameras.map((camera, index) => ({ ...camera, uploadCount: uploadCounts[index] }))
+    }
+  });
+}));
+
+// @route   POST /api/cameras
+// @desc    Create a camera
+// @access  Private
+router.post('/', asyncHandler(async (req, res) => {
+  const { error } = cameraSchema.fork(['name'], schema => schema.required()).validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+
+  const invalid = await checkAnalysisDefaults(req.user, req.body);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      message: invalid
+    });
+  }
+
+  const { name, description, location, resolution, calibration, zones, lines, defaultPreset } = req.body;
+  const camera = await Camera.create({
+    user: req.user._id,
+    name: name.trim(),
+    description,
+    location,
+    resolution,
+    calibration,
+    zones,
+    lines,
+    defaultPreset
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Camera created successfully',
+    data: {
+      camera
+    }
+  });
+}));
+
+// @route   GET /api/cameras/:id
+// @desc    Get a camera
+// @access  Private
+router.get('/:id', asyncHandler(async (req, res) => {
+  const camera = await Camera.findOwned(req.user, req.params.id);
+  if (!camera) return notFound(res);
+
+  res.json({
+    success: true,
+    data: {
+      camera
+    }
+  });
+}));
+
+// @route   PUT /api/cameras/:id
+// @desc    Update a camera
+// @access  Private
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { error } = cameraSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+
+  const camera = await Camera.findOwned(req.user, req.params.id);
+  if (!camera) return notFound(res);
+
+  const invalid = await checkAnalysisDefaults(req.user, req.body);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      message: invalid
+    });
+  }
+
+  ['name', 'description', 'location', 'resolution', 'calibration', 'zones', 'lines', 'defaultPreset'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      camera[field] = field === 'name' ? req.body.name.trim() : req.body[field];
+    }
+  });
+  await camera.save();
+
+  res.json({
+    success: true,
+    message: 'Camera updated successfully',
+    data: {
+      camera
+    }
+  });
+}));
+
+// @route   DELETE /api/cameras/:id
+// @desc    Delete a camera; its uploads are kept without a camera
+// @access  Private
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const camera = await Camera.findOwned(req.user, req.params.id);
+  if (!camera) return notFound(res);
+
+  await camera.remove();
+
+  res.json({
+    success: true,
+    message: 'Camera deleted successfully'
+  });
+}));
+
+// @route   GET /api/cameras/:id/history
+// @desc    Get the camera's uploads, newest first, with their latest detection
+// @access  Private
+router.get('/:id/history', asyncHandler(async (req, res) => {
+  const camera = await Camera.findOwned(req.user, req.params.id);
+  if (!camera) return notFound(res);
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+  const query = { camera: camera.id, user: req.user._id };
+
+  const uploads = await Upload.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+  const total = await Upload.countDocuments(query);
+
+  // Latest version of each upload, whatever its status
+  const detections = await Detection.find({ uploadedFile: { $in: uploads.map(upload => upload.id) } })
+    .sort({ version: -1 });
+  const latest = new Map();
+  detections.forEach(detection => {
+    if (!latest.has(detection.uploadId)) latest.set(detection.uploadId, detection);
+  });
+
+  res.json({
+    success: true,
+    data: {
+      camera,
+      uploads: uploads.map(upload => ({ ...upload, latestDetection: latest.get(upload.id) || null })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// @route   GET /api/cameras/:id/statistics
+// @desc    Get vehicle and occlusion statistics of the camera's analyzed uploads,
+//          overall, per zone and per interval (hour, day, week or month)
+// @access  Private
+router.get('/:id/statistics', asyncHandler(async (req, res) => {
+  const { error } = statisticsSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+
+  const camera = await Camera.findOwned(req.user, req.params.id);
+  if (!camera) return notFound(res);
+
+  const { interval = 'day', from, to } = req.query;
+  const createdAt = {};
+  if (from) createdAt.$gte = new Date(from);
+  if (to) createdAt.$lte = new Date(to);
+  const uploads = await Upload.find({
+    camera: camera.id,
+    user: req.user._id,
+    ...(from || to ? { createdAt } : {})
+  });
+  const detections = await Detection.find({ uploadedFile: { $in: uploads.map(upload => upload.id) } });
+
+  res.json({
+    success: true,
+    data: {
+      camera,
+      statistics: cameraStatistics(uploads, detections, { interval })
+    }
+  });
+}));
+
+module.exports = router;
@@ -2,14 +2,65 @@ const express = require('express');
 const Detection = require('../models/Detection');
 const Upload = require('../models/Upload');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { getRetentionDays, getPurgeDate } = require('../services/trashService');
+const Job = require('../models/Job');
+const Preset = require('../models/Preset');
+const Camera = require('../models/Camera');
+const { enqueueDetection, cancelDetection, resolveDetector } = require('../services/detectionProcessor');
+const { registry } = require('../detectors');
+const { compareDetections, DEFAULT_IOU_THRESHOLD } = require('../services/detectionComparison');
+const { validateParameters } = require('../pipeline');
+const { resolveVideoParameters } = require('../services/videoAnalysis');
+const { DEFAULT_INTERVAL, trafficAnalytics } = require('../services/trafficAnalytics');
+const { annotationSchema } = require('../services/annotationReview');
 
 const router = express.Router();
 
+// Message for a priority the queue does not know, or null
+const invalidPriority = (priority) => {
+  if (Object.prototype.hasOwnProperty.call(Job.PRIORITIES, priority)) return null;
+  return `Priority must be one of: ${Object.keys(Job.PRIORITIES).join(', ')}`;
+};
+
+// Message for a preset selection that is neither an id or name nor null, or
+// null. Anything else, such as a query object, is rejected before any lookup.
+const invalidPreset = (selection) => {
+  if (selection === undefined || selection === null || typeof selection === 'string') return null;
+  return 'Preset must be a preset id or name, or null for none';
+};
+
+// Reject parameters the pipeline (or, for videos, frame sampling) cannot use
+const checkParameters = (upload, parameters) => {
+  validateParameters(parameters);
+  if (upload.fileType === 'video') resolveVideoParameters(parameters);
+};
+
+// The preset named in the request (by id or name), else for new analyses the
+// default preset of the upload's camera or of the user, unless `preset: null`
+// asks for none. A default that has since been deleted is ignored.
+const findPreset = async (user, selection, { useDefault, camera = null }) => {
+  if (selection) return await Preset.findForAnalysis(user, selection);
+  if (!useDefault || selection !== undefined) return null;
+
+  const defaultIds = [camera && camera.defaultPreset, user.preferences.defaultPreset].filter(Boolean);
+  for (const defaultId of defaultIds) {
+    const preset = await Preset.findAccessibleById(user, defaultId);
+    if (preset) return preset;
+  }
+  return null;
+};
+
+// The camera an upload was recorded with, if it still exists
+const findCamera = async (upload) => (upload.cameraId ? await Camera.findById(upload.cameraId) : null);
+
+const presetSummary = (preset) => (preset ? { id: preset.id, name: preset.name } : null);
+const cameraSummary = (camera) => (camera ? { id: camera.id, name: camera.name } : null);
+
 // @route   POST /api/detection/analyze
 // @desc    Start vehicle detection analysis
 // @access  Private
 router.post('/analyze', asyncHandler(async (req, res) => {
-  const { uploadId, parameters } = req.body;
+  const { uploadId, parameters, detector: detectorSelection, preset: presetSelection, priority = 'normal' } = req.body;
 
   if (!uploadId) {
     return res.status(400).json({
@@ -18,6 +69,13 @@ router.post('/analyze', asyncHandler(async (req, res) => {
     });
   }
 
+  if (invalidPreset(presetSelection)) {
+    return res.status(400).json({
+      success: false,
+      message: invalidPreset(presetSelection)
+    });
+  }
+
   // Verify upload exists and belongs to user
   const upload = await Upload.findOne({
     _id: uploadId,
@@ -31,50 +89,184 @@ router.post('/analyze', asyncHandler(async (req, res) => {
     });
   }
 
+  if (invalidPriority(priority)) {
+    return res.status(400).json({
+      success: false,
+      message: invalidPriority(priority)
+    });
+  }
+
+  const camera = await findCamera(upload);
+  const preset = await findPreset(req.user, presetSelection, { useDefault: true, camera });
+  if (presetSelection && !preset) {
+    return res.status(404).json({
+      success: false,
+      message: 'Preset not found'
+    });
+  }
+
+  // Explicit parameters override the preset's, and those the camera's
+  // defaults, one by one. Unknown detectors and unusable parameters are
+  // rejected with 400 by the error handler.
+  const detector = registry.resolve(detectorSelection || (preset && preset.detector));
+  const analysisParameters = {
+    ...(camera ? camera.defaultParameters() : {}),
+    ...(preset ? preset.parameters : {}),
+    ...(parameters || {})
+  };
+  checkParameters(upload, analysisParameters);
+
   // Check if detection already exists for this upload
   const existingDetection = await Detection.findOne({ uploadedFile: uploadId });
   if (existingDetection) {
     return res.status(400).json({
       success: false,
-      message: 'Detection already exists for this upload',
+      message: 'Detection already exists for this upload; re-run it to analyze the upload again',
       data: { detectionId: existingDetection._id }
     });
   }
 
   // Create new detection record
-  const detection = new Detection({
+  const detection = await Detection.createVersion({
     user: req.user._id,
     uploadedFile: uploadId,
     status: 'pending',
     results: {
       processingMetadata: {
-        parameters: parameters || {}
+        ...detector.metadata(),
+        parameters: analysisParameters,
+        preset: presetSummary(preset),
+        camera: cameraSummary(camera)
       }
     }
   });
 
-  await detection.save();
-
-  // Start processing (mock implementation)
-  // In a real application, this would trigger ML processing
-  setTimeout(async () => {
-    try {
-      await processVehicleDetection(detection._id);
-    } catch (error) {
-      console.error('Detection processing error:', error);
-    }
-  }, 100);
+  // Processed in the background by the job queue's workers
+  const job = await enqueueDetection(detection._id, { priority: Job.PRIORITIES[priority] });
 
   res.status(201).json({
     success: true,
     message: 'Detection analysis started',
     data: {
       detectionId: detection._id,
+      jobId: job.id,
       status: detection.status
     }
   });
 }));
 
+// @route   GET /api/detection/detectors
+// @desc    List the available detectors and versions
+// @access  Private
+router.get('/detectors', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      detectors: registry.list(),
+      default: registry.resolve().id
+    }
+  });
+}));
+
+// @route   GET /api/detection/compare?base=:id&target=:id
+// @desc    Compare two detection versions of the same upload
+// @access  Private
+router.get('/compare', asyncHandler(async (req, res) => {
+  const { base: baseId, target: targetId } = req.query;
+  const iouThreshold = req.query.iou === undefined ? DEFAULT_IOU_THRESHOLD : Number(req.query.iou);
+
+  if (!baseId || !targetId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Both base and target detection IDs are required'
+    });
+  }
+
+  if (!Number.isFinite(iouThreshold) || iouThreshold < 0 || iouThreshold > 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'IoU threshold must be a number between 0 and 1'
+    });
+  }
+
+  const [base, target] = await Promise.all([baseId, targetId].map(id => Detection.findOne({
+    _id: id,
+    user: req.user._id
+  })));
+
+  if (!base || !target) {
+    return res.status(404).json({
+      success: false,
+      message: 'Detection not found'
+    });
+  }
+
+  if (base.uploadId !== target.uploadId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only detections of the same upload can be compared'
+    });
+  }
+
+  if (base.status !== 'completed' || target.status !== 'completed') {
+    return res.status(409).json({
+      success: false,
+      message: 'Both detections must be completed'
+    });
+  }
+
+  // Videos keep their vehicles per frame, so there is no vehicle list to match
+  if (base.results.mediaType === 'video' || target.results.mediaType === 'video') {
+    return res.status(400).json({
+      success: false,
+      message: 'Video detections cannot be compared; compare their tracks or analytics instead'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      comparison: compareDetections(base, target, { iouThreshold })
+    }
+  });
+}));
+
+// @route   GET /api/detection/trash
+// @desc    Get user's deleted detections awaiting purge
+// @access  Private
+router.get('/trash', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+  const query = { user: req.user._id, deletedAt: { $ne: null } };
+
+  const detections = await Detection.find(query)
+    .populate('uploadedFile', 'originalName filename url')
+    .sort({ deletedAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Detection.countDocuments(query);
+  const retentionDays = getRetentionDays();
+
+  res.json({
+    success: true,
+    data: {
+      detections: detections.map(detection => ({
+        ...detection,
+        purgeAt: getPurgeDate(detection.deletedAt, retentionDays)
+      })),
+      retentionDays,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
 // @route   GET /api/detection/:id
 // @desc    Get detection results
 // @access  Private
@@ -99,6 +291,97 @@ router.get('/:id', asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   GET /api/detection/:id/tracks
+// @desc    Vehicle tracks of a video detection, without their per-frame boxes
+// @access  Private
+router.get('/:id/tracks', asyncHandler(async (req, res) => {
+  const detection = await Detection.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!detection) {
+    return res.status(404).json({
+      success: false,
+      message: 'Detection not found'
+    });
+  }
+
+  const tracks = (detection.results.tracks || []).map(({ frames, ...track }) => track);
+
+  res.json({
+    success: true,
+    data: {
+      tracks
+    }
+  });
+}));
+
+// @route   GET /api/detection/:id/analytics
+// @desc    Line crossings and zone dwell times of a video detection, in total
+//          and per `interval` seconds of the video (default 60)
+// @access  Private
+router.get('/:id/analytics', asyncHandler(async (req, res) => {
+  const interval = req.query.interval === undefined ? DEFAULT_INTERVAL : Number(req.query.interval);
+  if (!(interval > 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Interval must be a positive number of seconds'
+    });
+  }
+
+  const detection = await Detection.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!detection) {
+    return res.status(404).json({
+      success: false,
+      message: 'Detection not found'
+    });
+  }
+
+  if (detection.results.mediaType !== 'video' || detection.status !== 'completed') {
+    return res.status(409).json({
+      success: false,
+      message: 'Analytics are only available for completed video detections'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      analytics: trafficAnalytics(detection.results, { interval })
+    }
+  });
+}));
+
+// @route   GET /api/detection/:id/tracks/:trackId
+// @desc    One vehicle track: its boxes per frame and when and by whom it was occluded
+// @access  Private
+router.get('/:id/tracks/:trackId', asyncHandler(async (req, res) => {
+  const detection = await Detection.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  const track = detection && (detection.results.tracks || []).find(candidate => candidate.trackId === req.params.trackId);
+  if (!track) {
+    return res.status(404).json({
+      success: false,
+      message: detection ? 'Track not found' : 'Detection not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      track
+    }
+  });
+}));
+
 // @route   GET /api/detection/status/:id
 // @desc    Get detection status
 // @access  Private
@@ -106,7 +389,7 @@ router.get('/status/:id', asyncHandler(async (req, res) => {
   const detection = await Detection.findOne({
     _id: req.params.id,
     user: req.user._id
-  }).select('status processingStartTime processingEndTime processingDuration');
+  }).select('status processingStartTime processingEndTime processingDuration errorDetails');
 
   if (!detection) {
     return res.status(404).json({
@@ -115,6 +398,8 @@ router.get('/status/:id', asyncHandler(async (req, res) => {
     });
   }
 
+  const job = await Job.findLatestForDetection(detection._id);
+
   res.json({
     success: true,
     data: {
@@ -122,7 +407,17 @@ router.get('/status/:id', asyncHandler(async (req, res) => {
       status: detection.status,
       processingStartTime: detection.processingStartTime,
       processingEndTime: detection.processingEndTime,
-      processingDuration: detection.processingDuration
+      processingDuration: detection.processingDuration,
+      errorDetails: detection.errorDetails,
+      job: job && {
+        id: job.id,
+        status: job.status,
+        priority: job.priority,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        runAt: job.runAt,
+        lastError: job.lastError
+      }
     }
   });
 }));
@@ -164,7 +459,7 @@ router.get('/', asyncHandler(async (req, res) => {
 }));
 
 // @route   DELETE /api/detection/:id
-// @desc    Delete detection record
+// @desc    Move detection record to the trash
 // @access  Private
 router.delete('/:id', asyncHandler(async (req, res) => {
   const detection = await Detection.findOne({
@@ -179,20 +474,49 @@ router.delete('/:id', asyncHandler(async (req, res) => {
     });
   }
 
-  await Detection.findByIdAndDelete(req.params.id);
+  await detection.softDelete();
 
   res.json({
     success: true,
-    message: 'Detection deleted successfully'
+    message: 'Detection moved to trash',
+    data: {
+      purgeAt: getPurgeDate(detection.deletedAt)
+    }
   });
 }));
 
-// @route   POST /api/detection/:id/annotate
-// @desc    Add annotation to detection
+// @route   POST /api/detection/:id/restore
+// @desc    Restore detection record from the trash
 // @access  Private
-router.post('/:id/annotate', asyncHandler(async (req, res) => {
-  const { vehicleId, correctedType, correctedOcclusion, notes } = req.body;
+router.post('/:id/restore', asyncHandler(async (req, res) => {
+  const detection = await Detection.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    deletedAt: { $ne: null }
+  });
+
+  if (!detection) {
+    return res.status(404).json({
+      success: false,
+      message: 'Detection not found in trash'
+    });
+  }
+
+  await detection.restore();
 
+  res.json({
+    success: true,
+    message: 'Detection restored successfully',
+    data: {
+      detection
+    }
+  });
+}));
+
+// @route   POST /api/detection/:id/cancel
+// @desc    Cancel a pending or running analysis
+// @access  Private
+router.post('/:id/cancel', asyncHandler(async (req, res) => {
   const detection = await Detection.findOne({
     _id: req.params.id,
     user: req.user._id
@@ -205,127 +529,179 @@ router.post('/:id/annotate', asyncHandler(async (req, res) => {
     });
   }
 
-  const annotation = {
-    user: req.user._id,
-    vehicleId,
-    correctedType,
-    correctedOcclusion,
-    notes
-  };
+  if (!['pending', 'processing'].includes(detection.status)) {
+    return res.status(409).json({
+      success: false,
+      message: `Detection is already ${detection.status}`
+    });
+  }
 
-  detection.annotations.push(annotation);
-  await detection.save();
+  // It may have finished since it was read
+  if (!await cancelDetection(detection)) {
+    return res.status(409).json({
+      success: false,
+      message: `Detection is already ${detection.status}`
+    });
+  }
 
   res.json({
     success: true,
-    message: 'Annotation added successfully',
+    message: 'Detection cancelled',
     data: {
-      annotation
+      id: detection._id,
+      status: detection.status
     }
   });
 }));
 
-// Mock ML processing function
-async function processVehicleDetection(detectionId) {
-  try {
-    const detection = await Detection.findById(detectionId);
-    if (!detection) return;
-
-    // Update status to processing
-    detection.status = 'processing';
-    detection.processingStartTime = new Date();
-    await detection.save();
-
-    // Simulate processing time
-    await new Promise(resolve => setTimeout(resolve, 5000));
-
-    // Mock detection results
-    const mockResults = {
-      totalVehicles: 3,
-      occludedVehicles: 1,
-      occlusionPercentage: 33.33,
-      vehicles: [
-        {
-          id: 'vehicle_1',
-          type: 'car',
-          confidence: 0.95,
-          boundingBox: { x: 100, y: 150, width: 200, height: 150 },
-          occlusion: {
-            isOccluded: false,
-            occlusionLevel: 'none',
-            occlusionPercentage: 0
-          },
-          features: {
-            color: 'blue',
-            size: 'medium',
-            orientation: 0
-          }
-        },
-        {
-          id: 'vehicle_2',
-          type: 'truck',
-          confidence: 0.88,
-          boundingBox: { x: 350, y: 120, width: 300, height: 200 },
-          occlusion: {
-            isOccluded: true,
-            occlusionLevel: 'partial',
-            occlusionPercentage: 35,
-            occludedBy: ['vehicle_3']
-          },
-          features: {
-            color: 'white',
-            size: 'large',
-            orientation: 15
-          }
-        },
-        {
-          id: 'vehicle_3',
-          type: 'car',
-          confidence: 0.92,
-          boundingBox: { x: 500, y: 180, width: 180, height: 140 },
-          occlusion: {
-            isOccluded: false,
-            occlusionLevel: 'none',
-            occlusionPercentage: 0
-          },
-          features: {
-            color: 'red',
-            size: 'medium',
-            orientation: -10
-          }
-        }
-      ],
+// @route   POST /api/detection/:id/rerun
+// @desc    Analyze the detection's upload again as a new version, keeping this one
+// @access  Private
+router.post('/:id/rerun', asyncHandler(async (req, res) => {
+  const { parameters, detector: detectorSelection, preset: presetSelection, priority = 'normal' } = req.body;
+
+  if (invalidPriority(priority)) {
+    return res.status(400).json({
+      success: false,
+      message: invalidPriority(priority)
+    });
+  }
+
+  if (invalidPreset(presetSelection)) {
+    return res.status(400).json({
+      success: false,
+      message: invalidPreset(presetSelection)
+    });
+  }
+
+  const previous = await Detection.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!previous) {
+    return res.status(404).json({
+      success: false,
+      message: 'Detection not found'
+    });
+  }
+
+  if (['pending', 'processing'].includes(previous.status)) {
+    return res.status(409).json({
+      success: false,
+      message: 'Detection is still running; cancel it or wait for it to finish'
+    });
+  }
+
+  const upload = await Upload.findOne({
+    _id: previous.uploadId,
+    user: req.user._id
+  });
+
+  if (!upload) {
+    return res.status(404).json({
+      success: false,
+      message: 'Upload not found'
+    });
+  }
+
+  const preset = await findPreset(req.user, presetSelection, { useDefault: false });
+  if (presetSelection && !preset) {
+    return res.status(404).json({
+      success: false,
+      message: 'Preset not found'
+    });
+  }
+
+  // Same detector, parameters and preset as before unless given. New
+  // parameters start from the camera's current defaults.
+  const camera = await findCamera(upload);
+  const previousMetadata = previous.results.processingMetadata || {};
+  const detectorChoice = detectorSelection || (preset && preset.detector);
+  const detector = detectorChoice
+    ? registry.resolve(detectorChoice)
+    : resolveDetector(previousMetadata);
+  const cameraDefaults = camera ? camera.defaultParameters() : {};
+  const rerunParameters = preset || parameters
+    ? { ...cameraDefaults, ...(preset ? preset.parameters : {}), ...(parameters || {}) }
+    : previousMetadata.parameters || {};
+  const rerunPreset = preset || parameters || presetSelection === null
+    ? presetSummary(preset)
+    : previousMetadata.preset || null;
+  checkParameters(upload, rerunParameters);
+
+  const detection = await Detection.createVersion({
+    user: req.user._id,
+    uploadedFile: upload._id,
+    rerunOf: previous._id,
+    status: 'pending',
+    results: {
       processingMetadata: {
-        modelVersion: 'v1.0.0',
-        algorithm: 'YOLO + Custom Occlusion Analysis',
-        computeTime: 4850,
-        memoryUsage: 1024
+        ...detector.metadata(),
+        parameters: rerunParameters,
+        preset: rerunPreset,
+        camera: cameraSummary(camera)
       }
-    };
-
-    // Update detection with results
-    detection.status = 'completed';
-    detection.processingEndTime = new Date();
-    detection.results = { ...detection.results, ...mockResults };
-    
-    await detection.save();
-
-    console.log(`Detection ${detectionId} completed successfully`);
-  } catch (error) {
-    console.error(`Detection ${detectionId} failed:`, error);
-    
-    // Update detection with error
-    const detection = await Detection.findById(detectionId);
-    if (detection) {
-      detection.status = 'failed';
-      detection.processingEndTime = new Date();
-      detection.errorDetails = {
-        code: 'PROCESSING_ERROR',
-        message: error.message
-      };
-      await detection.save();
     }
+  });
+
+  const job = await enqueueDetection(detection._id, { priority: Job.PRIORITIES[priority] });
+
+  res.status(201).json({
+    success: true,
+    message: 'Detection re-run started',
+    data: {
+      detectionId: detection._id,
+      version: detection.version,
+      jobId: job.id,
+      status: detection.status
+    }
+  });
+}));
+
+// @route   POST /api/detection/:id/annotate
+// @desc    Add, delete or correct a vehicle of an image detection. The
+//          detection's reviewed view is updated; its results are kept as the
+//          detector returned them.
+// @access  Private
+router.post('/:id/annotate', asyncHandler(async (req, res) => {
+  const { error, value } = annotationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+
+  const detection = await Detection.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!detection) {
+    return res.status(404).json({
+      success: false,
+      message: 'Detection not found'
+    });
+  }
+
+  if (detection.results.mediaType === 'video' || detection.status !== 'completed') {
+    return res.status(409).json({
+      success: false,
+      message: 'Only completed image detections can be annotated'
+    });
   }
-}
+
+  const annotation = await detection.addAnnotation({ user: req.user._id, ...value });
+
+  res.json({
+    success: true,
+    message: 'Annotation added successfully',
+    data: {
+      annotation,
+      reviewed: detection.reviewed
+    }
+  });
+}));
 
 module.exports = router;
\ No newline at end of file
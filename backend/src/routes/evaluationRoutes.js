@@ -0,0 +1,128 @@
+const express = require('express');
+const Detection = require('../models/Detection');
+const Upload = require('../models/Upload');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { DEFAULT_IOU_THRESHOLDS, modelOf, groundTruthFor, evaluate } = require('../services/evaluation');
+
+const router = express.Router();
+
+// Completed image detections of the user, the latest version per upload and
+// model version
+const latestImageDetections = async (user) => {
+  const detections = await Detection.find({ user: user._id, status: 'completed' }).sort({ version: -1 });
+  const latest = new Map();
+  detections
+    .filter(detection => detection.results.mediaType !== 'video')
+    .forEach(detection => {
+      const key = `${modelOf(detection)} ${detection.uploadId}`;
+      if (!latest.has(key)) latest.set(key, detection);
+    });
+  return { all: detections, latest: [...latest.values()] };
+};
+
+// "0.5,0.75" -> [0.5, 0.75], or null when a value is not in (0, 1]
+const parseThresholds = (value) => {
+  if (value === undefined) return DEFAULT_IOU_THRESHOLDS;
+  const thresholds = String(value).split(',').map(Number);
+  return thresholds.every(threshold => threshold > 0 && threshold <= 1) ? thresholds : null;
+};
+
+// @route   GET /api/evaluation/models
+// @desc    Model versions with completed image detections, and how many of
+//          those detections have ground truth to be evaluated against
+// @access  Private
+router.get('/models', asyncHandler(async (req, res) => {
+  const { all, latest } = await latestImageDetections(req.user);
+  const uploads = await Upload.find({
+    _id: { $in: [...new Set(latest.map(detection => detection.uploadId))] },
+    user: req.user._id
+  });
+  const withTruth = new Set(uploads.filter(upload => groundTruthFor(upload, all)).map(upload => upload.id));
+
+  const models = new Map();
+  latest.forEach(detection => {
+    const model = modelOf(detection);
+    const entry = models.get(model) || { model, detections: 0, withGroundTruth: 0 };
+    entry.detections++;
+    if (withTruth.has(detection.uploadId)) entry.withGroundTruth++;
+    models.set(model, entry);
+  });
+
+  res.json({
+    success: true,
+    data: {
+      models: [...models.values()].sort((a, b) => a.model.localeCompare(b.model))
+    }
+  });
+}));
+
+// @route   GET /api/evaluation?model=name@version&iou=0.5,0.75
+// @desc    Evaluate a model version's detections against ground truth: imported
+//          boxes, else the reviewed view of the upload's annotated detection.
+//          Optional camera filter.
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const { model, camera } = req.query;
+  const iouThresholds = parseThresholds(req.query.iou);
+
+  if (!model) {
+    return res.status(400).json({
+      success: false,
+      message: 'A model (name@version) is required'
+    });
+  }
+
+  if (!iouThresholds) {
+    return res.status(400).json({
+      success: false,
+      message: 'IoU thresholds must be numbers greater than 0 and at most 1'
+    });
+  }
+
+  const { all, latest } = await latestImageDetections(req.user);
+  const detections = latest.filter(detection => modelOf(detection) === model);
+  if (detections.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'No completed image detections of this model'
+    });
+  }
+
+  const uploads = await Upload.find({
+    _id: { $in: detections.map(detection => detection.uploadId) },
+    user: req.user._id,
+    ...(camera ? { camera } : {})
+  });
+  const uploadsById = new Map(uploads.map(upload => [upload.id, upload]));
+
+  const samples = [];
+  const evaluated = [];
+  detections.forEach(detection => {
+    const upload = uploadsById.get(detection.uploadId);
+    const truth = upload && groundTruthFor(upload, all);
+    if (!truth) return;
+
+    samples.push({ predictions: detection.results.vehicles || [], groundTruth: truth.vehicles });
+    evaluated.push({
+      detectionId: detection.id,
+      uploadId: upload.id,
+      originalName: upload.originalName,
+      groundTruth: truth.source,
+      groundTruthDetectionId: truth.detectionId
+    });
+  });
+
+  res.json({
+    success: true,
+    data: {
+      report: {
+        model,
+        iouThresholds,
+        ...evaluate(samples, { iouThresholds }),
+        detections: evaluated
+      }
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const express = require('express');
+const Joi = require('joi');
+const Preset = require('../models/Preset');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { registry } = require('../detectors');
+const { validateParameters } = require('../pipeline');
+const { resolveVideoParameters } = require('../services/videoAnalysis');
+
+const router = express.Router();
+
+const presetSchema = Joi.object({
+  name: Joi.string().max(50).pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).messages({
+    'string.pattern.base': 'Preset names use lowercase letters, digits and dashes, e.g. "highway-night"'
+  }),
+  description: Joi.string().allow('').max(500),
+  scope: Joi.string().valid(...Preset.SCOPES),
+  detector: Joi.string().allow(null),
+  parameters: Joi.object()
+});
+
+// Unknown detectors and unusable parameters are rejected with 400 by the
+// error handler
+const checkAnalysisSettings = ({ detector, parameters }) => {
+  if (detector) registry.resolve(detector);
+  if (parameters) {
+    validateParameters(parameters);
+    resolveVideoParameters(parameters);
+  }
+};
+
+// Team presets need a team; a message when the user has none, or null
+const missingTeam = (user, scope) => {
+  if (scope === 'team' && !user.team) return 'Team presets need a team; ask an admin to add you to one';
+  return null;
+};
+
+// @route   GET /api/presets
+// @desc    List the user's own and team presets, with their default preset
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const presets = await Preset.findAccessible(req.user);
+
+  res.json({
+    success: true,
+    data: {
+      presets,
+      defaultPresetId: req.user.preferences.defaultPreset || null
+    }
+  });
+}));
+
+// @route   POST /api/presets
+// @desc    Create a preset
+// @access  Private
+router.post('/', asyncHandler(async (req, res) => {
+  const { error } = presetSchema.fork(['name'], schema => schema.required()).validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+
+  const { name, description, scope = 'user', detector = null, parameters = {} } = req.body;
+  if (missingTeam(req.user, scope)) {
+    return res.status(400).json({
+      success: false,
+      message: missingTeam(req.user, scope)
+    });
+  }
+  checkAnalysisSettings({ detector, parameters });
+
+  const preset = await Preset.create({
+    user: req.user._id,
+    name,
+    description,
+    scope,
+    team: req.user.team,
+    detector,
+    parameters
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Preset created successfully',
+    data: {
+      preset
+    }
+  });
+}));
+
+// @route   GET /api/presets/:id
+// @desc    Get a preset
+// @access  Private
+router.get('/:id', asyncHandler(async (req, res) => {
+  const preset = await Preset.findAccessibleById(req.user, req.params.id);
+
+  if (!preset) {
+    return res.status(404).json({
+      success: false,
+      message: 'Preset not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      preset
+    }
+  });
+}));
+
+// @route   PUT /api/presets/:id
+// @desc    Update a preset
+// @access  Private (owner or admin)
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { error } = presetSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+
+  const preset = await Preset.findAccessibleById(req.user, req.params.id);
+  if (!preset) {
+    return res.status(404).json({
+      success: false,
+      message: 'Preset not found'
+    });
+  }
+
+  if (!preset.isEditableBy(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the owner of a preset can change it'
+    });
+  }
+
+  // Moving a preset to the team scope shares it with the owner's team
+  if (req.body.scope && req.body.scope !== preset.scope) {
+    const owner = preset.userId === req.user.id ? req.user : await User.findById(preset.userId);
+    if (missingTeam(owner, req.body.scope)) {
+      return res.status(400).json({
+        success: false,
+        message: missingTeam(owner, req.body.scope)
+      });
+    }
+    preset.scope = req.body.scope;
+    preset.team = owner.team;
+  }
+  checkAnalysisSettings(req.body);
+
+  ['name', 'description', 'detector', 'parameters'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      preset[field] = req.body[field];
+    }
+  });
+  await preset.save();
+
+  res.json({
+    success: true,
+    message: 'Preset updated successfully',
+    data: {
+      preset
+    }
+  });
+}));
+
+// @route   DELETE /api/presets/:id
+// @desc    Delete a preset
+// @access  Private (owner or admin)
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const preset = await Preset.findAccessibleById(req.user, req.params.id);
+  if (!preset) {
+    return res.status(404).json({
+      success: false,
+      message: 'Preset not found'
+    });
+  }
+
+  if (!preset.isEditableBy(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the owner of a preset can delete it'
+    });
+  }
+
+  await preset.remove();
+
+  // Other users' defaults that pointed at it are ignored from now on
+  if (req.user.preferences.defaultPreset === preset.id) {
+    await User.findByIdAndUpdate(req.user._id, { $set: { 'preferences.defaultPreset': null } });
+  }
+
+  res.json({
+    success: true,
+    message: 'Preset deleted successfully'
+  });
+}));
+
+module.exports = router;
@@ -1,9 +1,15 @@
 const express = require('express');
+const Joi = require('joi');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 const Upload = require('../models/Upload');
+const Camera = require('../models/Camera');
+const Detection = require('../models/Detection');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { getRetentionDays, getPurgeDate } = require('../services/trashService');
+const { OCCLUSION_LEVELS } = require('../services/evaluation');
 
 const router = express.Router();
 
@@ -37,6 +43,34 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+// The user's camera an upload is linked to: undefined when none is asked
+// for, null when the camera does not exist
+const findCamera = async (user, cameraId) => {
+  if (!cameraId) return undefined;
+  return await Camera.findOwned(user, cameraId);
+};
+
+const cameraNotFound = async (res, files) => {
+  await Promise.all(files.map(file => fs.remove(file.path)));
+  return res.status(404).json({
+    success: false,
+    message: 'Camera not found'
+  });
+};
+
+const groundTruthSchema = Joi.object({
+  vehicles: Joi.array().items(Joi.object({
+    type: Joi.string().required(),
+    boundingBox: Joi.object({
+      x: Joi.number().required(),
+      y: Joi.number().required(),
+      width: Joi.number().min(0).required(),
+      height: Joi.number().min(0).required()
+    }).required(),
+    occlusionLevel: Joi.string().valid(...OCCLUSION_LEVELS).default('none')
+  })).max(1000).required()
+});
+
 // @route   POST /api/upload/single
 // @desc    Upload a single file
 // @access  Private
@@ -48,9 +82,14 @@ router.post('/single', upload.single('file'), asyncHandler(async (req, res) => {
     });
   }
 
+  // Files recorded by a known camera carry its id in the cameraId field
+  const camera = await findCamera(req.user, req.body.cameraId);
+  if (camera === null) return await cameraNotFound(res, [req.file]);
+
   // Create upload record
   const uploadRecord = new Upload({
     user: req.user._id,
+    camera: camera ? camera.id : null,
     originalName: req.file.originalname,
     filename: req.file.filename,
     mimetype: req.file.mimetype,
@@ -60,11 +99,9 @@ router.post('/single', upload.single('file'), asyncHandler(async (req, res) => {
     checksum: req.file.filename // Simple checksum for now
   });
 
+  // User stats follow from the upload.created event (see subscribers/userStats.js)
   await uploadRecord.save();
 
-  // Update user stats
-  await req.user.incrementUploadStats();
-
   res.status(201).json({
     success: true,
     message: 'File uploaded successfully',
@@ -85,11 +122,15 @@ router.post('/multiple', upload.array('files', 5), asyncHandler(async (req, res)
     });
   }
 
+  const camera = await findCamera(req.user, req.body.cameraId);
+  if (camera === null) return await cameraNotFound(res, req.files);
+
   const uploadRecords = [];
 
   for (const file of req.files) {
     const uploadRecord = new Upload({
       user: req.user._id,
+      camera: camera ? camera.id : null,
       originalName: file.originalname,
       filename: file.filename,
       mimetype: file.mimetype,
@@ -103,9 +144,6 @@ router.post('/multiple', upload.array('files', 5), asyncHandler(async (req, res)
     uploadRecords.push(uploadRecord);
   }
 
-  // Update user stats
-  await req.user.incrementUploadStats();
-
   res.status(201).json({
     success: true,
     message: `${req.files.length} files uploaded successfully`,
@@ -145,6 +183,41 @@ router.get('/history', asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   GET /api/upload/trash
+// @desc    Get user's deleted uploads awaiting purge
+// @access  Private
+router.get('/trash', asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+  const query = { user: req.user._id, deletedAt: { $ne: null } };
+
+  const uploads = await Upload.find(query)
+    .sort({ deletedAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Upload.countDocuments(query);
+  const retentionDays = getRetentionDays();
+
+  res.json({
+    success: true,
+    data: {
+      uploads: uploads.map(upload => ({
+        ...upload,
+        purgeAt: getPurgeDate(upload.deletedAt, retentionDays)
+      })),
+      retentionDays,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
 // @route   GET /api/upload/:id
 // @desc    Get specific upload details
 // @access  Private
@@ -169,8 +242,147 @@ router.get('/:id', asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   GET /api/upload/:id/detections
+// @desc    Get every detection version of an upload, newest first
+// @access  Private
+router.get('/:id/detections', asyncHandler(async (req, res) => {
+  const upload = await Upload.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!upload) {
+    return res.status(404).json({
+      success: false,
+      message: 'Upload not found'
+    });
+  }
+
+  const detections = await Detection.findVersions(upload._id);
+
+  res.json({
+    success: true,
+    data: {
+      upload,
+      detections
+    }
+  });
+}));
+
+// @route   PUT /api/upload/:id/camera
+// @desc    Link an upload to one of the user's cameras, or unlink it with null
+// @access  Private
+router.put('/:id/camera', asyncHandler(async (req, res) => {
+  const { cameraId } = req.body;
+  if (cameraId !== null && typeof cameraId !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'cameraId must be a camera id or null'
+    });
+  }
+
+  const upload = await Upload.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!upload) {
+    return res.status(404).json({
+      success: false,
+      message: 'Upload not found'
+    });
+  }
+
+  const camera = await findCamera(req.user, cameraId);
+  if (camera === null) return await cameraNotFound(res, []);
+
+  upload.cameraId = camera ? camera.id : null;
+  await upload.save();
+
+  res.json({
+    success: true,
+    message: camera ? 'Upload linked to camera' : 'Upload unlinked from its camera',
+    data: {
+      upload
+    }
+  });
+}));
+
+// @route   PUT /api/upload/:id/ground-truth
+// @desc    Import ground-truth vehicle boxes of an image upload, replacing any
+//          imported before
+// @access  Private
+router.put('/:id/ground-truth', asyncHandler(async (req, res) => {
+  const { error, value } = groundTruthSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+
+  const upload = await Upload.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!upload) {
+    return res.status(404).json({
+      success: false,
+      message: 'Upload not found'
+    });
+  }
+
+  if (upload.fileType !== 'image') {
+    return res.status(400).json({
+      success: false,
+      message: 'Ground truth can only be imported for images'
+    });
+  }
+
+  upload.groundTruth = {
+    vehicles: value.vehicles.map((vehicle, index) => ({ id: `gt_${index + 1}`, ...vehicle })),
+    importedAt: new Date().toISOString()
+  };
+  await upload.save();
+
+  res.json({
+    success: true,
+    message: 'Ground truth imported successfully',
+    data: {
+      groundTruth: upload.groundTruth
+    }
+  });
+}));
+
+// @route   DELETE /api/upload/:id/ground-truth
+// @desc    Remove an upload's imported ground truth; its annotated detection,
+//          if any, serves as ground truth again
+// @access  Private
+router.delete('/:id/ground-truth', asyncHandler(async (req, res) => {
+  const upload = await Upload.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!upload) {
+    return res.status(404).json({
+      success: false,
+      message: 'Upload not found'
+    });
+  }
+
+  upload.groundTruth = null;
+  await upload.save();
+
+  res.json({
+    success: true,
+    message: 'Ground truth removed'
+  });
+}));
+
 // @route   DELETE /api/upload/:id
-// @desc    Delete an upload
+// @desc    Move an upload to the trash
 // @access  Private
 router.delete('/:id', asyncHandler(async (req, res) => {
   const upload = await Upload.findOne({
@@ -185,20 +397,43 @@ router.delete('/:id', asyncHandler(async (req, res) => {
     });
   }
 
-  // Delete file from filesystem
-  const fs = require('fs').promises;
-  try {
-    await fs.unlink(upload.path);
-  } catch (error) {
-    console.error('Error deleting file:', error);
+  // The file stays on disk until the trash is purged
+  await upload.softDelete();
+
+  res.json({
+    success: true,
+    message: 'Upload moved to trash',
+    data: {
+      purgeAt: getPurgeDate(upload.deletedAt)
+    }
+  });
+}));
+
+// @route   POST /api/upload/:id/restore
+// @desc    Restore an upload from the trash
+// @access  Private
+router.post('/:id/restore', asyncHandler(async (req, res) => {
+  const upload = await Upload.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    deletedAt: { $ne: null }
+  });
+
+  if (!upload) {
+    return res.status(404).json({
+      success: false,
+      message: 'Upload not found in trash'
+    });
   }
 
-  // Delete from database
-  await Upload.findByIdAndDelete(req.params.id);
+  await upload.restore();
 
   res.json({
     success: true,
-    message: 'Upload deleted successfully'
+    message: 'Upload restored successfully',
+    data: {
+      upload
+    }
   });
 }));
 
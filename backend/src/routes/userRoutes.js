@@ -1,6 +1,7 @@
 const express = require('express');
 const Joi = require('joi');
 const User = require('../models/User');
+const Preset = require('../models/Preset');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authorizeRoles } = require('../middleware/auth');
 
@@ -31,7 +32,8 @@ router.put('/profile', asyncHandler(async (req, res) => {
         email: Joi.boolean(),
         push: Joi.boolean()
       }),
-      language: Joi.string()
+      language: Joi.string(),
+      defaultPreset: Joi.string().allow(null)
     })
   });
 
@@ -43,6 +45,15 @@ router.put('/profile', asyncHandler(async (req, res) => {
     });
   }
 
+  const { preferences } = req.body;
+  if (preferences && preferences.defaultPreset &&
+      !(await Preset.findAccessibleById(req.user, preferences.defaultPreset))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Default preset not found'
+    });
+  }
+
   const allowedUpdates = ['firstName', 'lastName', 'preferences'];
   const updates = {};
   
@@ -52,6 +63,11 @@ router.put('/profile', asyncHandler(async (req, res) => {
     }
   }
 
+  // Preferences not sent keep their values
+  if (preferences) {
+    updates.preferences = { ...req.user.preferences, ...preferences };
+  }
+
   const user = await User.findByIdAndUpdate(
     req.user._id,
     updates,
@@ -199,4 +215,65 @@ router.put('/:id/status', authorizeRoles('admin'), asyncHandler(async (req, res)
   });
 }));
 
+// @route   PUT /api/users/:id/team
+// @desc    Set or clear the team a user belongs to (admin only)
+// @access  Private/Admin
+router.put('/:id/team', authorizeRoles('admin'), asyncHandler(async (req, res) => {
+  const { team } = req.body;
+
+  if (team !== null && (typeof team !== 'string' || team.trim().length === 0 || team.length > 50)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Team must be a name of up to 50 characters, or null'
+    });
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { team: team === null ? null : team.trim() },
+    { new: true }
+  ).select('-password');
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'User team updated successfully',
+    data: {
+      user
+    }
+  });
+}));
+
+// @route   DELETE /api/users/:id
+// @desc    Delete a user with all of their uploads, files and detections (admin only)
+// @access  Private/Admin
+router.delete('/:id', authorizeRoles('admin'), asyncHandler(async (req, res) => {
+  if (req.params.id === req.user._id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot delete your own account'
+    });
+  }
+
+  const user = await User.findByIdAndDelete(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'User and all of their data deleted successfully'
+  });
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -11,13 +11,22 @@ const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
 const detectionRoutes = require('./routes/detectionRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const presetRoutes = require('./routes/presetRoutes');
+const cameraRoutes = require('./routes/cameraRoutes');
+const evaluationRoutes = require('./routes/evaluationRoutes');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
-const { authenticateToken } = require('./middleware/auth');
+const { authenticateToken, authorizeRoles } = require('./middleware/auth');
 
 // Initialize data service
 const dataService = require('./services/dataService');
+const { startPurgeJob } = require('./services/trashService');
+const { registerSubscribers } = require('./subscribers');
+const { jobQueue } = require('./services/jobQueue');
+const { DETECTION_JOB, detectionJobHandler } = require('./services/detectionProcessor');
 
 const app = express();
 const PORT = process.env.PORT || 5002;
@@ -63,13 +72,18 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use('/uploads', express.static('uploads'));
 
 // Initialize data storage
-console.log('Initializing local data storage...');
+console.log(`Initializing ${dataService.storageName} data storage...`);
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
 app.use('/api/detection', authenticateToken, detectionRoutes);
 app.use('/api/upload', authenticateToken, uploadRoutes);
+app.use('/api/presets', authenticateToken, presetRoutes);
+app.use('/api/cameras', authenticateToken, cameraRoutes);
+app.use('/api/evaluation', authenticateToken, evaluationRoutes);
+app.use('/api/admin', authenticateToken, authorizeRoles('admin'), adminRoutes);
+app.use('/api/audit', authenticateToken, authorizeRoles('admin'), auditRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -78,7 +92,7 @@ app.get('/api/health', (req, res) => {
     message: 'Vehicle Occlusion API is running',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    storage: 'Local file system'
+    storage: dataService.storageName
   });
 });
 
@@ -93,6 +107,7 @@ app.get('/', (req, res) => {
       users: '/api/users',
       detection: '/api/detection',
       upload: '/api/upload',
+      admin: '/api/admin',
       health: '/api/health'
     }
   });
@@ -109,11 +124,26 @@ app.use('*', (req, res) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log('Using local file storage for data persistence');
-});
+// React to domain events (see services/eventBus.js)
+registerSubscribers();
+
+// Background work run by the job queue's workers
+jobQueue.register(DETECTION_JOB, detectionJobHandler);
+
+// Start server once storage is ready
+dataService.ready
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Server is running on port ${PORT}`);
+      console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`Using ${dataService.storageName} storage for data persistence`);
+    });
+    startPurgeJob();
+    jobQueue.start();
+  })
+  .catch((error) => {
+    console.error('Failed to initialize data storage:', error);
+    process.exit(1);
+  });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,118 @@
+// In-process copy of one collection with hash indexes on selected fields.
+//
+// Records are kept by id in insertion order. Each indexed field maps a value
+// to the set of ids holding it, so equality lookups do not scan the collection.
+// Stored records are never handed out directly; callers get copies.
+class CollectionCache {
+  constructor(indexedFields = []) {
+    this.indexedFields = indexedFields;
+    this.records = new Map();
+    // Insertion position per id, so index lookups can return records in
+    // collection order even after updates
+    this.positions = new Map();
+    this.nextPosition = 0;
+    this.indexes = new Map(indexedFields.map(field => [field, new Map()]));
+  }
+
+  static clone(record) {
+    return JSON.parse(JSON.stringify(record));
+  }
+
+  load(records) {
+    this.records.clear();
+    this.positions.clear();
+    this.nextPosition = 0;
+    this.indexes.forEach(index => index.clear());
+    records.forEach(record => this.set(record));
+    return this;
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  isIndexed(field) {
+    return field === 'id' || this.indexes.has(field);
+  }
+
+  // Index keys are normalized so '1' and 1 do not collide with each other
+  indexKey(value) {
+    return `${typeof value}:${value}`;
+  }
+
+  addToIndexes(record) {
+    this.indexes.forEach((index, field) => {
+      const value = record[field];
+      if (value === undefined || value === null) return;
+
+      const key = this.indexKey(value);
+      if (!index.has(key)) {
+        index.set(key, new Set());
+      }
+      index.get(key).add(record.id);
+    });
+  }
+
+  removeFromIndexes(record) {
+    this.indexes.forEach((index, field) => {
+      const value = record[field];
+      if (value === undefined || value === null) return;
+
+      const key = this.indexKey(value);
+      const ids = index.get(key);
+      if (ids) {
+        ids.delete(record.id);
+        if (ids.size === 0) index.delete(key);
+      }
+    });
+  }
+
+  set(record) {
+    const existing = this.records.get(record.id);
+    if (existing) {
+      this.removeFromIndexes(existing);
+    } else {
+      this.positions.set(record.id, this.nextPosition++);
+    }
+    const stored = CollectionCache.clone(record);
+    this.records.set(record.id, stored);
+    this.addToIndexes(stored);
+  }
+
+  delete(id) {
+    const existing = this.records.get(id);
+    if (!existing) return false;
+
+    this.removeFromIndexes(existing);
+    this.records.delete(id);
+    this.positions.delete(id);
+    return true;
+  }
+
+  // Stored records (not copies) for the given field values, in insertion order.
+  // Only for read-only use inside the data layer.
+  lookup(field, values) {
+    const ids = new Set();
+    if (field === 'id') {
+      values.forEach(value => {
+        if (this.records.has(value)) ids.add(value);
+      });
+    } else {
+      const index = this.indexes.get(field);
+      values.forEach(value => {
+        const matches = index.get(this.indexKey(value));
+        if (matches) matches.forEach(id => ids.add(id));
+      });
+    }
+
+    return [...ids]
+      .sort((a, b) => this.positions.get(a) - this.positions.get(b))
+      .map(id => this.records.get(id));
+  }
+
+  values() {
+    return this.records.values();
+  }
+}
+
+module.exports = CollectionCache;
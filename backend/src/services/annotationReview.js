@@ -0,0 +1,188 @@
+const Joi = require('joi');
+const { zonesStage } = require('../pipeline/zones');
+
+// People reviewing an image detection append annotations to it: `add` a
+// vehicle the detector missed, `delete` a false positive, or `update` one by
+// moving or resizing its box and correcting its type, occlusion level and the
+// vehicles occluding it. The reviewed view is the detector's vehicles with
+// every annotation applied in order. It is stored on the detection under
+// `reviewed`; `results` stays the detector's output.
+
+const ACTIONS = ['add', 'update', 'delete'];
+
+const OCCLUSION_LEVELS = ['none', 'partial', 'heavy', 'complete'];
+
+// Raised for an annotation that refers to vehicles the reviewed view does not
+// have
+class InvalidAnnotationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidAnnotationError';
+  }
+}
+
+const boundingBoxSchema = Joi.object({
+  x: Joi.number().required(),
+  y: Joi.number().required(),
+  width: Joi.number().min(0).required(),
+  height: Joi.number().min(0).required()
+});
+
+const occludedBySchema = Joi.array().items(Joi.string()).max(100).unique();
+
+// Fields only an update may carry
+const updateOnly = (schema) => schema.when('action', { is: 'update', otherwise: Joi.forbidden() });
+
+// Annotations without an action are updates, as all annotations used to be.
+// correctedOcclusion is a level or an occlusion object with one.
+const annotationSchema = Joi.object({
+  action: Joi.string().valid(...ACTIONS).default('update'),
+  vehicleId: Joi.string().when('action', { is: 'add', then: Joi.forbidden(), otherwise: Joi.required() }),
+  vehicle: Joi.object({
+    type: Joi.string().required(),
+    boundingBox: boundingBoxSchema.required(),
+    occlusionLevel: Joi.string().valid(...OCCLUSION_LEVELS).default('none'),
+    occludedBy: occludedBySchema.default([])
+  }).when('action', { is: 'add', then: Joi.required(), otherwise: Joi.forbidden() }),
+  correctedType: updateOnly(Joi.string()),
+  correctedOcclusion: updateOnly(Joi.alternatives().try(
+    Joi.string().valid(...OCCLUSION_LEVELS),
+    Joi.object({
+      occlusionLevel: Joi.string().valid(...OCCLUSION_LEVELS).required(),
+      occlusionPercentage: Joi.number().min(0).max(100)
+    })
+  )),
+  boundingBox: updateOnly(boundingBoxSchema),
+  occludedBy: updateOnly(occludedBySchema),
+  notes: Joi.string().allow('').max(2000)
+});
+
+const occlusionOf = (level, occludedBy, percentage = null) => ({
+  isOccluded: level !== 'none',
+  occlusionLevel: level,
+  occlusionPercentage: level === 'none' ? 0 : percentage,
+  occludedBy
+});
+
+// A corrected occlusion level keeps the detector's percentage only when the
+// level did not change
+const correctOcclusion = (occlusion, corrected) => {
+  const level = typeof corrected === 'string' ? corrected : corrected.occlusionLevel;
+  if (typeof corrected === 'object' && corrected.occlusionPercentage !== undefined) {
+    return occlusionOf(level, occlusion.occludedBy, corrected.occlusionPercentage);
+  }
+  return occlusionOf(level, occlusion.occludedBy,
+    level === occlusion.occlusionLevel ? occlusion.occlusionPercentage : null);
+};
+
+const updateVehicle = (vehicle, annotation) => {
+  const { correctedType, correctedOcclusion, boundingBox, occludedBy } = annotation;
+  if (!correctedType && !correctedOcclusion && !boundingBox && !occludedBy) return vehicle;
+
+  let occlusion = vehicle.occlusion || occlusionOf('none', []);
+  if (correctedOcclusion) occlusion = correctOcclusion(occlusion, correctedOcclusion);
+  if (occludedBy) occlusion = { ...occlusion, occludedBy };
+
+  return {
+    ...vehicle,
+    type: correctedType || vehicle.type,
+    boundingBox: boundingBox || vehicle.boundingBox,
+    occlusion,
+    review: vehicle.review === 'added' ? 'added' : 'corrected'
+  };
+};
+
+const applyAnnotation = (vehicles, annotation) => {
+  const { action = 'update', vehicleId } = annotation;
+
+  if (action === 'add') {
+    const { type, boundingBox, occlusionLevel, occludedBy } = annotation.vehicle;
+    return [...vehicles, {
+      id: vehicleId,
+      type,
+      confidence: null,
+      boundingBox,
+      occlusion: occlusionOf(occlusionLevel, occludedBy),
+      review: 'added'
+    }];
+  }
+
+  // A deleted vehicle no longer occludes any other
+  if (action === 'delete') {
+    return vehicles
+      .filter(vehicle => vehicle.id !== vehicleId)
+      .map(vehicle => {
+        const occlusion = vehicle.occlusion || {};
+        if (!(occlusion.occludedBy || []).includes(vehicleId)) return vehicle;
+        return { ...vehicle, occlusion: { ...occlusion, occludedBy: occlusion.occludedBy.filter(id => id !== vehicleId) } };
+      });
+  }
+
+  // Annotations of vehicles that are gone (or never existed) change nothing
+  return vehicles.map(vehicle => (vehicle.id === vehicleId ? updateVehicle(vehicle, annotation) : vehicle));
+};
+
+// Reviewed view of a detection's results with `annotations` applied. Vehicles
+// are tagged `review: 'unchanged' | 'corrected' | 'added'`, and re-tagged with
+// the zones the analysis used, since boxes may have moved.
+const reviewedView = (results, annotations) => {
+  const original = (results.vehicles || []).map(vehicle => ({ ...vehicle, review: 'unchanged' }));
+  let vehicles = annotations.reduce(applyAnnotation, original);
+
+  const zoneSettings = (results.processingMetadata || {}).zones;
+  let zoneStats;
+  if (zoneSettings) {
+    ({ vehicles, zoneStats } = zonesStage.apply({ vehicles, processingMetadata: {} }, {
+      zones: zoneSettings.zones,
+      zone_anchor: zoneSettings.anchor
+    }));
+  }
+
+  const kept = new Set(vehicles.map(vehicle => vehicle.id));
+  const occludedVehicles = vehicles.filter(vehicle => vehicle.occlusion && vehicle.occlusion.isOccluded).length;
+  return {
+    vehicles,
+    removedVehicles: original.filter(vehicle => !kept.has(vehicle.id)).map(vehicle => vehicle.id),
+    totalVehicles: vehicles.length,
+    occludedVehicles,
+    occlusionPercentage: vehicles.length > 0 ? (occludedVehicles / vehicles.length) * 100 : 0,
+    ...(zoneStats ? { zoneStats } : {}),
+    annotationCount: annotations.length,
+    reviewedAt: annotations.length > 0 ? annotations[annotations.length - 1].timestamp : null
+  };
+};
+
+// Check a validated annotation against the current reviewed view and return it
+// ready to be stored: added vehicles get the next `added_N` id, so later
+// annotations can refer to them.
+const prepareAnnotation = (results, annotations, annotation) => {
+  const { vehicles } = reviewedView(results, annotations);
+  const ids = new Set(vehicles.map(vehicle => vehicle.id));
+
+  const prepared = { ...annotation };
+  if (prepared.action === 'add') {
+    const added = annotations.filter(existing => existing.action === 'add').length;
+    prepared.vehicleId = `added_${added + 1}`;
+  } else if (!ids.has(prepared.vehicleId)) {
+    throw new InvalidAnnotationError(`Vehicle ${prepared.vehicleId} is not in the reviewed detection`);
+  }
+
+  const occludedBy = prepared.action === 'add' ? prepared.vehicle.occludedBy : prepared.occludedBy;
+  (occludedBy || []).forEach(id => {
+    if (id === prepared.vehicleId) {
+      throw new InvalidAnnotationError('A vehicle cannot occlude itself');
+    }
+    if (!ids.has(id)) {
+      throw new InvalidAnnotationError(`Occluding vehicle ${id} is not in the reviewed detection`);
+    }
+  });
+
+  return prepared;
+};
+
+module.exports = {
+  annotationSchema,
+  reviewedView,
+  prepareAnnotation,
+  InvalidAnnotationError
+};
@@ -0,0 +1,82 @@
+// Statistics over the analyses of a camera's uploads. Each upload counts
+// once, with its latest completed detection version, at the time it was
+// uploaded.
+
+const INTERVALS = ['hour', 'day', 'week', 'month'];
+
+const round = (value) => Math.round(value * 100) / 100;
+const mean = (values) => (values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0);
+
+// Start of the period (UTC) `date` falls in, as an ISO string. Weeks start on
+// Monday.
+const periodStart = (date, interval) => {
+  const start = new Date(date);
+  if (interval === 'month') start.setUTCDate(1);
+  if (interval === 'week') start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+  start.setUTCHours(interval === 'hour' ? start.getUTCHours() : 0, 0, 0, 0);
+  return start.toISOString();
+};
+
+// Latest completed version of each upload's detections, by upload id
+const latestCompleted = (detections) => {
+  const latest = new Map();
+  detections
+    .filter(detection => detection.status === 'completed')
+    .forEach(detection => {
+      const current = latest.get(detection.uploadId);
+      if (!current || detection.version > current.version) latest.set(detection.uploadId, detection);
+    });
+  return latest;
+};
+
+// Totals of a set of analyses: results with totalVehicles, occlusionPercentage
+const aggregate = (results) => ({
+  analyses: results.length,
+  totalVehicles: results.reduce((sum, result) => sum + (result.totalVehicles || 0), 0),
+  averageVehicles: mean(results.map(result => result.totalVehicles || 0)),
+  peakVehicles: Math.max(0, ...results.map(result => result.totalVehicles || 0)),
+  averageOcclusionPercentage: mean(results.map(result => result.occlusionPercentage || 0))
+});
+
+// Per-zone totals, by zone name, over the analyses that reported the zone
+const aggregateZones = (results) => {
+  const byZone = new Map();
+  results.forEach(result => {
+    (result.zoneStats || []).forEach(zone => {
+      if (!byZone.has(zone.name)) byZone.set(zone.name, []);
+      byZone.get(zone.name).push({ totalVehicles: zone.totalVehicles, occlusionPercentage: zone.occlusionPercentage });
+    });
+  });
+  return [...byZone.entries()].map(([name, zoneResults]) => ({ name, ...aggregate(zoneResults) }));
+};
+
+// Statistics of a camera's uploads: overall and per zone, and the same per
+// `interval` period in time order
+const cameraStatistics = (uploads, detections, { interval = 'day' } = {}) => {
+  const latest = latestCompleted(detections);
+  const analyzed = uploads
+    .filter(upload => latest.has(upload.id))
+    .map(upload => ({ upload, results: latest.get(upload.id).results || {} }));
+
+  const periods = new Map();
+  analyzed.forEach(entry => {
+    const start = periodStart(entry.upload.createdAt, interval);
+    if (!periods.has(start)) periods.set(start, []);
+    periods.get(start).push(entry.results);
+  });
+
+  return {
+    uploads: uploads.length,
+    analyzedUploads: analyzed.length,
+    ...aggregate(analyzed.map(entry => entry.results)),
+    zones: aggregateZones(analyzed.map(entry => entry.results)),
+    interval,
+    periods: [...periods.keys()].sort().map(start => ({ start, ...aggregate(periods.get(start)) }))
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  periodStart,
+  cameraStatistics
+};
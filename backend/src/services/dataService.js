@@ -1,216 +1,527 @@
 const fs = require('fs-extra');
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { COLLECTIONS, createStorageAdapter, ReferenceIntegrityError } = require('./storage');
+const { migrate, formatMigrationReport } = require('./migrationService');
+const KeyedLock = require('../utils/KeyedLock');
+const CollectionCache = require('./CollectionCache');
+const { resolveUploadPath } = require('../utils/uploadPaths');
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Secondary indexes kept per collection (records are always indexed by id)
+const INDEXES = {
+  users: ['email', 'username'],
+  uploads: ['userId', 'cameraId'],
+  detections: ['userId', 'uploadId'],
+  auditLogs: ['actorId', 'action', 'targetId'],
+  jobs: ['detectionId', 'status'],
+  presets: ['userId', 'team'],
+  cameras: ['userId']
+};
+
+// Collections whose records can be added but never changed or removed
+const APPEND_ONLY = ['auditLogs'];
+
+// References between collections. Deleting a record deletes every record that
+// references it (directly or through another record), trashing it trashes them,
+// and new or changed records must reference existing ones. References with
+// onDelete: 'nullify' are cleared instead, keeping the referencing record, and
+// trashing leaves them alone. Empty references are allowed. Referencing fields
+// need an index.
+const REFERENCES = [
+  { collection: 'uploads', field: 'userId', target: 'users' },
+  { collection: 'detections', field: 'userId', target: 'users' },
+  { collection: 'detections', field: 'uploadId', target: 'uploads' },
+  { collection: 'jobs', field: 'detectionId', target: 'detections' },
+  { collection: 'presets', field: 'userId', target: 'users' },
+  { collection: 'cameras', field: 'userId', target: 'users' },
+  { collection: 'uploads', field: 'cameraId', target: 'cameras', onDelete: 'nullify' }
+];
 
 class DataService {
-  constructor() {
-    this.dataDir = path.join(__dirname, '../../data');
-    this.usersFile = path.join(this.dataDir, 'users.json');
-    this.uploadsFile = path.join(this.dataDir, 'uploads.json');
-    this.detectionsFile = path.join(this.dataDir, 'detections.json');
-    
-    this.initializeDataFiles();
+  constructor(adapter = createStorageAdapter()) {
+    this.collections = COLLECTIONS;
+    this.references = REFERENCES;
+    this.appendOnly = APPEND_ONLY;
+    // Writes are serialized per collection so read-modify-write operations
+    // never interleave and lose each other's changes
+    this.locks = new KeyedLock();
+    // Collections are cached in memory after the first read and kept in step
+    // with every write made through this service. Set DATA_CACHE=false when
+    // other processes write to the same storage.
+    this.cacheEnabled = process.env.DATA_CACHE !== 'false';
+    this.caches = new Map();
+    this.useAdapter(adapter);
+  }
+
+  // Swap the storage backend (e.g. an in-memory adapter in tests). Every
+  // operation waits for the new adapter to finish initializing.
+  useAdapter(adapter) {
+    this.adapter = adapter;
+    this.caches.clear();
+    this.ready = this.initialize();
+    return this.ready;
   }
 
-  async initializeDataFiles() {
+  // Prepare storage and upgrade stored records to the current schema versions.
+  // Set AUTO_MIGRATE=false to leave that to `npm run migrate`.
+  async initialize() {
     try {
-      // Ensure data directory exists
-      await fs.ensureDir(this.dataDir);
-      
-      // Initialize files if they don't exist
-      if (!await fs.pathExists(this.usersFile)) {
-        await fs.writeJson(this.usersFile, []);
-      }
-      if (!await fs.pathExists(this.uploadsFile)) {
-        await fs.writeJson(this.uploadsFile, []);
-      }
-      if (!await fs.pathExists(this.detectionsFile)) {
-        await fs.writeJson(this.detectionsFile, []);
+      await this.adapter.init(this.collections);
+
+      if (process.env.AUTO_MIGRATE !== 'false') {
+        const report = await migrate(this.adapter, { collections: this.collections });
+        if (report.applied) {
+          console.log(formatMigrationReport(report));
+        }
       }
     } catch (error) {
-      console.error('Error initializing data files:', error);
+      console.error(`Error initializing ${this.adapter.name} storage:`, error);
+      throw error;
+    }
+  }
+
+  get storageName() {
+    return this.adapter.name;
+  }
+
+  assertCollection(name) {
+    if (!this.collections.includes(name)) {
+      throw new Error(`Unknown collection: ${name}`);
     }
   }
 
+  // Cached copy of a collection, loaded from storage on first use
+  async getCache(name) {
+    this.assertCollection(name);
+    await this.ready;
+
+    if (!this.cacheEnabled) {
+      return new CollectionCache(INDEXES[name]).load(await this.adapter.readAll(name));
+    }
+    if (!this.caches.has(name)) {
+      const loading = this.adapter.readAll(name)
+        .then(records => new CollectionCache(INDEXES[name]).load(records));
+      this.caches.set(name, loading);
+      loading.catch(() => this.caches.delete(name));
+    }
+    return await this.caches.get(name);
+  }
+
+  // Drop cached collections so the next read goes back to storage, e.g. after
+  // another process restored or migrated the data
+  invalidateCache(name = null) {
+    if (name) {
+      this.caches.delete(name);
+    } else {
+      this.caches.clear();
+    }
+  }
+
+  // Stored records to consider for a query: the index entries for
+  // `index.values` when the field is indexed, otherwise the whole collection
+  candidates(cache, index) {
+    if (index && cache.isIndexed(index.field)) {
+      return cache.lookup(index.field, index.values);
+    }
+    return [...cache.values()];
+  }
+
   // Generic CRUD operations
-  async readData(filename) {
-    try {
-      return await fs.readJson(filename);
-    } catch (error) {
-      console.error(`Error reading ${filename}:`, error);
-      return [];
+  async getCollection(name) {
+    const cache = await this.getCache(name);
+    return [...cache.values()].map(clone);
+  }
+
+  // Records matching `predicate`. Pass { field, values } as `index` to narrow
+  // the scan with a secondary index first.
+  async findRecords(name, predicate = () => true, index = null) {
+    const cache = await this.getCache(name);
+    return this.candidates(cache, index).filter(predicate).map(clone);
+  }
+
+  async findRecordsBy(name, field, value) {
+    return await this.findRecords(name, undefined, { field, values: [value] });
+  }
+
+  // Run `task` while holding the write lock for a collection
+  async withLock(name, task) {
+    this.assertCollection(name);
+    await this.ready;
+    return await this.locks.run(name, task);
+  }
+
+  // Run `task` while holding the write locks of several collections
+  async withLocks(names, task) {
+    names.forEach(name => this.assertCollection(name));
+    await this.ready;
+    return await this.locks.runAll(names, task);
+  }
+
+  // Run `task` while holding the write locks of every collection, e.g. to take
+  // a consistent snapshot
+  async withAllLocks(task) {
+    return await this.withLocks(this.collections, task);
+  }
+
+  assertMutable(name) {
+    if (this.appendOnly.includes(name)) {
+      throw new Error(`Collection ${name} is append-only`);
     }
   }
 
-  async writeData(filename, data) {
-    try {
-      await fs.writeJson(filename, data, { spaces: 2 });
-      return true;
-    } catch (error) {
-      console.error(`Error writing ${filename}:`, error);
-      return false;
+  referencesTo(name) {
+    return this.references.filter(ref => ref.target === name);
+  }
+
+  referencesFrom(name) {
+    return this.references.filter(ref => ref.collection === name);
+  }
+
+  // References whose records are deleted and trashed along with their target
+  cascadingReferencesTo(name) {
+    return this.referencesTo(name).filter(ref => ref.onDelete !== 'nullify');
+  }
+
+  // `name` plus every collection whose records can depend on it, or lose a
+  // reference when it is deleted
+  cascadeCollections(name) {
+    const names = new Set([name]);
+    names.forEach(current => {
+      this.referencesTo(current).forEach(ref => names.add(ref.collection));
+    });
+    return [...names];
+  }
+
+  // Stored records of `name` with the given ids and every record depending on
+  // them, as Map<collection, Map<id, record>> with referenced collections first.
+  // Callers hold the locks of cascadeCollections(name).
+  async collectDependents(name, ids, found = new Map()) {
+    if (!found.has(name)) found.set(name, new Map());
+    const records = found.get(name);
+    const cache = await this.getCache(name);
+    const added = cache.lookup('id', ids).filter(record => !records.has(record.id));
+    added.forEach(record => records.set(record.id, record));
+    if (added.length === 0) return found;
+
+    for (const ref of this.cascadingReferencesTo(name)) {
+      const dependents = (await this.getCache(ref.collection))
+        .lookup(ref.field, added.map(record => record.id));
+      await this.collectDependents(ref.collection, dependents.map(record => record.id), found);
+    }
+    return found;
+  }
+
+  // Check the references of a new record, or those `record` changes from `before`
+  async assertReferences(name, record, before = null) {
+    for (const ref of this.referencesFrom(name)) {
+      const value = record[ref.field];
+      if (value === undefined || value === null) continue;
+      if (before && before[ref.field] === value) continue;
+
+      const cache = await this.getCache(ref.target);
+      if (cache.lookup('id', [value]).length === 0) {
+        throw new ReferenceIntegrityError(`${name}.${ref.field} references missing ${ref.target} record ${value}`);
+      }
+    }
+  }
+
+  // Write `next` over the stored record `before`, keeping its identity fields
+  async persistUpdate(name, before, next) {
+    const cache = await this.getCache(name);
+    const after = {
+      ...clone(next),
+      id: before.id,
+      createdAt: before.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+    await this.adapter.update(name, before.id, after);
+    cache.set(after);
+    return clone(after);
+  }
+
+  // Upload files are removed together with their records
+  async removeUploadFiles(uploads = []) {
+    for (const upload of uploads) {
+      try {
+        await fs.remove(resolveUploadPath(upload));
+      } catch (error) {
+        console.error(`Error deleting file for upload ${upload.id}:`, error);
+      }
     }
   }
 
+  async getRecordById(name, id) {
+    const [record] = await this.findRecordsBy(name, 'id', id);
+    return record;
+  }
+
+  indexedFields(name) {
+    return ['id', ...(INDEXES[name] || [])];
+  }
+
+  async createRecord(name, data) {
+    return await this.withLock(name, async () => {
+      const cache = await this.getCache(name);
+      const record = {
+        id: uuidv4(),
+        ...clone(data),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      await this.assertReferences(name, record);
+      await this.adapter.insert(name, record);
+      cache.set(record);
+      return record;
+    });
+  }
+
+  async updateRecord(name, id, updateData) {
+    const result = await this.findAndUpdate(name, record => record.id === id, record => ({
+      ...record,
+      ...updateData
+    }), { field: 'id', values: [id] });
+    return result ? result.after : null;
+  }
+
+  async deleteRecord(name, id) {
+    const removed = await this.findAndDelete(name, record => record.id === id, { field: 'id', values: [id] });
+    return Boolean(removed);
+  }
+
+  // Apply `updater` to the first record matching `predicate` and persist it.
+  // The read and the write happen under the collection lock, so the update is
+  // atomic with respect to other writes. Resolves to { before, after }, or null
+  // when nothing matched.
+  async findAndUpdate(name, predicate, updater, index = null) {
+    this.assertMutable(name);
+    return await this.withLock(name, async () => {
+      const cache = await this.getCache(name);
+      const match = this.candidates(cache, index).find(predicate);
+      if (!match) return null;
+
+      const before = clone(match);
+      const next = updater(clone(before));
+      await this.assertReferences(name, next, before);
+      const after = await this.persistUpdate(name, before, next);
+      return { before, after };
+    });
+  }
+
+  // Clear the nullify references that records outside `found` (see
+  // collectDependents) hold to records in it. Resolves to the changed records
+  // as [{ collection, before, after }]. Callers hold the locks of
+  // cascadeCollections.
+  async unlinkReferences(found) {
+    const changes = new Map();
+    for (const [collection, byId] of found) {
+      const nullifying = this.referencesTo(collection).filter(ref => ref.onDelete === 'nullify');
+      for (const ref of nullifying) {
+        const removing = found.get(ref.collection) || new Map();
+        const cache = await this.getCache(ref.collection);
+        const referencing = cache.lookup(ref.field, [...byId.keys()])
+          .filter(record => !removing.has(record.id));
+        for (const record of referencing) {
+          const before = clone(record);
+          const after = await this.persistUpdate(ref.collection, before, { ...before, [ref.field]: null });
+          const key = `${ref.collection}:${record.id}`;
+          changes.set(key, { collection: ref.collection, before: changes.has(key) ? changes.get(key).before : before, after });
+        }
+      }
+    }
+    return [...changes.values()];
+  }
+
+  // Remove the first record matching `predicate` together with the records
+  // depending on it and their upload files, clearing nullify references to
+  // them first. Resolves to { record, removed, unlinked } with the removed
+  // records by collection and the unlinked ones as unlinkReferences returns
+  // them, or null when nothing matched.
+  async removeWithChanges(name, predicate, index = null) {
+    this.assertMutable(name);
+    const result = await this.withLocks(this.cascadeCollections(name), async () => {
+      const cache = await this.getCache(name);
+      const match = this.candidates(cache, index).find(predicate);
+      if (!match) return null;
+
+      const found = await this.collectDependents(name, [match.id]);
+      // Unlinking and dependents go first, so a failure part way never leaves
+      // dangling references behind
+      const unlinked = await this.unlinkReferences(found);
+      const removed = {};
+      for (const [collection, byId] of [...found].reverse()) {
+        const collectionCache = await this.getCache(collection);
+        removed[collection] = [];
+        for (const record of byId.values()) {
+          removed[collection].push(clone(record));
+          await this.adapter.remove(collection, record.id);
+          collectionCache.delete(record.id);
+        }
+      }
+      return { record: removed[name][0], removed, unlinked };
+    });
+    if (!result) return null;
+
+    await this.removeUploadFiles(result.removed.uploads);
+    return result;
+  }
+
+  // Remove the first record matching `predicate` as removeWithChanges does.
+  // Resolves to the removed record or null.
+  async findAndDelete(name, predicate, index = null) {
+    const result = await this.removeWithChanges(name, predicate, index);
+    return result ? result.record : null;
+  }
+
+  // Move a record and the live records depending on it to the trash. The
+  // dependents are tagged with trashedWith so restoreRecord brings back exactly
+  // the records that were trashed along with it. Resolves to the trashed record.
+  async trashRecord(name, id) {
+    this.assertMutable(name);
+    return await this.withLocks(this.cascadeCollections(name), async () => {
+      const found = await this.collectDependents(name, [id]);
+      const root = found.get(name).get(id);
+      if (!root) return null;
+
+      const deletedAt = new Date().toISOString();
+      const marker = `${name}:${id}`;
+      let trashed = null;
+      for (const [collection, byId] of found) {
+        for (const record of byId.values()) {
+          if (collection === name && record.id === id) {
+            trashed = await this.persistUpdate(collection, record, { ...record, deletedAt, trashedWith: null });
+          } else if (!record.deletedAt) {
+            await this.persistUpdate(collection, record, { ...record, deletedAt, trashedWith: marker });
+          }
+        }
+      }
+      return trashed;
+    });
+  }
+
+  // Restore a trashed record and the records trashed along with it. Fails
+  // while a record it references is still in the trash.
+  async restoreRecord(name, id) {
+    this.assertMutable(name);
+    const parents = this.referencesFrom(name).map(ref => ref.target);
+    return await this.withLocks([...this.cascadeCollections(name), ...parents], async () => {
+      const [record] = (await this.getCache(name)).lookup('id', [id]);
+      if (!record) return null;
+
+      for (const ref of this.referencesFrom(name)) {
+        const [parent] = (await this.getCache(ref.target)).lookup('id', [record[ref.field]]);
+        if (parent && parent.deletedAt) {
+          throw new ReferenceIntegrityError(`Restore ${ref.target} record ${parent.id} first; it is in the trash`);
+        }
+      }
+
+      const found = await this.collectDependents(name, [id]);
+      const marker = `${name}:${id}`;
+      let restored = null;
+      for (const [collection, byId] of found) {
+        for (const dependent of byId.values()) {
+          if (collection === name && dependent.id === id) {
+            restored = await this.persistUpdate(collection, dependent, { ...dependent, deletedAt: null });
+          } else if (dependent.trashedWith === marker) {
+            await this.persistUpdate(collection, dependent, { ...dependent, deletedAt: null, trashedWith: null });
+          }
+        }
+      }
+      return restored;
+    });
+  }
+
   // User operations
   async getUsers() {
-    return await this.readData(this.usersFile);
+    return await this.getCollection('users');
   }
 
   async getUserById(id) {
-    const users = await this.getUsers();
-    return users.find(user => user.id === id);
+    return await this.getRecordById('users', id);
   }
 
   async getUserByEmail(email) {
-    const users = await this.getUsers();
-    return users.find(user => user.email === email);
+    const [user] = await this.findRecordsBy('users', 'email', email);
+    return user;
+  }
+
+  async getUserByUsername(username) {
+    const [user] = await this.findRecordsBy('users', 'username', username);
+    return user;
   }
 
   async createUser(userData) {
-    const users = await this.getUsers();
-    const newUser = {
-      id: uuidv4(),
-      ...userData,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    users.push(newUser);
-    await this.writeData(this.usersFile, users);
-    return newUser;
+    return await this.createRecord('users', userData);
   }
 
   async updateUser(id, updateData) {
-    const users = await this.getUsers();
-    const userIndex = users.findIndex(user => user.id === id);
-    if (userIndex === -1) return null;
-    
-    users[userIndex] = {
-      ...users[userIndex],
-      ...updateData,
-      updatedAt: new Date().toISOString()
-    };
-    await this.writeData(this.usersFile, users);
-    return users[userIndex];
+    return await this.updateRecord('users', id, updateData);
   }
 
   async deleteUser(id) {
-    const users = await this.getUsers();
-    const filteredUsers = users.filter(user => user.id !== id);
-    await this.writeData(this.usersFile, filteredUsers);
-    return filteredUsers.length < users.length;
+    return await this.deleteRecord('users', id);
   }
 
   // Upload operations
   async getUploads() {
-    return await this.readData(this.uploadsFile);
+    return await this.getCollection('uploads');
   }
 
   async getUploadById(id) {
-    const uploads = await this.getUploads();
-    return uploads.find(upload => upload.id === id);
+    return await this.getRecordById('uploads', id);
   }
 
   async getUploadsByUserId(userId) {
-    const uploads = await this.getUploads();
-    return uploads.filter(upload => upload.userId === userId);
+    return await this.findRecordsBy('uploads', 'userId', userId);
   }
 
   async createUpload(uploadData) {
-    const uploads = await this.getUploads();
-    const newUpload = {
-      id: uuidv4(),
-      ...uploadData,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    uploads.push(newUpload);
-    await this.writeData(this.uploadsFile, uploads);
-    return newUpload;
+    return await this.createRecord('uploads', uploadData);
   }
 
   async updateUpload(id, updateData) {
-    const uploads = await this.getUploads();
-    const uploadIndex = uploads.findIndex(upload => upload.id === id);
-    if (uploadIndex === -1) return null;
-    
-    uploads[uploadIndex] = {
-      ...uploads[uploadIndex],
-      ...updateData,
-      updatedAt: new Date().toISOString()
-    };
-    await this.writeData(this.uploadsFile, uploads);
-    return uploads[uploadIndex];
+    return await this.updateRecord('uploads', id, updateData);
   }
 
   async deleteUpload(id) {
-    const uploads = await this.getUploads();
-    const filteredUploads = uploads.filter(upload => upload.id !== id);
-    await this.writeData(this.uploadsFile, filteredUploads);
-    return filteredUploads.length < uploads.length;
+    return await this.deleteRecord('uploads', id);
   }
 
   // Detection operations
   async getDetections() {
-    return await this.readData(this.detectionsFile);
+    return await this.getCollection('detections');
   }
 
   async getDetectionById(id) {
-    const detections = await this.getDetections();
-    return detections.find(detection => detection.id === id);
+    return await this.getRecordById('detections', id);
   }
 
   async getDetectionsByUserId(userId) {
-    const detections = await this.getDetections();
-    return detections.filter(detection => detection.userId === userId);
+    return await this.findRecordsBy('detections', 'userId', userId);
   }
 
   async getDetectionsByUploadId(uploadId) {
-    const detections = await this.getDetections();
-    return detections.filter(detection => detection.uploadId === uploadId);
+    return await this.findRecordsBy('detections', 'uploadId', uploadId);
   }
 
   async createDetection(detectionData) {
-    const detections = await this.getDetections();
-    const newDetection = {
-      id: uuidv4(),
-      ...detectionData,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    detections.push(newDetection);
-    await this.writeData(this.detectionsFile, detections);
-    return newDetection;
+    return await this.createRecord('detections', detectionData);
   }
 
   async updateDetection(id, updateData) {
-    const detections = await this.getDetections();
-    const detectionIndex = detections.findIndex(detection => detection.id === id);
-    if (detectionIndex === -1) return null;
-    
-    detections[detectionIndex] = {
-      ...detections[detectionIndex],
-      ...updateData,
-      updatedAt: new Date().toISOString()
-    };
-    await this.writeData(this.detectionsFile, detections);
-    return detections[detectionIndex];
+    return await this.updateRecord('detections', id, updateData);
   }
 
   async deleteDetection(id) {
-    const detections = await this.getDetections();
-    const filteredDetections = detections.filter(detection => detection.id !== id);
-    await this.writeData(this.detectionsFile, filteredDetections);
-    return filteredDetections.length < detections.length;
+    return await this.deleteRecord('detections', id);
   }
 
   // Statistics and analytics
   async getStats(userId = null) {
-    const uploads = await this.getUploads();
-    const detections = await this.getDetections();
-
-    const userUploads = userId ? uploads.filter(u => u.userId === userId) : uploads;
-    const userDetections = userId ? detections.filter(d => d.userId === userId) : detections;
+    // Trashed records do not count towards statistics
+    const active = record => !record.deletedAt;
+    const userUploads = (userId ? await this.getUploadsByUserId(userId) : await this.getUploads()).filter(active);
+    const userDetections = (userId ? await this.getDetectionsByUserId(userId) : await this.getDetections()).filter(active);
 
     return {
       totalUploads: userUploads.length,
@@ -224,8 +535,8 @@ class DataService {
   calculateVehicleStats(detections) {
     const vehicleTypes = {};
     detections.forEach(detection => {
-      if (detection.vehicles) {
-        detection.vehicles.forEach(vehicle => {
+      if (detection.results && detection.results.vehicles) {
+        detection.results.vehicles.forEach(vehicle => {
           vehicleTypes[vehicle.type] = (vehicleTypes[vehicle.type] || 0) + 1;
         });
       }
@@ -238,10 +549,10 @@ class DataService {
     let occludedVehicles = 0;
     
     detections.forEach(detection => {
-      if (detection.vehicles) {
-        detection.vehicles.forEach(vehicle => {
+      if (detection.results && detection.results.vehicles) {
+        detection.results.vehicles.forEach(vehicle => {
           totalVehicles++;
-          if (vehicle.occluded) {
+          if (vehicle.occlusion && vehicle.occlusion.isOccluded) {
             occludedVehicles++;
           }
         });
@@ -0,0 +1,92 @@
+const { matchBoxes } = require('../utils/geometry');
+
+const DEFAULT_IOU_THRESHOLD = 0.5;
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+const occlusionLevel = (vehicle) => (vehicle.occlusion && vehicle.occlusion.occlusionLevel) || 'none';
+
+// Pair vehicles of two detections by box overlap (see matchBoxes)
+const matchVehicles = (baseVehicles, targetVehicles, threshold) => {
+  const { matches, unmatchedA, unmatchedB } = matchBoxes(
+    baseVehicles.map(vehicle => vehicle.boundingBox),
+    targetVehicles.map(vehicle => vehicle.boundingBox),
+    threshold
+  );
+  return {
+    matches: matches.map(({ aIndex, bIndex, overlap }) => ({ baseIndex: aIndex, targetIndex: bIndex, overlap })),
+    removed: unmatchedA.map(index => baseVehicles[index]),
+    added: unmatchedB.map(index => targetVehicles[index])
+  };
+};
+
+const describeVersion = (detection) => {
+  const results = detection.results || {};
+  const processingMetadata = results.processingMetadata || {};
+  return {
+    id: detection.id,
+    version: detection.version,
+    status: detection.status,
+    detector: processingMetadata.detector || null,
+    modelVersion: processingMetadata.modelVersion || null,
+    parameters: processingMetadata.parameters || {},
+    totalVehicles: (results.vehicles || []).length,
+    occludedVehicles: results.occludedVehicles || 0,
+    createdAt: detection.createdAt
+  };
+};
+
+// Differences between two detections of the same upload: `base` is the
+// reference and `target` the version it is compared against
+const compareDetections = (base, target, { iouThreshold = DEFAULT_IOU_THRESHOLD } = {}) => {
+  const baseVehicles = (base.results && base.results.vehicles) || [];
+  const targetVehicles = (target.results && target.results.vehicles) || [];
+  const { matches, added, removed } = matchVehicles(baseVehicles, targetVehicles, iouThreshold);
+
+  const matched = matches.map(({ baseIndex, targetIndex, overlap }) => {
+    const from = baseVehicles[baseIndex];
+    const to = targetVehicles[targetIndex];
+    return {
+      baseVehicleId: from.id,
+      targetVehicleId: to.id,
+      iou: round(overlap),
+      typeChange: from.type !== to.type ? { from: from.type, to: to.type } : null,
+      confidence: {
+        from: from.confidence,
+        to: to.confidence,
+        delta: round(to.confidence - from.confidence)
+      },
+      occlusionChange: occlusionLevel(from) !== occlusionLevel(to)
+        ? { from: occlusionLevel(from), to: occlusionLevel(to) }
+        : null
+    };
+  });
+
+  const meanConfidenceDelta = matched.length > 0
+    ? round(matched.reduce((sum, match) => sum + match.confidence.delta, 0) / matched.length)
+    : 0;
+
+  return {
+    uploadId: base.uploadId,
+    base: describeVersion(base),
+    target: describeVersion(target),
+    iouThreshold,
+    summary: {
+      matched: matched.length,
+      added: added.length,
+      removed: removed.length,
+      typeChanges: matched.filter(match => match.typeChange).length,
+      occlusionChanges: matched.filter(match => match.occlusionChange).length,
+      meanConfidenceDelta
+    },
+    matched,
+    added,
+    removed
+  };
+};
+
+module.exports = {
+  DEFAULT_IOU_THRESHOLD,
+  matchVehicles,
+  compareDetections
+};
@@ -0,0 +1,192 @@
+const Detection = require('../models/Detection');
+const Upload = require('../models/Upload');
+const { registry, runDetector } = require('../detectors');
+const { runPipeline } = require('../pipeline');
+const { resolveUploadPath } = require('../utils/uploadPaths');
+const Job = require('../models/Job');
+const { jobQueue } = require('./jobQueue');
+const { analyzeVideo } = require('./videoAnalysis');
+
+// Job type run by processVehicleDetection (see services/jobQueue.js)
+const DETECTION_JOB = 'detection';
+
+// Statuses a detection can still be cancelled, retried or failed from
+const ACTIVE_STATUSES = ['pending', 'processing'];
+
+// Failures that would repeat on every attempt
+const permanent = (error) => Object.assign(error, { retryable: false });
+
+// The detector recorded on a detection. Detectors reporting their model
+// version as modelVersion keep the registered one in detectorVersion.
+const resolveDetector = (processingMetadata = {}) => registry.resolve({
+  name: processingMetadata.detector,
+  version: processingMetadata.detectorVersion || processingMetadata.modelVersion
+});
+
+// Results of an image: its vehicles after post-processing, tagged with their
+// zones. save() recomputes the occlusion totals when there are vehicles.
+const analyzeImageUpload = async (detector, input, parameters, { signal }) => {
+  const output = await runDetector(detector, input, parameters, { signal });
+  const processed = runPipeline(output, parameters);
+  return {
+    results: {
+      mediaType: 'image',
+      totalVehicles: processed.vehicles.length,
+      occludedVehicles: 0,
+      occlusionPercentage: 0,
+      vehicles: processed.vehicles,
+      zoneStats: processed.zoneStats || [],
+      imageMetadata: processed.imageMetadata
+    },
+    pipelineMetadata: processed.processingMetadata
+  };
+};
+
+// Results of a video: vehicles per sampled frame under `frames` and linked
+// across frames under `tracks`, with the detection-level totals describing
+// the busiest frame and the average occlusion rate
+const analyzeVideoUpload = async (detector, input, parameters, { signal }) => {
+  const video = await analyzeVideo(detector, input, parameters, { signal });
+  return {
+    results: {
+      mediaType: 'video',
+      totalVehicles: video.summary.peakVehicles,
+      occludedVehicles: video.summary.peakOccludedVehicles,
+      occlusionPercentage: video.summary.averageOcclusionRate,
+      vehicles: [],
+      frames: video.frames,
+      tracks: video.tracks,
+      crossings: video.crossings,
+      dwellTimes: video.dwellTimes,
+      zoneStats: video.zoneStats,
+      videoSummary: video.summary,
+      videoMetadata: video.videoMetadata
+    },
+    pipelineMetadata: video.pipelineMetadata
+  };
+};
+
+// Run the detector recorded on a pending detection against its upload and
+// store the results. Errors are thrown for the job queue to retry; the
+// detection is marked failed once no retry is left (see recordFailure).
+// Nothing is stored once `signal` has aborted, i.e. the run was cancelled.
+const processVehicleDetection = async (detectionId, { signal = null } = {}) => {
+  const detection = await Detection.findById(detectionId);
+  if (!detection) return;
+  const checkCancelled = () => {
+    if (signal) signal.throwIfAborted();
+  };
+
+  const processingMetadata = (detection.results && detection.results.processingMetadata) || {};
+  const parameters = processingMetadata.parameters || {};
+
+  const upload = await Upload.findById(detection.uploadId);
+  if (!upload) {
+    throw permanent(new Error(`Upload ${detection.uploadId} not found`));
+  }
+  let detector;
+  try {
+    detector = resolveDetector(processingMetadata);
+  } catch (error) {
+    throw permanent(error);
+  }
+
+  checkCancelled();
+  // Only a pending detection starts; a cancel may have landed since the check
+  if (!await detection.transitionStatus(['pending'], 'processing')) {
+    console.log(`Detection ${detectionId} is ${detection.status}; not started`);
+    return;
+  }
+
+  const startedAt = Date.now();
+  const input = {
+    path: resolveUploadPath(upload),
+    mimetype: upload.mimetype,
+    size: upload.size,
+    originalName: upload.originalName
+  };
+
+  const analyze = upload.fileType === 'video' ? analyzeVideoUpload : analyzeImageUpload;
+  const { results, pipelineMetadata } = await analyze(detector, input, parameters, { signal });
+  checkCancelled();
+
+  detection.results = {
+    ...detection.results,
+    ...results,
+    processingMetadata: {
+      ...processingMetadata,
+      ...detector.metadata(),
+      ...pipelineMetadata,
+      parameters,
+      computeTime: Date.now() - startedAt
+    }
+  };
+  detection.errorDetails = {};
+  // A cancel landing after the last check leaves the detection cancelled
+  if (!await detection.completeProcessing()) {
+    checkCancelled();
+    console.log(`Detection ${detectionId} stopped processing before it completed; results discarded`);
+    return;
+  }
+
+  console.log(`Detection ${detectionId} completed with ${detector.id}`);
+};
+
+// A detection waiting for a retry goes back to pending; otherwise it fails
+const recordFailure = async (detectionId, error, { willRetry, attempt }) => {
+  const detection = await Detection.findById(detectionId).withDeleted();
+  if (!detection) return;
+
+  const errorDetails = {
+    code: error.code || 'PROCESSING_ERROR',
+    message: error.message,
+    attempt
+  };
+  // A detection cancelled in the meantime stays cancelled
+  if (willRetry) {
+    detection.processingStartTime = null;
+    await detection.transitionStatus(ACTIVE_STATUSES, 'pending', { ...errorDetails, retrying: true });
+  } else {
+    await detection.transitionStatus(ACTIVE_STATUSES, 'failed', errorDetails);
+  }
+};
+
+const detectionJobHandler = {
+  run: (job, { signal }) => processVehicleDetection(job.detectionId, { signal }),
+  onFailure: (job, error, { willRetry }) => recordFailure(job.detectionId, error, {
+    willRetry,
+    attempt: job.attempts
+  })
+};
+
+// Queue processing of a detection. `priority` is one of Job.PRIORITIES.
+const enqueueDetection = async (detectionId, { priority } = {}) => {
+  return await jobQueue.enqueue({ type: DETECTION_JOB, detectionId, priority });
+};
+
+// Stop a pending or processing detection: it is marked cancelled, unless it
+// finished in the meantime, and its jobs are cancelled, aborting a run in
+// progress. Resolves to whether it was cancelled; `detection` then holds the
+// stored status either way.
+const cancelDetection = async (detection) => {
+  const cancelled = await detection.transitionStatus(ACTIVE_STATUSES, 'cancelled', {
+    code: 'CANCELLED',
+    message: 'Analysis was cancelled'
+  });
+  if (!cancelled) return false;
+
+  const jobs = await Job.findActiveForDetection(detection.id);
+  for (const job of jobs) {
+    await jobQueue.cancel(job.id);
+  }
+  return true;
+};
+
+module.exports = {
+  DETECTION_JOB,
+  resolveDetector,
+  processVehicleDetection,
+  cancelDetection,
+  detectionJobHandler,
+  enqueueDetection
+};
@@ -0,0 +1,185 @@
+const { iou, matchBoxes } = require('../utils/geometry');
+
+// Evaluation of detector output against ground truth: per-class precision,
+// recall and average precision at one or more IoU thresholds, and how well
+// matched vehicles got their occlusion level.
+
+const DEFAULT_IOU_THRESHOLDS = [0.5];
+
+const OCCLUSION_LEVELS = ['none', 'partial', 'heavy', 'complete'];
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+const occlusionLevelOf = (vehicle) => (vehicle.occlusion && vehicle.occlusion.occlusionLevel) || 'none';
+
+// `name@version` of the detector that produced a detection
+const modelOf = (detection) => {
+  const metadata = (detection.results && detection.results.processingMetadata) || {};
+  return `${metadata.detector}@${metadata.detectorVersion || metadata.modelVersion}`;
+};
+
+// Ground truth of an upload: boxes imported onto the upload, else the reviewed
+// view of its latest annotated image detection (see services/annotationReview.js).
+// Resolves to { source, detectionId, vehicles } or null when there is none.
+const groundTruthFor = (upload, detections) => {
+  if (upload.groundTruth) {
+    return { source: 'import', detectionId: null, vehicles: upload.groundTruth.vehicles };
+  }
+
+  const reviewed = detections
+    .filter(detection => detection.uploadId === upload.id && detection.status === 'completed')
+    .filter(detection => detection.reviewed)
+    .sort((a, b) => b.version - a.version)[0];
+  if (!reviewed) return null;
+
+  return {
+    source: 'review',
+    detectionId: reviewed.id,
+    vehicles: reviewed.reviewed.vehicles.map(vehicle => ({
+      id: vehicle.id,
+      type: vehicle.type,
+      boundingBox: vehicle.boundingBox,
+      occlusionLevel: occlusionLevelOf(vehicle)
+    }))
+  };
+};
+
+// Area under the precision/recall curve with precision made monotonically
+// decreasing (all-point interpolation, as in PASCAL VOC)
+const averagePrecision = (points) => {
+  const recalls = [0, ...points.map(point => point.recall), 1];
+  const precisions = [0, ...points.map(point => point.precision), 0];
+  for (let i = precisions.length - 2; i >= 0; i--) {
+    precisions[i] = Math.max(precisions[i], precisions[i + 1]);
+  }
+
+  let ap = 0;
+  for (let i = 1; i < recalls.length; i++) {
+    ap += (recalls[i] - recalls[i - 1]) * precisions[i];
+  }
+  return ap;
+};
+
+// Precision, recall and AP of one class at one IoU threshold. Predictions are
+// taken most confident first, each matching the unmatched ground-truth box of
+// its image it overlaps most, if that reaches the threshold.
+const evaluateClass = (samples, type, threshold) => {
+  const truths = samples.map(sample => sample.groundTruth.filter(vehicle => vehicle.type === type));
+  const matched = truths.map(boxes => boxes.map(() => false));
+  const predictions = samples
+    .flatMap((sample, index) => sample.predictions
+      .filter(vehicle => vehicle.type === type)
+      .map(vehicle => ({ index, vehicle })))
+    .sort((a, b) => b.vehicle.confidence - a.vehicle.confidence);
+  const groundTruth = truths.reduce((total, boxes) => total + boxes.length, 0);
+
+  let truePositives = 0;
+  const points = predictions.map(({ index, vehicle }, rank) => {
+    let best = -1;
+    let bestOverlap = threshold;
+    truths[index].forEach((truth, truthIndex) => {
+      const overlap = iou(vehicle.boundingBox, truth.boundingBox);
+      if (!matched[index][truthIndex] && overlap >= bestOverlap && overlap > 0) {
+        best = truthIndex;
+        bestOverlap = overlap;
+      }
+    });
+    if (best >= 0) {
+      matched[index][best] = true;
+      truePositives++;
+    }
+    return {
+      precision: truePositives / (rank + 1),
+      recall: groundTruth > 0 ? truePositives / groundTruth : 0
+    };
+  });
+
+  return {
+    type,
+    groundTruth,
+    predictions: predictions.length,
+    truePositives,
+    falsePositives: predictions.length - truePositives,
+    falseNegatives: groundTruth - truePositives,
+    precision: predictions.length > 0 ? round(truePositives / predictions.length) : null,
+    recall: groundTruth > 0 ? round(truePositives / groundTruth) : null,
+    ap: groundTruth > 0 ? round(averagePrecision(points)) : null
+  };
+};
+
+// Occlusion levels of ground-truth vehicles against those of the predictions
+// matched to them by box overlap, whatever their type: matrix[truth][predicted]
+const occlusionConfusion = (samples, threshold) => {
+  const matrix = Object.fromEntries(OCCLUSION_LEVELS.map(truth => [
+    truth,
+    Object.fromEntries(OCCLUSION_LEVELS.map(predicted => [predicted, 0]))
+  ]));
+
+  let matchedVehicles = 0;
+  let correct = 0;
+  samples.forEach(({ predictions, groundTruth }) => {
+    const { matches } = matchBoxes(
+      groundTruth.map(vehicle => vehicle.boundingBox),
+      predictions.map(vehicle => vehicle.boundingBox),
+      threshold
+    );
+    matches.forEach(({ aIndex, bIndex }) => {
+      const truth = groundTruth[aIndex].occlusionLevel || 'none';
+      const predicted = occlusionLevelOf(predictions[bIndex]);
+      if (!matrix[truth] || matrix[truth][predicted] === undefined) return;
+      matrix[truth][predicted]++;
+      matchedVehicles++;
+      if (truth === predicted) correct++;
+    });
+  });
+
+  return {
+    iouThreshold: threshold,
+    levels: OCCLUSION_LEVELS,
+    matrix,
+    matchedVehicles,
+    accuracy: matchedVehicles > 0 ? round(correct / matchedVehicles) : null
+  };
+};
+
+// Evaluate `samples`, one { predictions, groundTruth } per image, at every
+// IoU threshold. mAP is the mean AP over the classes with ground truth; the
+// occlusion matrix uses the first threshold.
+const evaluate = (samples, { iouThresholds = DEFAULT_IOU_THRESHOLDS } = {}) => {
+  const types = [...new Set(samples.flatMap(sample => [
+    ...sample.groundTruth.map(vehicle => vehicle.type),
+    ...sample.predictions.map(vehicle => vehicle.type)
+  ]))].sort();
+
+  const thresholds = iouThresholds.map(threshold => {
+    const classes = types.map(type => evaluateClass(samples, type, threshold));
+    const withTruth = classes.filter(entry => entry.ap !== null);
+    const truePositives = classes.reduce((total, entry) => total + entry.truePositives, 0);
+    const predictions = classes.reduce((total, entry) => total + entry.predictions, 0);
+    const groundTruth = classes.reduce((total, entry) => total + entry.groundTruth, 0);
+    return {
+      iouThreshold: threshold,
+      mAP: withTruth.length > 0 ? round(withTruth.reduce((total, entry) => total + entry.ap, 0) / withTruth.length) : null,
+      precision: predictions > 0 ? round(truePositives / predictions) : null,
+      recall: groundTruth > 0 ? round(truePositives / groundTruth) : null,
+      classes
+    };
+  });
+
+  return {
+    images: samples.length,
+    groundTruthVehicles: samples.reduce((total, sample) => total + sample.groundTruth.length, 0),
+    predictedVehicles: samples.reduce((total, sample) => total + sample.predictions.length, 0),
+    thresholds,
+    occlusion: occlusionConfusion(samples, iouThresholds[0])
+  };
+};
+
+module.exports = {
+  DEFAULT_IOU_THRESHOLDS,
+  OCCLUSION_LEVELS,
+  modelOf,
+  groundTruthFor,
+  averagePrecision,
+  evaluate
+};
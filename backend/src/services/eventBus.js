@@ -0,0 +1,100 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { getRequestContext } = require('../utils/requestContext');
+
+// Domain events published by the models (and a few services) once a change has
+// been stored
+const EVENT_TYPES = {
+  USER_CREATED: 'user.created',
+  USER_UPDATED: 'user.updated',
+  USER_ROLE_CHANGED: 'user.role_changed',
+  USER_STATUS_CHANGED: 'user.status_changed',
+  USER_DELETED: 'user.deleted',
+  UPLOAD_CREATED: 'upload.created',
+  UPLOAD_UPDATED: 'upload.updated',
+  UPLOAD_TRASHED: 'upload.trashed',
+  UPLOAD_RESTORED: 'upload.restored',
+  UPLOAD_DELETED: 'upload.deleted',
+  DETECTION_CREATED: 'detection.created',
+  DETECTION_STATUS_CHANGED: 'detection.status_changed',
+  DETECTION_COMPLETED: 'detection.completed',
+  DETECTION_FAILED: 'detection.failed',
+  DETECTION_TRASHED: 'detection.trashed',
+  DETECTION_RESTORED: 'detection.restored',
+  DETECTION_DELETED: 'detection.deleted',
+  ANNOTATION_ADDED: 'annotation.added',
+  PRESET_CREATED: 'preset.created',
+  PRESET_UPDATED: 'preset.updated',
+  PRESET_DELETED: 'preset.deleted',
+  CAMERA_CREATED: 'camera.created',
+  CAMERA_UPDATED: 'camera.updated',
+  CAMERA_DELETED: 'camera.deleted',
+  SNAPSHOT_CREATED: 'snapshot.created',
+  SNAPSHOT_RESTORED: 'snapshot.restored',
+  INTEGRITY_REPAIRED: 'integrity.repaired'
+};
+
+// Subscribe to ALL_EVENTS to receive every event type
+const ALL_EVENTS = '*';
+
+const KNOWN_TYPES = new Set(Object.values(EVENT_TYPES));
+
+const assertType = (type) => {
+  if (!KNOWN_TYPES.has(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+};
+
+// In-process publish/subscribe for domain events. Events are delivered after
+// the publishing call returns, and a failing subscriber is logged without
+// affecting the publisher or the other subscribers.
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  // Returns a function that removes the subscription
+  subscribe(type, handler) {
+    if (type !== ALL_EVENTS) assertType(type);
+
+    const listener = (event) => {
+      Promise.resolve()
+        .then(() => handler(event))
+        .catch(error => console.error(`Subscriber for ${event.type} failed:`, error));
+    };
+    this.emitter.on(type, listener);
+    return () => this.emitter.off(type, listener);
+  }
+
+  // Events are { id, type, occurredAt, payload, target, changes, context }:
+  //   target   { collection, id } of the changed record, if any
+  //   changes  { field: { from, to } } for the changed record, if any
+  //   context  request that caused the event (see utils/requestContext.js), or
+  //            null for background work
+  publish(type, payload = {}, { target = null, changes = null } = {}) {
+    assertType(type);
+
+    const event = {
+      id: uuidv4(),
+      type,
+      occurredAt: new Date().toISOString(),
+      payload,
+      target,
+      changes,
+      context: getRequestContext()
+    };
+    setImmediate(() => {
+      this.emitter.emit(type, event);
+      this.emitter.emit(ALL_EVENTS, event);
+    });
+    return event;
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  ALL_EVENTS,
+  EventBus,
+  eventBus: new EventBus()
+};
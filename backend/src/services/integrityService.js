@@ -0,0 +1,136 @@
+const fs = require('fs-extra');
+const path = require('path');
+const dataService = require('./dataService');
+const { eventBus, EVENT_TYPES } = require('./eventBus');
+const { UPLOAD_DIR, resolveUploadPath } = require('../utils/uploadPaths');
+
+// Files younger than this may belong to an upload whose record is still being
+// written, so they are never reported as orphans
+const ORPHAN_FILE_GRACE_MS = 10 * 60 * 1000;
+
+// Problems found by checkIntegrity:
+//   dangling-reference  record references a missing record; repair deletes it,
+//                       or clears the field of a nullify reference
+//   live-under-trash    live record references a trashed one; repair trashes it
+//   orphan-file         file in the upload directory without a record; repair deletes it
+//   missing-file        upload record whose file is gone; reported only
+const findProblems = async () => {
+  const problems = [];
+  const collections = new Map();
+  for (const name of dataService.collections) {
+    collections.set(name, new Map((await dataService.getCollection(name)).map(record => [record.id, record])));
+  }
+
+  for (const ref of dataService.references) {
+    for (const record of collections.get(ref.collection).values()) {
+      // Empty references are allowed, as in dataService.assertReferences
+      const value = record[ref.field];
+      if (value === undefined || value === null) continue;
+
+      const target = collections.get(ref.target).get(value);
+      if (!target) {
+        problems.push({
+          type: 'dangling-reference',
+          collection: ref.collection,
+          id: record.id,
+          field: ref.field,
+          nullify: ref.onDelete === 'nullify',
+          message: `${ref.collection} ${record.id}: ${ref.field} references missing ${ref.target} record ${value}`
+        });
+      } else if (target.deletedAt && !record.deletedAt && ref.onDelete !== 'nullify') {
+        problems.push({
+          type: 'live-under-trash',
+          collection: ref.collection,
+          id: record.id,
+          target: { collection: ref.target, id: target.id },
+          message: `${ref.collection} ${record.id} is live but ${ref.target} record ${target.id} is in the trash`
+        });
+      }
+    }
+  }
+
+  const knownFiles = new Set();
+  for (const upload of collections.get('uploads').values()) {
+    const file = resolveUploadPath(upload);
+    knownFiles.add(file);
+    if (!await fs.pathExists(file)) {
+      problems.push({
+        type: 'missing-file',
+        collection: 'uploads',
+        id: upload.id,
+        message: `uploads ${upload.id}: file ${upload.path} does not exist`
+      });
+    }
+  }
+
+  const entries = await fs.pathExists(UPLOAD_DIR) ? await fs.readdir(UPLOAD_DIR) : [];
+  for (const entry of entries) {
+    const file = path.join(UPLOAD_DIR, entry);
+    if (entry.startsWith('.') || knownFiles.has(file)) continue;
+
+    const stats = await fs.stat(file);
+    if (stats.isFile() && Date.now() - stats.mtimeMs > ORPHAN_FILE_GRACE_MS) {
+      problems.push({
+        type: 'orphan-file',
+        file,
+        message: `File ${path.relative(process.cwd(), file)} has no upload record`
+      });
+    }
+  }
+
+  return problems;
+};
+
+const repairProblem = async (problem) => {
+  switch (problem.type) {
+    case 'dangling-reference':
+      if (problem.nullify) {
+        return Boolean(await dataService.updateRecord(problem.collection, problem.id, { [problem.field]: null }));
+      }
+      // Also removes whatever depends on the record
+      return await dataService.deleteRecord(problem.collection, problem.id);
+    case 'live-under-trash': {
+      const target = await dataService.getRecordById(problem.target.collection, problem.target.id);
+      const updated = await dataService.updateRecord(problem.collection, problem.id, {
+        deletedAt: target ? target.deletedAt : new Date().toISOString(),
+        trashedWith: `${problem.target.collection}:${problem.target.id}`
+      });
+      return Boolean(updated);
+    }
+    case 'orphan-file':
+      await fs.remove(problem.file);
+      return true;
+    default:
+      return false;
+  }
+};
+
+// Report records and files that break the reference rules in dataService.
+// With { repair: true } every repairable problem is fixed as well.
+const checkIntegrity = async ({ repair = false } = {}) => {
+  const problems = await findProblems();
+
+  if (repair) {
+    for (const problem of problems) {
+      problem.repaired = await repairProblem(problem);
+    }
+  }
+
+  const repaired = problems.filter(problem => problem.repaired);
+  if (repaired.length > 0) {
+    eventBus.publish(EVENT_TYPES.INTEGRITY_REPAIRED, {
+      repaired: repaired.map(({ type, collection, id, file }) => ({ type, collection, id, file }))
+    });
+  }
+
+  return {
+    ok: problems.length === 0,
+    checkedAt: new Date().toISOString(),
+    repaired: repaired.length,
+    problems
+  };
+};
+
+module.exports = {
+  checkIntegrity
+};
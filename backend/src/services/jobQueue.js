@@ -0,0 +1,269 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+const readNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Settings, overridable through the environment:
+//   JOB_CONCURRENCY            jobs run at the same time by this process
+//   JOB_POLL_INTERVAL_MS       how often idle workers look for due jobs
+//   JOB_VISIBILITY_TIMEOUT_MS  lease length; a job whose worker stops renewing
+//                              it is requeued once it runs out
+//   JOB_MAX_ATTEMPTS           runs per job before it fails for good
+//   JOB_RETRY_DELAY_MS         delay before the first retry, doubled per attempt
+//   JOB_RETRY_MAX_DELAY_MS     upper bound for the retry delay
+const configFromEnv = () => ({
+  concurrency: Math.max(1, Math.floor(readNumber('JOB_CONCURRENCY', 2))),
+  pollIntervalMs: readNumber('JOB_POLL_INTERVAL_MS', 1000),
+  visibilityTimeoutMs: Math.max(1000, readNumber('JOB_VISIBILITY_TIMEOUT_MS', 60000)),
+  maxAttempts: Math.max(1, Math.floor(readNumber('JOB_MAX_ATTEMPTS', 3))),
+  retryDelayMs: readNumber('JOB_RETRY_DELAY_MS', 5000),
+  retryMaxDelayMs: readNumber('JOB_RETRY_MAX_DELAY_MS', 5 * 60 * 1000)
+});
+
+// Raised for a claimed job whose lease ran out before it finished
+const leaseExpiredError = () => Object.assign(
+  new Error('Job lease expired before it finished; the worker stopped or stalled'),
+  { code: 'LEASE_EXPIRED' }
+);
+
+// Abort reason for a running job that was cancelled or lost its lease
+class JobCancelledError extends Error {
+  constructor(message = 'Job was cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+    this.code = 'JOB_CANCELLED';
+    this.retryable = false;
+  }
+}
+
+// Worker pool running stored jobs. Handlers are registered per job type as
+// { run(job, { signal }), onFailure(job, error, { willRetry }) }. The signal
+// aborts when the job is cancelled or its lease is lost; run() should stop
+// then without storing anything. run() throwing any other error
+// retries the job with exponential backoff unless the error has
+// `retryable: false` or the job is out of attempts. An error's `retryAt` (e.g.
+// from an open circuit breaker) postpones the retry until then.
+class JobQueue {
+  constructor(config = configFromEnv()) {
+    this.config = config;
+    this.handlers = new Map();
+    this.running = false;
+    this.workers = [];
+    this.active = new Map();
+    this.idleWakers = new Set();
+    this.sweepTimer = null;
+    this.workerPrefix = `${os.hostname()}:${process.pid}`;
+  }
+
+  register(type, handler) {
+    if (typeof handler.run !== 'function') {
+      throw new Error(`Job handler for ${type} must implement run(job)`);
+    }
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  async enqueue({ type, detectionId = null, payload = {}, priority = Job.PRIORITIES.normal, runAt = new Date() }) {
+    const job = await Job.enqueue({
+      type,
+      detectionId,
+      payload,
+      priority,
+      maxAttempts: this.config.maxAttempts,
+      runAt
+    });
+    this.wake();
+    return job;
+  }
+
+  retryDelay(attempts) {
+    const delay = this.config.retryDelayMs * 2 ** Math.max(0, attempts - 1);
+    return Math.min(delay, this.config.retryMaxDelayMs);
+  }
+
+  // When to retry a failed job, or null if it should fail for good
+  retryAt(job, error) {
+    if (error.retryable === false || job.attempts >= job.maxAttempts) return null;
+
+    const backoff = Date.now() + this.retryDelay(job.attempts);
+    const requested = error.retryAt ? new Date(error.retryAt).getTime() : 0;
+    return new Date(Math.max(backoff, requested));
+  }
+
+  async notifyFailure(job, error, willRetry) {
+    const handler = this.handlers.get(job.type);
+    if (!handler || typeof handler.onFailure !== 'function') return;
+    try {
+      await handler.onFailure(job, error, { willRetry });
+    } catch (hookError) {
+      console.error(`Failure handler for job ${job.id} failed:`, hookError);
+    }
+  }
+
+  async runJob(job, controller) {
+    const handler = this.handlers.get(job.type);
+    // Renew the lease well before it runs out. A job that was cancelled or
+    // requeued elsewhere can no longer be renewed, so its run is aborted.
+    const heartbeat = setInterval(() => {
+      job.extendLease(this.config.visibilityTimeoutMs)
+        .then(held => {
+          if (!held) controller.abort(new JobCancelledError('Job was cancelled or lost its lease'));
+        })
+        .catch(error => console.error(`Could not extend lease of job ${job.id}:`, error));
+    }, this.config.visibilityTimeoutMs / 3);
+    heartbeat.unref();
+
+    try {
+      await handler.run(job, { signal: controller.signal });
+      clearInterval(heartbeat);
+      if (!await job.complete()) {
+        console.warn(`Job ${job.id} finished after losing its lease`);
+      }
+    } catch (error) {
+      clearInterval(heartbeat);
+      if (controller.signal.aborted) {
+        console.log(`Job ${job.id} (${job.type}) stopped: ${controller.signal.reason.message}`);
+        return;
+      }
+      const retryAt = this.retryAt(job, error);
+      if (!await job.fail(error, retryAt)) {
+        console.warn(`Job ${job.id} failed after losing its lease: ${error.message}`);
+        return;
+      }
+      await this.notifyFailure(job, error, Boolean(retryAt));
+      if (retryAt) {
+        console.warn(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed, retrying at ${retryAt.toISOString()}: ${error.message}`);
+      } else {
+        console.error(`Job ${job.id} (${job.type}) failed after ${job.attempts} attempt(s):`, error);
+      }
+    }
+  }
+
+  // Requeue (or fail, when out of attempts) jobs whose worker stopped renewing
+  // their lease. Runs at start-up, which recovers jobs left in processing by a
+  // crash, and then periodically.
+  async recoverExpired(now = new Date()) {
+    const expired = await Job.findExpired(now);
+    let recovered = 0;
+    for (const job of expired) {
+      const error = leaseExpiredError();
+      const retryAt = job.attempts < job.maxAttempts ? now : null;
+      if (await job.fail(error, retryAt, { expiredBy: now })) {
+        recovered++;
+        await this.notifyFailure(job, error, Boolean(retryAt));
+      }
+    }
+    if (recovered > 0) {
+      console.log(`Recovered ${recovered} job(s) with an expired lease`);
+      this.wake();
+    }
+    return recovered;
+  }
+
+  // Resolve once a job may be due: after the poll interval or when woken
+  idle() {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        this.idleWakers.delete(done);
+        resolve();
+      };
+      const timer = setTimeout(done, this.config.pollIntervalMs);
+      timer.unref();
+      this.idleWakers.add(done);
+    });
+  }
+
+  wake() {
+    [...this.idleWakers].forEach(done => done());
+  }
+
+  async work(workerId) {
+    while (this.running) {
+      let job = null;
+      try {
+        job = await Job.claimNext({
+          types: [...this.handlers.keys()],
+          workerId,
+          leaseMs: this.config.visibilityTimeoutMs
+        });
+      } catch (error) {
+        console.error(`Worker ${workerId} could not claim a job:`, error);
+      }
+
+      if (!job) {
+        await this.idle();
+        continue;
+      }
+
+      const controller = new AbortController();
+      this.active.set(job.id, { job, workerId, controller });
+      await this.runJob(job, controller);
+      this.active.delete(job.id);
+    }
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const sweep = () => this.recoverExpired()
+      .catch(error => console.error('Job recovery failed:', error));
+    sweep();
+    this.sweepTimer = setInterval(sweep, this.config.visibilityTimeoutMs);
+    this.sweepTimer.unref();
+
+    for (let i = 1; i <= this.config.concurrency; i++) {
+      this.workers.push(this.work(`${this.workerPrefix}:${i}`));
+    }
+    console.log(`Job queue started with ${this.config.concurrency} worker(s)`);
+  }
+
+  // Cancel a queued or running job; a run in this process is aborted at once.
+  // Resolves to the cancelled job, or null if it had already finished.
+  async cancel(jobId) {
+    const job = await Job.cancel(jobId);
+    const active = this.active.get(jobId);
+    if (job && active) {
+      active.controller.abort(new JobCancelledError());
+    }
+    return job;
+  }
+
+  // Stop claiming jobs and wait for the running ones to finish
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    this.wake();
+    await Promise.all(this.workers);
+    this.workers = [];
+  }
+
+  async status() {
+    return {
+      running: this.running,
+      config: this.config,
+      counts: await Job.countByStatus(),
+      active: [...this.active.values()].map(({ job, workerId }) => ({
+        jobId: job.id,
+        type: job.type,
+        detectionId: job.detectionId,
+        attempt: job.attempts,
+        workerId
+      }))
+    };
+  }
+}
+
+const jobQueue = new JobQueue();
+
+module.exports = {
+  JobQueue,
+  JobCancelledError,
+  jobQueue
+};
@@ -0,0 +1,123 @@
+const { latestVersion, pendingMigrations } = require('../migrations');
+
+// Schema versions are kept as { id: <collection>, version, migratedAt } records
+const SCHEMA_COLLECTION = 'schemaVersions';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const readVersions = async (adapter) => {
+  const records = await adapter.readAll(SCHEMA_COLLECTION);
+  return new Map(records.map(record => [record.id, record.version]));
+};
+
+const writeVersion = async (adapter, collection, version) => {
+  const record = { id: collection, version, migratedAt: new Date().toISOString() };
+  const updated = await adapter.update(SCHEMA_COLLECTION, collection, record);
+  if (!updated) {
+    await adapter.insert(SCHEMA_COLLECTION, record);
+  }
+};
+
+// Work out and (unless dryRun) apply the pending migrations of one collection
+const migrateCollection = async (adapter, collection, storedVersion, dryRun) => {
+  let records = await adapter.readAll(collection);
+  const targetVersion = latestVersion(collection);
+
+  // Collections without a version record predate versioning, unless they are
+  // empty, in which case there is nothing to upgrade
+  const fromVersion = storedVersion !== undefined
+    ? storedVersion
+    : (records.length === 0 ? targetVersion : 0);
+
+  if (fromVersion > targetVersion) {
+    throw new Error(
+      `Collection "${collection}" is at schema version ${fromVersion}, ` +
+      `but this build only knows up to version ${targetVersion}`
+    );
+  }
+
+  const steps = pendingMigrations(collection, fromVersion).map(migration => {
+    const changedIds = [];
+    records = records.map(record => {
+      const before = JSON.stringify(record);
+      const after = migration.up(clone(record));
+      if (JSON.stringify(after) !== before) {
+        changedIds.push(after.id || record.id || record._id);
+      }
+      return after;
+    });
+
+    return {
+      version: migration.version,
+      description: migration.description,
+      changedRecords: changedIds.length,
+      changedIds
+    };
+  });
+
+  const changed = steps.some(step => step.changedRecords > 0);
+  if (!dryRun) {
+    if (changed) {
+      await adapter.replaceAll(collection, records);
+    }
+    if (storedVersion !== targetVersion) {
+      await writeVersion(adapter, collection, targetVersion);
+    }
+  }
+
+  return {
+    collection,
+    records: records.length,
+    fromVersion,
+    toVersion: targetVersion,
+    steps
+  };
+};
+
+// Upgrade the given collections to their latest schema versions. With
+// { dryRun: true } nothing is written and the report describes what would change.
+const migrate = async (adapter, { collections, dryRun = false } = {}) => {
+  await adapter.init([SCHEMA_COLLECTION]);
+  const versions = await readVersions(adapter);
+
+  const results = [];
+  for (const collection of collections) {
+    results.push(await migrateCollection(adapter, collection, versions.get(collection), dryRun));
+  }
+
+  return {
+    dryRun,
+    applied: !dryRun && results.some(result => result.steps.length > 0),
+    collections: results
+  };
+};
+
+const formatMigrationReport = (report) => {
+  const lines = [report.dryRun ? 'Schema migration (dry run):' : 'Schema migration:'];
+
+  report.collections.forEach(result => {
+    if (result.steps.length === 0) {
+      lines.push(`  ${result.collection}: up to date at version ${result.toVersion}`);
+      return;
+    }
+
+    const verb = report.dryRun ? 'would upgrade' : 'upgraded';
+    lines.push(`  ${result.collection}: ${verb} version ${result.fromVersion} -> ${result.toVersion} (${result.records} records)`);
+    result.steps.forEach(step => {
+      lines.push(`    v${step.version} ${step.description}: ${step.changedRecords} record(s) changed`);
+      if (report.dryRun && step.changedIds.length > 0) {
+        const sample = step.changedIds.slice(0, 5).join(', ');
+        const more = step.changedIds.length > 5 ? `, +${step.changedIds.length - 5} more` : '';
+        lines.push(`      ${sample}${more}`);
+      }
+    });
+  });
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  SCHEMA_COLLECTION,
+  migrate,
+  formatMigrationReport
+};
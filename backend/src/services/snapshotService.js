@@ -0,0 +1,245 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const dataService = require('./dataService');
+const { migrate, SCHEMA_COLLECTION } = require('./migrationService');
+const { AppError } = require('../middleware/errorHandler');
+const { eventBus, EVENT_TYPES } = require('./eventBus');
+const { resolveUploadPath } = require('../utils/uploadPaths');
+
+// Snapshots are directories under SNAPSHOT_DIR:
+//   <id>/manifest.json          collections, schema versions and file checksums
+//   <id>/collections/<name>.json
+//   <id>/uploads/<filename>     every upload file referenced by the uploads collection
+const snapshotRoot = () => path.resolve(process.env.SNAPSHOT_DIR || path.join(__dirname, '../../backups'));
+
+const MANIFEST = 'manifest.json';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const hashFile = (filename) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filename)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+const snapshotDir = (id) => {
+  if (!/^[\w-]+$/.test(id)) {
+    throw new AppError('Invalid snapshot id', 400);
+  }
+  return path.join(snapshotRoot(), id);
+};
+
+const readManifest = async (id) => {
+  const manifestFile = path.join(snapshotDir(id), MANIFEST);
+  if (!await fs.pathExists(manifestFile)) {
+    throw new AppError(`Snapshot ${id} not found`, 404);
+  }
+  return await fs.readJson(manifestFile);
+};
+
+const newSnapshotId = () => {
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `snapshot-${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+};
+
+// Write a point-in-time copy of every collection and referenced upload file.
+// All collection write locks are held while copying, so the snapshot never
+// contains half of a concurrent change.
+const createSnapshot = async ({ label = null } = {}) => {
+  const id = newSnapshotId();
+  const dir = snapshotDir(id);
+  const tempDir = `${dir}.partial`;
+
+  await fs.ensureDir(path.join(tempDir, 'collections'));
+  await fs.ensureDir(path.join(tempDir, 'uploads'));
+
+  try {
+    const manifest = await dataService.withAllLocks(async () => {
+      const adapter = dataService.adapter;
+      const collections = {};
+      const names = [...dataService.collections, SCHEMA_COLLECTION];
+
+      for (const name of names) {
+        const records = await adapter.readAll(name);
+        const contents = JSON.stringify(records, null, 2);
+        await fs.writeFile(path.join(tempDir, 'collections', `${name}.json`), contents);
+        collections[name] = { records: records.length, sha256: sha256(contents) };
+      }
+
+      const uploads = await adapter.readAll('uploads');
+      const files = [];
+      const missingFiles = [];
+      for (const upload of uploads) {
+        const source = resolveUploadPath(upload);
+        if (!await fs.pathExists(source)) {
+          missingFiles.push({ uploadId: upload.id, path: upload.path });
+          continue;
+        }
+        const name = path.basename(source);
+        await fs.copy(source, path.join(tempDir, 'uploads', name));
+        const { size } = await fs.stat(source);
+        files.push({ uploadId: upload.id, name, size, sha256: await hashFile(source) });
+      }
+
+      return {
+        id,
+        label,
+        createdAt: new Date().toISOString(),
+        storage: dataService.storageName,
+        collections,
+        files,
+        missingFiles
+      };
+    });
+
+    await fs.writeJson(path.join(tempDir, MANIFEST), manifest, { spaces: 2 });
+    // The snapshot only becomes visible once it is complete
+    await fs.rename(tempDir, dir);
+    eventBus.publish(EVENT_TYPES.SNAPSHOT_CREATED, { snapshotId: id, label }, {
+      target: { collection: 'snapshots', id }
+    });
+    return manifest;
+  } catch (error) {
+    await fs.remove(tempDir);
+    throw error;
+  }
+};
+
+const summarize = (manifest) => ({
+  id: manifest.id,
+  label: manifest.label,
+  createdAt: manifest.createdAt,
+  storage: manifest.storage,
+  records: Object.fromEntries(
+    Object.entries(manifest.collections).map(([name, info]) => [name, info.records])
+  ),
+  files: manifest.files.length,
+  missingFiles: manifest.missingFiles.length
+});
+
+const listSnapshots = async () => {
+  const root = snapshotRoot();
+  if (!await fs.pathExists(root)) return [];
+
+  const entries = await fs.readdir(root);
+  const snapshots = [];
+  for (const entry of entries) {
+    const manifestFile = path.join(root, entry, MANIFEST);
+    if (await fs.pathExists(manifestFile)) {
+      snapshots.push(summarize(await fs.readJson(manifestFile)));
+    }
+  }
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+// Check collection checksums and that every upload referenced by the snapshot's
+// uploads collection has its file present and intact
+const verifySnapshot = async (id) => {
+  const manifest = await readManifest(id);
+  const dir = snapshotDir(id);
+  const problems = [];
+
+  for (const [name, info] of Object.entries(manifest.collections)) {
+    const file = path.join(dir, 'collections', `${name}.json`);
+    if (!await fs.pathExists(file)) {
+      problems.push(`Collection file ${name}.json is missing`);
+      continue;
+    }
+    if (sha256(await fs.readFile(file, 'utf8')) !== info.sha256) {
+      problems.push(`Collection file ${name}.json does not match its checksum`);
+    }
+  }
+
+  const filesByUpload = new Map(manifest.files.map(file => [file.uploadId, file]));
+  const uploadsFile = path.join(dir, 'collections', 'uploads.json');
+  const uploads = await fs.pathExists(uploadsFile) ? await fs.readJson(uploadsFile) : [];
+  const missingAtCapture = new Set(manifest.missingFiles.map(file => file.uploadId));
+
+  for (const upload of uploads) {
+    const file = filesByUpload.get(upload.id);
+    if (!file) {
+      problems.push(missingAtCapture.has(upload.id)
+        ? `Upload ${upload.id} had no file when the snapshot was taken (${upload.path})`
+        : `Upload ${upload.id} is not listed in the manifest`);
+      continue;
+    }
+
+    const copy = path.join(dir, 'uploads', file.name);
+    if (!await fs.pathExists(copy)) {
+      problems.push(`File ${file.name} for upload ${upload.id} is missing`);
+    } else if (await hashFile(copy) !== file.sha256) {
+      problems.push(`File ${file.name} for upload ${upload.id} does not match its checksum`);
+    }
+  }
+
+  return {
+    id,
+    ok: problems.length === 0,
+    checkedCollections: Object.keys(manifest.collections).length,
+    checkedFiles: uploads.length,
+    problems
+  };
+};
+
+// Replace all collections and upload files with the snapshot contents. The
+// snapshot is verified first (skip with { force: true }) and the current state
+// is saved as a "pre-restore" snapshot so a restore can itself be undone.
+const restoreSnapshot = async (id, { force = false } = {}) => {
+  const verification = await verifySnapshot(id);
+  if (!verification.ok && !force) {
+    const error = new AppError(`Snapshot ${id} failed verification`, 409);
+    error.details = verification.problems;
+    throw error;
+  }
+
+  const safety = await createSnapshot({ label: `pre-restore ${id}` });
+  const manifest = await readManifest(id);
+  const dir = snapshotDir(id);
+
+  await dataService.withAllLocks(async () => {
+    const adapter = dataService.adapter;
+
+    for (const name of Object.keys(manifest.collections)) {
+      // The audit log keeps growing across restores, recording the restore itself
+      if (dataService.appendOnly.includes(name)) continue;
+      const records = await fs.readJson(path.join(dir, 'collections', `${name}.json`));
+      await adapter.init([name]);
+      await adapter.replaceAll(name, records);
+    }
+
+    const uploads = await fs.readJson(path.join(dir, 'collections', 'uploads.json'));
+    const filesByUpload = new Map(manifest.files.map(file => [file.uploadId, file]));
+    for (const upload of uploads) {
+      const file = filesByUpload.get(upload.id);
+      const copy = file && path.join(dir, 'uploads', file.name);
+      if (copy && await fs.pathExists(copy)) {
+        await fs.copy(copy, resolveUploadPath(upload), { overwrite: true });
+      }
+    }
+
+    // Snapshots taken by an older build may need upgrading
+    await migrate(adapter, { collections: dataService.collections });
+    dataService.invalidateCache();
+  });
+
+  eventBus.publish(EVENT_TYPES.SNAPSHOT_RESTORED, { snapshotId: id, preRestoreSnapshot: safety.id, force }, {
+    target: { collection: 'snapshots', id }
+  });
+
+  return {
+    id,
+    restoredAt: new Date().toISOString(),
+    preRestoreSnapshot: safety.id,
+    verification
+  };
+};
+
+module.exports = {
+  createSnapshot,
+  listSnapshots,
+  verifySnapshot,
+  restoreSnapshot
+};
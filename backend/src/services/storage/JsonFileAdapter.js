@@ -0,0 +1,146 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const StorageAdapter = require('./StorageAdapter');
+const KeyedLock = require('../../utils/KeyedLock');
+const { DataCorruptionError } = require('./errors');
+
+const TEMP_SUFFIX = '.tmp';
+
+// Stores each collection as a JSON array in `<dataDir>/<collection>.json`.
+//
+// Writes go to a temp file that is fsynced and renamed over the original, so a
+// crash mid-write leaves either the old or the new file, never a partial one.
+// Read-modify-write operations are serialized per collection.
+class JsonFileAdapter extends StorageAdapter {
+  constructor({ dataDir }) {
+    super('json');
+    this.dataDir = dataDir;
+    this.lock = new KeyedLock();
+  }
+
+  getFile(collection) {
+    return path.join(this.dataDir, `${collection}.json`);
+  }
+
+  async init(collections) {
+    await fs.ensureDir(this.dataDir);
+    await this.removeStaleTempFiles();
+
+    for (const collection of collections) {
+      const filename = this.getFile(collection);
+      if (!await fs.pathExists(filename)) {
+        await this.writeData(filename, []);
+      }
+      // Fail at startup rather than on the first request
+      await this.readAll(collection);
+    }
+  }
+
+  // Temp files left behind by a crash between write and rename
+  async removeStaleTempFiles() {
+    const entries = await fs.readdir(this.dataDir);
+    await Promise.all(entries
+      .filter(entry => entry.endsWith(TEMP_SUFFIX))
+      .map(entry => fs.remove(path.join(this.dataDir, entry))));
+  }
+
+  async readData(collection) {
+    const filename = this.getFile(collection);
+    let contents;
+    try {
+      contents = await fs.readFile(filename, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(contents);
+    } catch (error) {
+      throw new DataCorruptionError(collection, filename, error);
+    }
+    if (!Array.isArray(data)) {
+      throw new DataCorruptionError(collection, filename, new Error('expected a JSON array'));
+    }
+    return data;
+  }
+
+  async writeData(filename, data) {
+    const tempFile = `${filename}.${process.pid}.${crypto.randomBytes(6).toString('hex')}${TEMP_SUFFIX}`;
+    try {
+      const handle = await fs.promises.open(tempFile, 'w');
+      try {
+        await handle.writeFile(JSON.stringify(data, null, 2));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tempFile, filename);
+    } catch (error) {
+      await fs.remove(tempFile).catch(() => {});
+      throw error;
+    }
+    await this.syncDirectory();
+  }
+
+  // Persist the rename itself. Not supported on every platform, so best effort.
+  async syncDirectory() {
+    let handle;
+    try {
+      handle = await fs.promises.open(this.dataDir, 'r');
+      await handle.sync();
+    } catch (error) {
+      // Ignore: directories cannot be fsynced on Windows
+    } finally {
+      if (handle) await handle.close();
+    }
+  }
+
+  modify(collection, mutate) {
+    return this.lock.run(collection, async () => {
+      const records = await this.readData(collection);
+      const result = mutate(records);
+      if (result.changed) {
+        await this.writeData(this.getFile(collection), result.records);
+      }
+      return result.value;
+    });
+  }
+
+  async readAll(collection) {
+    return await this.readData(collection);
+  }
+
+  async insert(collection, record) {
+    return await this.modify(collection, records => ({
+      records: [...records, record],
+      changed: true
+    }));
+  }
+
+  async update(collection, id, record) {
+    return await this.modify(collection, records => {
+      const index = records.findIndex(existing => existing.id === id);
+      if (index === -1) return { changed: false, value: false };
+
+      records[index] = record;
+      return { records, changed: true, value: true };
+    });
+  }
+
+  async remove(collection, id) {
+    return await this.modify(collection, records => {
+      const remaining = records.filter(record => record.id !== id);
+      const changed = remaining.length !== records.length;
+      return { records: remaining, changed, value: changed };
+    });
+  }
+
+  async replaceAll(collection, records) {
+    return await this.modify(collection, () => ({ records, changed: true }));
+  }
+}
+
+module.exports = JsonFileAdapter;
@@ -0,0 +1,63 @@
+const StorageAdapter = require('./StorageAdapter');
+
+// Keeps collections in process memory. Nothing survives a restart, which is
+// what tests want.
+class MemoryAdapter extends StorageAdapter {
+  constructor() {
+    super('memory');
+    this.collections = new Map();
+  }
+
+  // Records are copied on the way in and out so callers never share references
+  // with the store, matching the file-backed adapters.
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, []);
+    }
+    return this.collections.get(collection);
+  }
+
+  async init(collections) {
+    collections.forEach(collection => this.getCollection(collection));
+  }
+
+  async readAll(collection) {
+    return this.clone(this.getCollection(collection));
+  }
+
+  async insert(collection, record) {
+    this.getCollection(collection).push(this.clone(record));
+  }
+
+  async update(collection, id, record) {
+    const records = this.getCollection(collection);
+    const index = records.findIndex(existing => existing.id === id);
+    if (index === -1) return false;
+
+    records[index] = this.clone(record);
+    return true;
+  }
+
+  async remove(collection, id) {
+    const records = this.getCollection(collection);
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) return false;
+
+    records.splice(index, 1);
+    return true;
+  }
+
+  async replaceAll(collection, records) {
+    this.collections.set(collection, this.clone(records));
+  }
+
+  async close() {
+    this.collections.clear();
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,96 @@
+const fs = require('fs-extra');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const { DataCorruptionError } = require('./errors');
+
+// Stores each collection as a table of (id, JSON document) rows in an embedded
+// SQLite database, so writes touch one row instead of rewriting the collection.
+// Requires the optional `better-sqlite3` dependency.
+class SqliteAdapter extends StorageAdapter {
+  constructor({ filename }) {
+    super('sqlite');
+    this.filename = filename;
+    this.db = null;
+  }
+
+  table(collection) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(collection)) {
+      throw new Error(`Invalid collection name: ${collection}`);
+    }
+    return `"${collection}"`;
+  }
+
+  async init(collections) {
+    if (!this.db) {
+      let Database;
+      try {
+        Database = require('better-sqlite3');
+      } catch (error) {
+        throw new Error('The sqlite storage adapter requires the "better-sqlite3" package to be installed');
+      }
+
+      await fs.ensureDir(path.dirname(this.filename));
+      this.db = new Database(this.filename);
+      this.db.pragma('journal_mode = WAL');
+    }
+
+    collections.forEach(collection => {
+      this.db.exec(`CREATE TABLE IF NOT EXISTS ${this.table(collection)} (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      )`);
+    });
+  }
+
+  async readAll(collection) {
+    return this.db
+      .prepare(`SELECT id, data FROM ${this.table(collection)} ORDER BY rowid`)
+      .all()
+      .map(row => {
+        try {
+          return JSON.parse(row.data);
+        } catch (error) {
+          throw new DataCorruptionError(collection, `${this.filename} row ${row.id}`, error);
+        }
+      });
+  }
+
+  async insert(collection, record) {
+    this.db
+      .prepare(`INSERT INTO ${this.table(collection)} (id, data) VALUES (?, ?)`)
+      .run(record.id, JSON.stringify(record));
+  }
+
+  async update(collection, id, record) {
+    const result = this.db
+      .prepare(`UPDATE ${this.table(collection)} SET data = ? WHERE id = ?`)
+      .run(JSON.stringify(record), id);
+    return result.changes > 0;
+  }
+
+  async remove(collection, id) {
+    const result = this.db
+      .prepare(`DELETE FROM ${this.table(collection)} WHERE id = ?`)
+      .run(id);
+    return result.changes > 0;
+  }
+
+  async replaceAll(collection, records) {
+    const table = this.table(collection);
+    const insert = this.db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`);
+    const replace = this.db.transaction((rows) => {
+      this.db.prepare(`DELETE FROM ${table}`).run();
+      rows.forEach(record => insert.run(record.id, JSON.stringify(record)));
+    });
+    replace(records);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteAdapter;
@@ -0,0 +1,42 @@
+// Base class for dataService storage backends.
+//
+// Records are plain JSON objects with a string `id`. Adapters own persistence
+// only; ids and timestamps are assigned by dataService before records get here.
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Prepare storage for the given collection names
+  async init(collections) {
+    throw new Error(`${this.name} adapter does not implement init()`);
+  }
+
+  // Return all records of a collection in insertion order
+  async readAll(collection) {
+    throw new Error(`${this.name} adapter does not implement readAll()`);
+  }
+
+  async insert(collection, record) {
+    throw new Error(`${this.name} adapter does not implement insert()`);
+  }
+
+  // Replace the stored record with the given id. Resolves to false if it does not exist.
+  async update(collection, id, record) {
+    throw new Error(`${this.name} adapter does not implement update()`);
+  }
+
+  // Resolves to true if a record was removed
+  async remove(collection, id) {
+    throw new Error(`${this.name} adapter does not implement remove()`);
+  }
+
+  // Replace the entire contents of a collection
+  async replaceAll(collection, records) {
+    throw new Error(`${this.name} adapter does not implement replaceAll()`);
+  }
+
+  async close() {}
+}
+
+module.exports = StorageAdapter;
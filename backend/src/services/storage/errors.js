@@ -0,0 +1,26 @@
+// Raised when a stored collection cannot be parsed. Reads fail loudly instead
+// of treating the collection as empty, so the next write cannot overwrite the
+// damaged data with an empty array.
+class DataCorruptionError extends Error {
+  constructor(collection, location, cause) {
+    super(`Stored data for "${collection}" is corrupt (${location}): ${cause.message}`);
+    this.name = 'DataCorruptionError';
+    this.collection = collection;
+    this.location = location;
+    this.cause = cause;
+  }
+}
+
+// Raised when a write would leave a record pointing at a missing or trashed
+// record (see REFERENCES in services/dataService.js)
+class ReferenceIntegrityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReferenceIntegrityError';
+  }
+}
+
+module.exports = {
+  DataCorruptionError,
+  ReferenceIntegrityError
+};
@@ -0,0 +1,45 @@
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const JsonFileAdapter = require('./JsonFileAdapter');
+const MemoryAdapter = require('./MemoryAdapter');
+const SqliteAdapter = require('./SqliteAdapter');
+const { DataCorruptionError, ReferenceIntegrityError } = require('./errors');
+
+const defaultDataDir = path.join(__dirname, '../../../data');
+
+// Collections managed by dataService
+const COLLECTIONS = ['users', 'uploads', 'detections', 'auditLogs', 'jobs', 'presets', 'cameras'];
+
+// Build the storage adapter selected by configuration:
+//   STORAGE_ADAPTER  json (default) | sqlite | memory (default when NODE_ENV=test)
+//   DATA_DIR         directory for JSON files and the SQLite database
+//   SQLITE_FILE      path of the SQLite database (default: <DATA_DIR>/occlusion.db)
+const createStorageAdapter = (config = {}) => {
+  const type = config.type || process.env.STORAGE_ADAPTER ||
+    (process.env.NODE_ENV === 'test' ? 'memory' : 'json');
+  const dataDir = config.dataDir || process.env.DATA_DIR || defaultDataDir;
+
+  switch (type) {
+    case 'json':
+      return new JsonFileAdapter({ dataDir });
+    case 'sqlite':
+      return new SqliteAdapter({
+        filename: config.filename || process.env.SQLITE_FILE || path.join(dataDir, 'occlusion.db')
+      });
+    case 'memory':
+      return new MemoryAdapter();
+    default:
+      throw new Error(`Unknown storage adapter: ${type}`);
+  }
+};
+
+module.exports = {
+  COLLECTIONS,
+  createStorageAdapter,
+  StorageAdapter,
+  JsonFileAdapter,
+  MemoryAdapter,
+  SqliteAdapter,
+  DataCorruptionError,
+  ReferenceIntegrityError
+};
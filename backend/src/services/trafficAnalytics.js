@@ -0,0 +1,77 @@
+// Traffic counts of a video detection from the crossing events and dwell
+// times the counting stage stored (see pipeline/counting.js)
+
+const DEFAULT_INTERVAL = 60;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const countBy = (items, key) => items.reduce((counts, item) => {
+  counts[item[key]] = (counts[item[key]] || 0) + 1;
+  return counts;
+}, {});
+
+// Crossings of each line, by direction and by vehicle type
+const countCrossings = (crossings, lines) => lines.map(name => {
+  const onLine = crossings.filter(crossing => crossing.line === name);
+  return {
+    line: name,
+    total: onLine.length,
+    forward: onLine.filter(crossing => crossing.direction === 'forward').length,
+    backward: onLine.filter(crossing => crossing.direction === 'backward').length,
+    byType: countBy(onLine, 'type')
+  };
+});
+
+// Stays in each zone with their average and longest duration in seconds
+const summarizeDwellTimes = (dwellTimes, zones) => zones.map(name => {
+  const inZone = dwellTimes.filter(stay => stay.zone === name);
+  const durations = inZone.map(stay => stay.duration);
+  return {
+    zone: name,
+    visits: inZone.length,
+    averageDwell: durations.length > 0 ? round(durations.reduce((sum, value) => sum + value, 0) / durations.length) : 0,
+    maxDwell: Math.max(0, ...durations),
+    byType: countBy(inZone, 'type')
+  };
+});
+
+// Totals over the whole video and per `interval` seconds of it. Crossings
+// count in the interval they happen in, stays in the one they start in.
+const trafficAnalytics = (results, { interval = DEFAULT_INTERVAL } = {}) => {
+  const crossings = results.crossings || [];
+  const dwellTimes = results.dwellTimes || [];
+  const processingMetadata = results.processingMetadata || {};
+  const lines = ((processingMetadata.counting || {}).lines || []).map(line => line.name);
+  const zones = ((processingMetadata.zones || {}).zones || []).map(zone => zone.name);
+
+  const frames = results.frames || [];
+  const lastTimestamp = frames.length > 0 ? frames[frames.length - 1].timestamp : 0;
+  const duration = Math.max((results.videoMetadata || {}).duration || 0, lastTimestamp);
+  const periodCount = Math.max(1, Math.ceil(duration / interval));
+
+  const periods = [];
+  for (let index = 0; index < periodCount; index++) {
+    const start = index * interval;
+    const end = start + interval;
+    const inPeriod = (time) => time >= start && (time < end || index === periodCount - 1);
+    periods.push({
+      start,
+      end: Math.min(end, duration),
+      lines: countCrossings(crossings.filter(crossing => inPeriod(crossing.timestamp)), lines),
+      zones: summarizeDwellTimes(dwellTimes.filter(stay => inPeriod(stay.enterTime)), zones)
+    });
+  }
+
+  return {
+    interval,
+    duration,
+    lines: countCrossings(crossings, lines),
+    zones: summarizeDwellTimes(dwellTimes, zones),
+    periods
+  };
+};
+
+module.exports = {
+  DEFAULT_INTERVAL,
+  trafficAnalytics
+};
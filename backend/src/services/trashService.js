@@ -0,0 +1,72 @@
+const Upload = require('../models/Upload');
+const Detection = require('../models/Detection');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a trashed upload or detection is kept before the purge job removes it
+const getRetentionDays = () => {
+  const days = parseFloat(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+};
+
+const getPurgeDate = (deletedAt, retentionDays = getRetentionDays()) => {
+  return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS).toISOString();
+};
+
+// Permanently remove trashed records older than the retention period. Removing
+// an upload also removes its file and any detections still referencing it.
+const purgeExpired = async ({ retentionDays = getRetentionDays(), now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+  const detections = await Detection.find(expired);
+  for (const detection of detections) {
+    await detection.remove();
+  }
+
+  const uploads = await Upload.find(expired);
+  for (const upload of uploads) {
+    await upload.remove();
+  }
+
+  return {
+    cutoff,
+    detections: detections.length,
+    uploads: uploads.length
+  };
+};
+
+let purgeTimer = null;
+
+// Run purgeExpired now and then every TRASH_PURGE_INTERVAL_MINUTES (default 60)
+const startPurgeJob = () => {
+  if (purgeTimer) return;
+
+  const minutes = parseFloat(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+  const run = () => purgeExpired()
+    .then(result => {
+      if (result.uploads > 0 || result.detections > 0) {
+        console.log(`Trash purge removed ${result.uploads} upload(s) and ${result.detections} detection(s)`);
+      }
+    })
+    .catch(error => console.error('Trash purge failed:', error));
+
+  purgeTimer = setInterval(run, minutes * 60 * 1000);
+  purgeTimer.unref();
+  run();
+};
+
+const stopPurgeJob = () => {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+};
+
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  purgeExpired,
+  startPurgeJob,
+  stopPurgeJob
+};
@@ -0,0 +1,149 @@
+const Joi = require('joi');
+const fs = require('fs-extra');
+const { runDetector } = require('../detectors');
+const { runPipeline, runVideoPipeline, InvalidParametersError } = require('../pipeline');
+const { probeVideo, extractFrames } = require('./videoFrames');
+
+// Frames sampled per second of video and the most frames analyzed per video.
+// Override per analysis with the sample_rate and max_frames parameters.
+const DEFAULT_SAMPLE_RATE = Number(process.env.VIDEO_SAMPLE_RATE) || 1;
+const DEFAULT_MAX_FRAMES = Number(process.env.VIDEO_MAX_FRAMES) || 300;
+
+const parametersSchema = Joi.object({
+  sample_rate: Joi.number().greater(0).max(60),
+  max_frames: Joi.number().integer().min(1).max(10000)
+}).unknown(true);
+
+const resolveVideoParameters = (parameters = {}) => {
+  const { error } = parametersSchema.validate(parameters);
+  if (error) {
+    throw new InvalidParametersError(`Invalid video parameters: ${error.message}`);
+  }
+  return {
+    sample_rate: parameters.sample_rate === undefined ? DEFAULT_SAMPLE_RATE : parameters.sample_rate,
+    max_frames: parameters.max_frames === undefined ? DEFAULT_MAX_FRAMES : parameters.max_frames
+  };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const mean = (values) => (values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0);
+
+// Vehicle counts and occlusion rate of one analyzed frame, with the counts
+// per zone when zones were applied
+const describeFrame = ({ index, timestamp }, { vehicles, zoneStats }) => {
+  const occludedVehicles = vehicles.filter(vehicle => vehicle.occlusion && vehicle.occlusion.isOccluded).length;
+  return {
+    index,
+    timestamp,
+    totalVehicles: vehicles.length,
+    occludedVehicles,
+    occlusionRate: vehicles.length > 0 ? round(occludedVehicles / vehicles.length * 100) : 0,
+    ...(zoneStats ? { zoneStats } : {}),
+    vehicles
+  };
+};
+
+// Per-video statistics. The average occlusion rate is taken over the frames
+// that have vehicles, since an empty road is neither occluded nor clear.
+const summarizeFrames = (frames, tracks = []) => {
+  const busiest = frames.reduce((peak, frame) => (!peak || frame.totalVehicles > peak.totalVehicles ? frame : peak), null);
+  const withVehicles = frames.filter(frame => frame.totalVehicles > 0);
+  const mostOccluded = withVehicles.reduce((peak, frame) => (!peak || frame.occlusionRate > peak.occlusionRate ? frame : peak), null);
+
+  return {
+    sampledFrames: frames.length,
+    trackedVehicles: tracks.length,
+    peakVehicles: busiest ? busiest.totalVehicles : 0,
+    peakVehiclesAt: busiest ? busiest.timestamp : null,
+    averageVehicles: mean(frames.map(frame => frame.totalVehicles)),
+    peakOccludedVehicles: Math.max(0, ...frames.map(frame => frame.occludedVehicles)),
+    averageOcclusionRate: mean(withVehicles.map(frame => frame.occlusionRate)),
+    peakOcclusionRate: mostOccluded ? mostOccluded.occlusionRate : 0,
+    peakOcclusionAt: mostOccluded ? mostOccluded.timestamp : null
+  };
+};
+
+// Per-zone counts of a video in the form of the detection totals: the
+// busiest frame of each zone and its average occlusion rate
+const summarizeZones = (frames, zones) => zones.map(({ name }) => {
+  const zoneFrames = frames.map(frame => {
+    const stats = (frame.zoneStats || []).find(entry => entry.name === name) || {};
+    return {
+      timestamp: frame.timestamp,
+      totalVehicles: stats.totalVehicles || 0,
+      occludedVehicles: stats.occludedVehicles || 0,
+      occlusionRate: stats.occlusionPercentage || 0
+    };
+  });
+  const summary = summarizeFrames(zoneFrames);
+  return {
+    name,
+    totalVehicles: summary.peakVehicles,
+    occludedVehicles: summary.peakOccludedVehicles,
+    occlusionPercentage: summary.averageOcclusionRate,
+    averageVehicles: summary.averageVehicles,
+    peakVehiclesAt: summary.peakVehiclesAt
+  };
+});
+
+// Sample frames from a video, run the detector and post-processing on each
+// and then the video stages (tracking) on all of them. Resolves to { frames,
+// tracks, crossings, dwellTimes, summary, zoneStats, videoMetadata,
+// pipelineMetadata }, the last being the
+// processing metadata the pipelines recorded (the same for every frame apart
+// from which vehicles filtering removed).
+const analyzeVideo = async (detector, input, parameters, { signal = null } = {}) => {
+  const settings = resolveVideoParameters(parameters);
+  const video = await probeVideo(input.path, { signal });
+  const { frames: sampled, cleanup } = await extractFrames(input.path, {
+    sampleRate: settings.sample_rate,
+    maxFrames: settings.max_frames,
+    signal
+  });
+
+  const frames = [];
+  let pipelineMetadata = {};
+  try {
+    for (const frame of sampled) {
+      if (signal) signal.throwIfAborted();
+      const { size } = await fs.stat(frame.path);
+      const output = await runDetector(detector, {
+        path: frame.path,
+        mimetype: 'image/jpeg',
+        size,
+        originalName: `${input.originalName}@${frame.timestamp}s.jpg`
+      }, parameters, { signal });
+      const processed = runPipeline(output, parameters);
+
+      frames.push(describeFrame(frame, processed));
+      const { filtering: { removed, ...filtering } = {}, ...rest } = processed.processingMetadata;
+      pipelineMetadata = { ...rest, filtering };
+    }
+  } finally {
+    await cleanup();
+  }
+
+  const videoMetadata = { ...video, sampleRate: settings.sample_rate, maxFrames: settings.max_frames };
+  const tracked = runVideoPipeline({ frames, videoMetadata, processingMetadata: pipelineMetadata }, parameters);
+  const { zones = [] } = tracked.processingMetadata.zones || {};
+
+  return {
+    frames: tracked.frames,
+    tracks: tracked.tracks,
+    crossings: tracked.crossings || [],
+    dwellTimes: tracked.dwellTimes || [],
+    summary: summarizeFrames(tracked.frames, tracked.tracks),
+    zoneStats: summarizeZones(tracked.frames, zones),
+    videoMetadata,
+    pipelineMetadata: tracked.processingMetadata
+  };
+};
+
+module.exports = {
+  DEFAULT_SAMPLE_RATE,
+  DEFAULT_MAX_FRAMES,
+  resolveVideoParameters,
+  summarizeFrames,
+  summarizeZones,
+  analyzeVideo
+};
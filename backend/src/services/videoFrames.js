@@ -0,0 +1,119 @@
+const { spawn } = require('child_process');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Frames are extracted with the ffmpeg command line tools, which must be
+// installed on the server (or pointed to with FFMPEG_PATH / FFPROBE_PATH)
+const ffmpegPath = () => process.env.FFMPEG_PATH || 'ffmpeg';
+const ffprobePath = () => process.env.FFPROBE_PATH || 'ffprobe';
+
+// Raised when a video cannot be read. The same file would fail again, so the
+// analysis is not retried.
+class VideoProcessingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VideoProcessingError';
+    this.code = 'VIDEO_PROCESSING_FAILED';
+    this.retryable = false;
+  }
+}
+
+// Run a command to completion and resolve with its stdout. `signal` kills it.
+const run = (command, args, { signal = null } = {}) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, { signal, stdio: ['ignore', 'pipe', 'pipe'] });
+  const stdout = [];
+  let stderr = '';
+  child.stdout.on('data', chunk => stdout.push(chunk));
+  child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+
+  child.on('error', (error) => {
+    if (error.code === 'ENOENT') {
+      reject(new VideoProcessingError(`${command} is not installed; install ffmpeg or set FFMPEG_PATH and FFPROBE_PATH`));
+    } else if (error.name === 'AbortError' && signal) {
+      reject(signal.reason);
+    } else {
+      reject(error);
+    }
+  });
+  // An abort has already rejected through 'error' by the time the child closes
+  child.on('close', (code, killedBy) => {
+    if (code === 0) {
+      resolve(Buffer.concat(stdout).toString());
+    } else {
+      const reason = code === null ? `was stopped by ${killedBy}` : `exited with code ${code}`;
+      reject(new VideoProcessingError(`${path.basename(command)} ${reason}: ${stderr.trim()}`));
+    }
+  });
+});
+
+// "30000/1001" -> 29.97
+const parseRate = (rate) => {
+  const [numerator, denominator = 1] = String(rate || '').split('/').map(Number);
+  return denominator > 0 && numerator > 0 ? Math.round(numerator / denominator * 100) / 100 : null;
+};
+
+// Duration (seconds), frame size and frame rate of the first video stream
+const probeVideo = async (filename, options = {}) => {
+  const output = await run(ffprobePath(), [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'stream=width,height,avg_frame_rate:format=duration',
+    '-of', 'json',
+    filename
+  ], options);
+
+  let info;
+  try {
+    info = JSON.parse(output);
+  } catch (error) {
+    throw new VideoProcessingError(`Unreadable ffprobe output for ${path.basename(filename)}`);
+  }
+  const [stream] = info.streams || [];
+  if (!stream) {
+    throw new VideoProcessingError(`${path.basename(filename)} has no video stream`);
+  }
+
+  return {
+    duration: Number((info.format || {}).duration) || 0,
+    width: stream.width,
+    height: stream.height,
+    frameRate: parseRate(stream.avg_frame_rate)
+  };
+};
+
+// Extract `sampleRate` frames per second, at most `maxFrames`, as JPEG files
+// in a temporary directory. Resolves to { frames: [{ index, timestamp, path }],
+// cleanup }; call cleanup() once the frames are no longer needed.
+const extractFrames = async (filename, { sampleRate, maxFrames, signal = null }) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'frames-'));
+  const cleanup = () => fs.remove(dir);
+
+  try {
+    await run(ffmpegPath(), [
+      '-v', 'error',
+      '-i', filename,
+      '-vf', `fps=${sampleRate}`,
+      '-frames:v', String(maxFrames),
+      '-q:v', '3',
+      path.join(dir, 'frame_%06d.jpg')
+    ], { signal });
+
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.jpg')).sort();
+    const frames = files.map((file, index) => ({
+      index,
+      timestamp: Math.round(index / sampleRate * 1000) / 1000,
+      path: path.join(dir, file)
+    }));
+    return { frames, cleanup };
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+};
+
+module.exports = {
+  VideoProcessingError,
+  probeVideo,
+  extractFrames
+};
@@ -0,0 +1,13 @@
+const AuditLog = require('../models/AuditLog');
+const { ALL_EVENTS } = require('../services/eventBus');
+
+// Every domain event becomes an audit log entry
+const register = (eventBus) => [
+  eventBus.subscribe(ALL_EVENTS, async (event) => {
+    await AuditLog.record(event);
+  })
+];
+
+module.exports = {
+  register
+};
@@ -0,0 +1,15 @@
+const { eventBus } = require('../services/eventBus');
+
+// Subscribers reacting to domain events; each register() returns its unsubscribe functions
+const subscribers = [
+  require('./userStats'),
+  require('./auditLog')
+];
+
+const registerSubscribers = (bus = eventBus) => {
+  return subscribers.flatMap(subscriber => subscriber.register(bus));
+};
+
+module.exports = {
+  registerSubscribers
+};
@@ -0,0 +1,19 @@
+const User = require('../models/User');
+const { EVENT_TYPES } = require('../services/eventBus');
+
+// Keep the counters in User.stats in step with uploads and detections
+const register = (eventBus) => [
+  eventBus.subscribe(EVENT_TYPES.UPLOAD_CREATED, async ({ payload }) => {
+    const user = await User.findById(payload.userId);
+    if (user) await user.incrementUploadStats();
+  }),
+
+  eventBus.subscribe(EVENT_TYPES.DETECTION_COMPLETED, async ({ payload }) => {
+    const user = await User.findById(payload.userId);
+    if (user) await user.incrementDetectionStats(payload.processingDuration);
+  })
+];
+
+module.exports = {
+  register
+};
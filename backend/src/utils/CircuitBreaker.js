@@ -0,0 +1,68 @@
+// Stops calling a failing dependency for a while. After `failureThreshold`
+// consecutive failures the circuit opens and calls fail fast with
+// CircuitOpenError; once `resetTimeoutMs` has passed one trial call is let
+// through (half-open), and its outcome closes or reopens the circuit.
+// `isFailure` decides which errors count; the others pass through as if the
+// call had succeeded.
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} is unavailable (circuit open until ${new Date(retryAt).toISOString()})`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.retryAt = retryAt;
+  }
+}
+
+class CircuitBreaker {
+  constructor({ name = 'dependency', failureThreshold = 5, resetTimeoutMs = 30000, isFailure = () => true } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.isFailure = isFailure;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.resetTimeoutMs ? 'half-open' : 'open';
+  }
+
+  reset() {
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  async execute(task) {
+    const state = this.state;
+    if (state === 'open' || (state === 'half-open' && this.trialInFlight)) {
+      throw new CircuitOpenError(this.name, this.openedAt + this.resetTimeoutMs);
+    }
+
+    const trial = state === 'half-open';
+    if (trial) this.trialInFlight = true;
+    try {
+      const result = await task();
+      this.reset();
+      return result;
+    } catch (error) {
+      if (!this.isFailure(error)) {
+        this.reset();
+        throw error;
+      }
+      this.failures++;
+      if (trial || this.failures >= this.failureThreshold) {
+        this.openedAt = Date.now();
+      }
+      throw error;
+    } finally {
+      if (trial) this.trialInFlight = false;
+    }
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError
+};
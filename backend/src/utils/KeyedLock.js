@@ -0,0 +1,42 @@
+// Serializes async work per key: tasks queued under the same key run one at a
+// time in arrival order, tasks under different keys run independently.
+class KeyedLock {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  async run(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    this.tails.set(key, tail);
+
+    await previous;
+    try {
+      return await task();
+    } finally {
+      release();
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    }
+  }
+
+  // Hold several keys at once. Keys are acquired in sorted order so two
+  // callers locking overlapping sets cannot deadlock.
+  async runAll(keys, task) {
+    const ordered = [...new Set(keys)].sort();
+    const acquire = (index) => {
+      if (index === ordered.length) return task();
+      return this.run(ordered[index], () => acquire(index + 1));
+    };
+    return await acquire(0);
+  }
+
+  isLocked(key) {
+    return this.tails.has(key);
+  }
+}
+
+module.exports = KeyedLock;
@@ -0,0 +1,145 @@
+// Axis-aligned bounding boxes in the { x, y, width, height } form stored on
+// detected vehicles, with x/y the top-left corner in image pixels.
+
+const area = (box) => Math.max(0, box.width) * Math.max(0, box.height);
+
+// Overlapping region of two boxes, or null if they do not overlap
+const intersection = (a, b) => {
+  const left = Math.max(a.x, b.x);
+  const top = Math.max(a.y, b.y);
+  const right = Math.min(a.x + a.width, b.x + b.width);
+  const bottom = Math.min(a.y + a.height, b.y + b.height);
+  if (right <= left || bottom <= top) return null;
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+const intersectionArea = (a, b) => {
+  const overlap = intersection(a, b);
+  return overlap ? area(overlap) : 0;
+};
+
+// Area covered by any of the boxes, counting overlaps once. The plane is cut
+// into vertical slabs at every box edge; within a slab the covered height is
+// the merged length of the boxes' y-intervals.
+const unionArea = (boxes) => {
+  const xs = [...new Set(boxes.flatMap(box => [box.x, box.x + box.width]))].sort((a, b) => a - b);
+  let total = 0;
+
+  for (let i = 0; i < xs.length - 1; i++) {
+    const left = xs[i];
+    const right = xs[i + 1];
+    const intervals = boxes
+      .filter(box => box.x <= left && box.x + box.width >= right)
+      .map(box => [box.y, box.y + box.height])
+      .sort((a, b) => a[0] - b[0]);
+
+    let covered = 0;
+    let [start, end] = [null, null];
+    intervals.forEach(([top, bottom]) => {
+      if (end === null || top > end) {
+        if (end !== null) covered += end - start;
+        [start, end] = [top, bottom];
+      } else {
+        end = Math.max(end, bottom);
+      }
+    });
+    if (end !== null) covered += end - start;
+    total += covered * (right - left);
+  }
+  return total;
+};
+
+// Intersection over union, from 0 (disjoint) to 1 (identical)
+const iou = (a, b) => {
+  const shared = intersectionArea(a, b);
+  const union = area(a) + area(b) - shared;
+  return union > 0 ? shared / union : 0;
+};
+
+// Pair boxes of two lists by overlap. Pairs are taken greedily in order of
+// decreasing IoU, so each box is matched at most once and to its best
+// remaining counterpart; pairs below `threshold` are not matched. Returns
+// to { matches: [{ aIndex, bIndex, overlap }], unmatchedA, unmatchedB } with
+// the unmatched entries as index lists.
+const matchBoxes = (aBoxes, bBoxes, threshold) => {
+  const pairs = [];
+  aBoxes.forEach((a, aIndex) => {
+    bBoxes.forEach((b, bIndex) => {
+      const overlap = iou(a, b);
+      if (overlap >= threshold && overlap > 0) {
+        pairs.push({ aIndex, bIndex, overlap });
+      }
+    });
+  });
+  pairs.sort((x, y) => y.overlap - x.overlap);
+
+  const usedA = new Set();
+  const usedB = new Set();
+  const matches = [];
+  pairs.forEach(pair => {
+    if (usedA.has(pair.aIndex) || usedB.has(pair.bIndex)) return;
+    usedA.add(pair.aIndex);
+    usedB.add(pair.bIndex);
+    matches.push(pair);
+  });
+
+  return {
+    matches,
+    unmatchedA: aBoxes.map((box, index) => index).filter(index => !usedA.has(index)),
+    unmatchedB: bBoxes.map((box, index) => index).filter(index => !usedB.has(index))
+  };
+};
+
+// Whether a point lies inside a polygon given as [[x, y], ...] (even-odd
+// rule: a ray from the point crosses the polygon's edges an odd number of times)
+const containsPoint = (polygon, [x, y]) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Which side of the directed line a -> b a point lies on: 1 on the right
+// (as seen looking from a to b in image coordinates, y pointing down), -1 on
+// the left and 0 on the line itself
+const sideOf = ([ax, ay], [bx, by], [x, y]) => Math.sign((bx - ax) * (y - ay) - (by - ay) * (x - ax));
+
+// Where the movement from `from` to `to` crosses the line segment a -> b, as
+// { t, direction } with t the fraction of the movement done at the crossing
+// and direction 1 (left to right) or -1 (right to left); null if it does not
+// cross. Touching the line without passing it is not a crossing, and neither
+// is a movement ending on the line: callers following a point over several
+// movements measure from the last position off the line instead.
+const segmentCrossing = (from, to, a, b) => {
+  const before = sideOf(a, b, from);
+  const after = sideOf(a, b, to);
+  if (before === 0 || after === 0 || before === after) return null;
+
+  // The crossing point must lie within the segment, not on its extension
+  if (sideOf(from, to, a) === sideOf(from, to, b)) return null;
+
+  const [fx, fy] = from;
+  const [tx, ty] = to;
+  const [ax, ay] = a;
+  const [bx, by] = b;
+  const denominator = (tx - fx) * (by - ay) - (ty - fy) * (bx - ax);
+  const t = ((ax - fx) * (by - ay) - (ay - fy) * (bx - ax)) / denominator;
+  return { t, direction: after };
+};
+
+module.exports = {
+  area,
+  intersection,
+  intersectionArea,
+  unionArea,
+  iou,
+  matchBoxes,
+  containsPoint,
+  sideOf,
+  segmentCrossing
+};
@@ -0,0 +1,30 @@
+// Pixel dimensions from the header of a PNG or JPEG file, or null if the
+// format is not recognised
+
+const pngSize = (buffer) => {
+  const signature = '89504e470d0a1a0a';
+  if (buffer.length < 24 || buffer.toString('hex', 0, 8) !== signature) return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20), format: 'PNG' };
+};
+
+const jpegSize = (buffer) => {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // Start-of-frame markers carry the dimensions (C4, C8 and CC are not frames)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5), format: 'JPEG' };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+const readImageSize = (buffer) => pngSize(buffer) || jpegSize(buffer);
+
+module.exports = {
+  readImageSize
+};
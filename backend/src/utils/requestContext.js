@@ -0,0 +1,27 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+// Who is making the current request and from where. Route handlers run inside
+// a context (see asyncHandler), so code they call, including work they start
+// without awaiting it, can attribute changes without being passed `req`.
+const storage = new AsyncLocalStorage();
+
+const contextFromRequest = (req) => ({
+  requestId: uuidv4(),
+  actor: req.user
+    ? { id: req.user.id, username: req.user.username, role: req.user.role }
+    : null,
+  ip: req.ip,
+  method: req.method,
+  path: req.originalUrl
+});
+
+const runInRequestContext = (req, task) => storage.run(contextFromRequest(req), task);
+
+// The current request context, or null outside of a request
+const getRequestContext = () => storage.getStore() || null;
+
+module.exports = {
+  runInRequestContext,
+  getRequestContext
+};
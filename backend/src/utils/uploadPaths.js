@@ -0,0 +1,12 @@
+const path = require('path');
+
+// Directory multer writes uploads to (see routes/uploadRoutes.js)
+const UPLOAD_DIR = path.resolve('uploads');
+
+// Upload records store the multer path, relative to the server's working directory
+const resolveUploadPath = (upload) => path.resolve(upload.path || path.join('uploads', upload.filename));
+
+module.exports = {
+  UPLOAD_DIR,
+  resolveUploadPath
+};
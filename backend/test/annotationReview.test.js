@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { annotationSchema, reviewedView, prepareAnnotation } = require('../src/services/annotationReview');
+
+const box = (x, y) => ({ x, y, width: 10, height: 10 });
+const occlusion = (level, occludedBy = []) => ({
+  isOccluded: level !== 'none',
+  occlusionLevel: level,
+  occlusionPercentage: level === 'none' ? 0 : 40,
+  occludedBy
+});
+
+const results = {
+  vehicles: [
+    { id: 'vehicle_1', type: 'car', confidence: 0.9, boundingBox: box(0, 0), occlusion: occlusion('none') },
+    { id: 'vehicle_2', type: 'car', confidence: 0.8, boundingBox: box(5, 0), occlusion: occlusion('partial', ['vehicle_1']) }
+  ]
+};
+
+test('annotations without an action are updates', () => {
+  const { value, error } = annotationSchema.validate({ vehicleId: 'vehicle_1', correctedType: 'truck' });
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(value.action, 'update');
+});
+
+test('an added vehicle needs a vehicle and no vehicleId', () => {
+  assert.ok(annotationSchema.validate({ action: 'add' }).error);
+  assert.ok(annotationSchema.validate({ action: 'add', vehicleId: 'vehicle_1', vehicle: { type: 'car', boundingBox: box(0, 0) } }).error);
+  assert.ok(annotationSchema.validate({ action: 'delete', vehicleId: 'vehicle_1', correctedType: 'truck' }).error);
+});
+
+test('reviewedView without annotations keeps the detector vehicles unchanged', () => {
+  const view = reviewedView(results, []);
+  assert.deepStrictEqual(view.vehicles.map(vehicle => vehicle.review), ['unchanged', 'unchanged']);
+  assert.strictEqual(view.totalVehicles, 2);
+  assert.strictEqual(view.occludedVehicles, 1);
+  assert.strictEqual(view.reviewedAt, null);
+});
+
+test('reviewedView applies added, corrected and deleted vehicles in order', () => {
+  const annotations = [
+    { action: 'add', vehicleId: 'added_1', vehicle: { type: 'bus', boundingBox: box(50, 50), occlusionLevel: 'none', occludedBy: [] } },
+    { action: 'update', vehicleId: 'vehicle_2', correctedType: 'truck', correctedOcclusion: 'heavy', timestamp: '2026-01-01T00:00:00.000Z' },
+    { action: 'delete', vehicleId: 'vehicle_1', timestamp: '2026-01-02T00:00:00.000Z' }
+  ];
+  const view = reviewedView(results, annotations);
+
+  assert.deepStrictEqual(view.vehicles.map(vehicle => [vehicle.id, vehicle.type, vehicle.review]), [
+    ['vehicle_2', 'truck', 'corrected'],
+    ['added_1', 'bus', 'added']
+  ]);
+  assert.deepStrictEqual(view.removedVehicles, ['vehicle_1']);
+  assert.strictEqual(view.reviewedAt, '2026-01-02T00:00:00.000Z');
+
+  // A new level drops the detector's percentage, and a deleted vehicle no
+  // longer occludes any other
+  const corrected = view.vehicles[0].occlusion;
+  assert.strictEqual(corrected.occlusionLevel, 'heavy');
+  assert.strictEqual(corrected.occlusionPercentage, null);
+  assert.deepStrictEqual(corrected.occludedBy, []);
+});
+
+test('prepareAnnotation numbers added vehicles', () => {
+  const add = { action: 'add', vehicle: { type: 'car', boundingBox: box(50, 50), occlusionLevel: 'none', occludedBy: [] } };
+  const first = prepareAnnotation(results, [], add);
+  assert.strictEqual(first.vehicleId, 'added_1');
+  assert.strictEqual(prepareAnnotation(results, [first], add).vehicleId, 'added_2');
+});
+
+test('prepareAnnotation rejects vehicles the reviewed view does not have', () => {
+  const deleted = [{ action: 'delete', vehicleId: 'vehicle_1' }];
+  assert.throws(
+    () => prepareAnnotation(results, deleted, { action: 'update', vehicleId: 'vehicle_1', correctedType: 'truck' }),
+    { name: 'InvalidAnnotationError' }
+  );
+  assert.throws(
+    () => prepareAnnotation(results, deleted, { action: 'update', vehicleId: 'vehicle_2', occludedBy: ['vehicle_1'] }),
+    { name: 'InvalidAnnotationError' }
+  );
+  assert.throws(
+    () => prepareAnnotation(results, [], { action: 'update', vehicleId: 'vehicle_2', occludedBy: ['vehicle_2'] }),
+    { name: 'InvalidAnnotationError' }
+  );
+});
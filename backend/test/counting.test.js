@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { countingStage } = require('../src/pipeline/counting');
+
+const line = { name: 'stop-line', points: [[0, 100], [200, 100]] };
+
+// A video with one track whose bottom-center anchor visits `points`, one
+// frame per second
+const videoOf = (points) => ({
+  frames: points.map(([x, y], index) => ({
+    timestamp: index,
+    vehicles: [{ trackId: 'track_1', boundingBox: { x, y, width: 0, height: 0 } }]
+  })),
+  tracks: [{ trackId: 'track_1', type: 'car' }],
+  processingMetadata: {}
+});
+
+const crossingsOf = (points) => countingStage.apply(videoOf(points), { lines: [line] }).crossings
+  .map(({ direction, timestamp, frame }) => ({ direction, timestamp, frame }));
+
+test('a track crossing a line between two frames is counted once', () => {
+  assert.deepStrictEqual(crossingsOf([[50, 50], [50, 150]]), [
+    { direction: 'forward', timestamp: 0.5, frame: 1 }
+  ]);
+});
+
+test('a track detected exactly on the line is counted once it leaves to the other side', () => {
+  assert.deepStrictEqual(crossingsOf([[50, 50], [50, 100], [50, 150]]), [
+    { direction: 'forward', timestamp: 1, frame: 2 }
+  ]);
+  assert.deepStrictEqual(crossingsOf([[50, 150], [50, 100], [50, 100], [50, 50]]), [
+    { direction: 'backward', timestamp: 1, frame: 3 }
+  ]);
+});
+
+test('a track touching the line and turning back is not counted', () => {
+  assert.deepStrictEqual(crossingsOf([[50, 50], [50, 100], [50, 50]]), []);
+  assert.deepStrictEqual(crossingsOf([[50, 150], [50, 100], [50, 150]]), []);
+});
+
+test('a track crossing back and forth is counted each time', () => {
+  assert.deepStrictEqual(crossingsOf([[50, 50], [50, 150], [50, 50]]).map(crossing => crossing.direction), [
+    'forward',
+    'backward'
+  ]);
+});
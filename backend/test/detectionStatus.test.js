@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dataService = require('../src/services/dataService');
+const Detection = require('../src/models/Detection');
+const { processVehicleDetection, cancelDetection } = require('../src/services/detectionProcessor');
+
+const createDetection = async (status) => {
+  const user = await dataService.createRecord('users', { email: `${Date.now()}@example.com`, username: 'tester' });
+  const upload = await dataService.createRecord('uploads', { userId: user.id, path: 'missing.jpg', fileType: 'image' });
+  const detection = await Detection.create({ userId: user.id, uploadId: upload.id });
+  if (status !== 'pending') await detection.updateStatus(status);
+  return detection;
+};
+
+test('a pending detection is cancelled', async () => {
+  const detection = await createDetection('pending');
+
+  assert.strictEqual(await cancelDetection(detection), true);
+  assert.strictEqual((await Detection.findById(detection.id)).status, 'cancelled');
+});
+
+test('cancelling a completed detection keeps it completed', async () => {
+  const detection = await createDetection('processing');
+  const stale = await Detection.findById(detection.id);
+  assert.strictEqual(await detection.completeProcessing(), true);
+
+  assert.strictEqual(await cancelDetection(stale), false);
+  assert.strictEqual(stale.status, 'completed');
+  assert.strictEqual((await Detection.findById(detection.id)).status, 'completed');
+});
+
+test('completing a cancelled detection keeps it cancelled', async () => {
+  const detection = await createDetection('processing');
+  await cancelDetection(await Detection.findById(detection.id));
+
+  detection.results = { ...detection.results, vehicles: [{ id: 'vehicle_1', type: 'car' }] };
+  assert.strictEqual(await detection.completeProcessing(), false);
+  assert.strictEqual(detection.status, 'cancelled');
+
+  const stored = await Detection.findById(detection.id);
+  assert.strictEqual(stored.status, 'cancelled');
+  assert.deepStrictEqual(stored.results.vehicles, []);
+});
+
+test('a cancelled detection is not started', async () => {
+  const detection = await createDetection('pending');
+  await cancelDetection(await Detection.findById(detection.id));
+
+  await processVehicleDetection(detection.id);
+  const stored = await Detection.findById(detection.id);
+  assert.strictEqual(stored.status, 'cancelled');
+  assert.strictEqual(stored.processingStartTime, undefined);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { averagePrecision, evaluate, groundTruthFor } = require('../src/services/evaluation');
+
+const box = (x, y, width = 10, height = 10) => ({ x, y, width, height });
+const vehicle = (type, boundingBox, extra = {}) => ({ type, boundingBox, ...extra });
+
+test('averagePrecision of a perfect ranking is 1', () => {
+  assert.strictEqual(averagePrecision([{ recall: 0.5, precision: 1 }, { recall: 1, precision: 1 }]), 1);
+});
+
+test('averagePrecision interpolates precision to be monotonically decreasing', () => {
+  // The dip at recall 0.5 is lifted to the precision reached later
+  const points = [
+    { recall: 0.5, precision: 1 },
+    { recall: 0.5, precision: 0.5 },
+    { recall: 1, precision: 2 / 3 }
+  ];
+  assert.strictEqual(averagePrecision(points), 0.5 * 1 + 0.5 * (2 / 3));
+});
+
+test('averagePrecision without predictions is 0', () => {
+  assert.strictEqual(averagePrecision([]), 0);
+});
+
+test('evaluate counts true and false positives per class', () => {
+  const report = evaluate([{
+    groundTruth: [vehicle('car', box(0, 0)), vehicle('car', box(50, 50)), vehicle('truck', box(100, 0))],
+    predictions: [
+      vehicle('car', box(0, 0), { confidence: 0.9 }),
+      vehicle('car', box(200, 200), { confidence: 0.8 }),
+      vehicle('truck', box(100, 0), { confidence: 0.7 })
+    ]
+  }]);
+
+  const [threshold] = report.thresholds;
+  const car = threshold.classes.find(entry => entry.type === 'car');
+  assert.deepStrictEqual(
+    { tp: car.truePositives, fp: car.falsePositives, fn: car.falseNegatives },
+    { tp: 1, fp: 1, fn: 1 }
+  );
+  assert.strictEqual(car.precision, 0.5);
+  assert.strictEqual(car.recall, 0.5);
+  assert.strictEqual(car.ap, 0.5);
+  assert.strictEqual(threshold.classes.find(entry => entry.type === 'truck').ap, 1);
+  assert.strictEqual(threshold.mAP, 0.75);
+  assert.strictEqual(report.groundTruthVehicles, 3);
+  assert.strictEqual(report.predictedVehicles, 3);
+});
+
+test('evaluate matches boxes only at IoU thresholds they reach', () => {
+  // IoU 0.6
+  const report = evaluate([{
+    groundTruth: [vehicle('car', box(0, 0))],
+    predictions: [vehicle('car', box(0, 0, 10, 6), { confidence: 0.9 })]
+  }], { iouThresholds: [0.5, 0.75] });
+
+  assert.deepStrictEqual(report.thresholds.map(threshold => threshold.mAP), [1, 0]);
+});
+
+test('a prediction matches one ground-truth box at most', () => {
+  const report = evaluate([{
+    groundTruth: [vehicle('car', box(0, 0))],
+    predictions: [
+      vehicle('car', box(0, 0), { confidence: 0.9 }),
+      vehicle('car', box(0, 0), { confidence: 0.8 })
+    ]
+  }]);
+
+  const [car] = report.thresholds[0].classes;
+  assert.strictEqual(car.truePositives, 1);
+  assert.strictEqual(car.falsePositives, 1);
+});
+
+test('evaluate compares the occlusion levels of matched vehicles', () => {
+  const occluded = (level) => ({ occlusion: { occlusionLevel: level } });
+  const report = evaluate([{
+    groundTruth: [
+      vehicle('car', box(0, 0), { occlusionLevel: 'partial' }),
+      vehicle('car', box(50, 0), { occlusionLevel: 'heavy' })
+    ],
+    predictions: [
+      vehicle('car', box(0, 0), { confidence: 0.9, ...occluded('partial') }),
+      vehicle('car', box(50, 0), { confidence: 0.9, ...occluded('complete') })
+    ]
+  }]);
+
+  assert.strictEqual(report.occlusion.matchedVehicles, 2);
+  assert.strictEqual(report.occlusion.accuracy, 0.5);
+  assert.strictEqual(report.occlusion.matrix.partial.partial, 1);
+  assert.strictEqual(report.occlusion.matrix.heavy.complete, 1);
+});
+
+test('groundTruthFor prefers imported ground truth, then the latest reviewed detection', () => {
+  const upload = { id: 'upload_1' };
+  const reviewed = (id, version, status = 'completed') => ({
+    id,
+    uploadId: upload.id,
+    version,
+    status,
+    reviewed: { vehicles: [{ id: 'vehicle_1', type: 'car', boundingBox: box(0, 0), occlusion: { occlusionLevel: 'heavy' } }] }
+  });
+
+  assert.strictEqual(groundTruthFor(upload, []), null);
+  assert.strictEqual(groundTruthFor(upload, [reviewed('pending', 3, 'pending')]), null);
+
+  const fromReview = groundTruthFor(upload, [reviewed('old', 1), reviewed('new', 2), reviewed('pending', 3, 'pending')]);
+  assert.strictEqual(fromReview.source, 'review');
+  assert.strictEqual(fromReview.detectionId, 'new');
+  assert.deepStrictEqual(fromReview.vehicles, [
+    { id: 'vehicle_1', type: 'car', boundingBox: box(0, 0), occlusionLevel: 'heavy' }
+  ]);
+
+  const imported = { ...upload, groundTruth: { vehicles: [vehicle('truck', box(0, 0))] } };
+  assert.strictEqual(groundTruthFor(imported, [reviewed('new', 2)]).source, 'import');
+});
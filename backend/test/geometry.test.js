@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { iou, segmentCrossing } = require('../src/utils/geometry');
+
+// Horizontal line from (0, 100) to (200, 100); below it (larger y) is its right
+const a = [0, 100];
+const b = [200, 100];
+
+test('segmentCrossing finds a movement over the line and its direction', () => {
+  assert.deepStrictEqual(segmentCrossing([50, 50], [50, 150], a, b), { t: 0.5, direction: 1 });
+  assert.deepStrictEqual(segmentCrossing([50, 175], [50, 75], a, b), { t: 0.75, direction: -1 });
+});
+
+test('segmentCrossing ignores movements that stay on one side', () => {
+  assert.strictEqual(segmentCrossing([50, 50], [150, 90], a, b), null);
+});
+
+test('segmentCrossing ignores movements over the extension of the line', () => {
+  assert.strictEqual(segmentCrossing([250, 50], [250, 150], a, b), null);
+});
+
+test('segmentCrossing does not count a movement ending or starting on the line', () => {
+  assert.strictEqual(segmentCrossing([50, 50], [50, 100], a, b), null);
+  assert.strictEqual(segmentCrossing([50, 100], [50, 150], a, b), null);
+});
+
+test('iou of overlapping, identical and disjoint boxes', () => {
+  const box = { x: 0, y: 0, width: 10, height: 10 };
+  assert.strictEqual(iou(box, box), 1);
+  assert.strictEqual(iou(box, { x: 5, y: 0, width: 10, height: 10 }), 50 / 150);
+  assert.strictEqual(iou(box, { x: 20, y: 20, width: 10, height: 10 }), 0);
+});
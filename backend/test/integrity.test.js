@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Upload files are resolved against the working directory; keep them, and
+// anything the repair deletes, in a directory of the test's own
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'integrity-'));
+process.chdir(workDir);
+fs.mkdirSync('uploads');
+
+const dataService = require('../src/services/dataService');
+const { MemoryAdapter } = require('../src/services/storage');
+const { checkIntegrity } = require('../src/services/integrityService');
+
+const now = new Date().toISOString();
+const record = (fields) => ({ createdAt: now, updatedAt: now, ...fields });
+const upload = (id, fields = {}) => {
+  fs.writeFileSync(path.join('uploads', `${id}.jpg`), '');
+  return record({ id, userId: 'user_1', path: `uploads/${id}.jpg`, filename: `${id}.jpg`, ...fields });
+};
+
+test.after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// Stored as they are, without the reference checks of dataService
+const useRecords = async (collections) => {
+  const adapter = new MemoryAdapter();
+  for (const [collection, records] of Object.entries(collections)) {
+    for (const entry of records) await adapter.insert(collection, entry);
+  }
+  await dataService.useAdapter(adapter);
+};
+
+test('empty references are not problems', async () => {
+  await useRecords({
+    users: [record({ id: 'user_1', email: 'a@example.com', username: 'a' })],
+    uploads: [upload('upload_1', { cameraId: null }), upload('upload_2')]
+  });
+
+  const report = await checkIntegrity({ repair: true });
+  assert.deepStrictEqual(report.problems, []);
+  assert.strictEqual((await dataService.getCollection('uploads')).length, 2);
+});
+
+test('repair clears a dangling nullify reference and keeps the record', async () => {
+  await useRecords({
+    users: [record({ id: 'user_1', email: 'a@example.com', username: 'a' })],
+    uploads: [upload('upload_1', { cameraId: 'camera_gone' })]
+  });
+
+  const report = await checkIntegrity({ repair: true });
+  assert.deepStrictEqual(report.problems.map(problem => [problem.type, problem.nullify, problem.repaired]), [
+    ['dangling-reference', true, true]
+  ]);
+  assert.strictEqual((await dataService.getRecordById('uploads', 'upload_1')).cameraId, null);
+});
+
+test('repair deletes a record whose cascading reference dangles', async () => {
+  await useRecords({
+    users: [record({ id: 'user_1', email: 'a@example.com', username: 'a' })],
+    uploads: [upload('upload_1')],
+    detections: [record({ id: 'detection_1', userId: 'user_1', uploadId: 'upload_gone', status: 'completed' })]
+  });
+
+  const report = await checkIntegrity({ repair: true });
+  assert.deepStrictEqual(report.problems.map(problem => [problem.type, problem.id, problem.repaired]), [
+    ['dangling-reference', 'detection_1', true]
+  ]);
+  assert.strictEqual(await dataService.getRecordById('detections', 'detection_1'), undefined);
+  assert.ok(await dataService.getRecordById('uploads', 'upload_1'));
+});
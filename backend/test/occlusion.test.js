@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_THRESHOLDS, resolveThresholds, levelFor } = require('../src/pipeline/occlusion');
+
+const withEnv = (value, fn) => {
+  const previous = process.env.OCCLUSION_THRESHOLDS;
+  process.env.OCCLUSION_THRESHOLDS = value;
+  try {
+    return fn();
+  } finally {
+    if (previous === undefined) delete process.env.OCCLUSION_THRESHOLDS;
+    else process.env.OCCLUSION_THRESHOLDS = previous;
+  }
+};
+
+test('resolveThresholds uses the defaults', () => {
+  assert.deepStrictEqual(resolveThresholds(), DEFAULT_THRESHOLDS);
+});
+
+test('OCCLUSION_THRESHOLDS overrides every level it gives', () => {
+  withEnv('10,60,95', () => {
+    assert.deepStrictEqual(resolveThresholds(), { partial: 10, heavy: 60, complete: 95 });
+  });
+});
+
+test('a partial OCCLUSION_THRESHOLDS keeps the defaults of the other levels', () => {
+  withEnv('10,60', () => {
+    assert.deepStrictEqual(resolveThresholds(), { partial: 10, heavy: 60, complete: 90 });
+  });
+  withEnv('10,,95', () => {
+    assert.deepStrictEqual(resolveThresholds(), { partial: 10, heavy: 50, complete: 95 });
+  });
+});
+
+test('malformed OCCLUSION_THRESHOLDS values are ignored', () => {
+  withEnv('a,b,c', () => {
+    assert.deepStrictEqual(resolveThresholds(), DEFAULT_THRESHOLDS);
+  });
+});
+
+test('analysis parameters override the environment', () => {
+  withEnv('10,60,95', () => {
+    assert.deepStrictEqual(
+      resolveThresholds({ occlusionThresholds: { heavy: 70 } }),
+      { partial: 10, heavy: 70, complete: 95 }
+    );
+  });
+});
+
+test('resolveThresholds rejects thresholds out of order or out of range', () => {
+  assert.throws(() => resolveThresholds({ occlusionThresholds: { heavy: 95 } }), { name: 'InvalidParametersError' });
+  assert.throws(() => resolveThresholds({ occlusionThresholds: { complete: 120 } }), { name: 'InvalidParametersError' });
+  assert.throws(() => resolveThresholds({ occlusionThresholds: { partial: '5' } }), { name: 'InvalidParametersError' });
+});
+
+test('levelFor maps a percentage to the highest level it reaches', () => {
+  assert.strictEqual(levelFor(4.9, DEFAULT_THRESHOLDS), 'none');
+  assert.strictEqual(levelFor(5, DEFAULT_THRESHOLDS), 'partial');
+  assert.strictEqual(levelFor(50, DEFAULT_THRESHOLDS), 'heavy');
+  assert.strictEqual(levelFor(100, DEFAULT_THRESHOLDS), 'complete');
+});
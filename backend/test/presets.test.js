@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../src/models/User');
+const Preset = require('../src/models/Preset');
+const dataService = require('../src/services/dataService');
+const detectionRoutes = require('../src/routes/detectionRoutes');
+const { authenticateToken, generateToken } = require('../src/middleware/auth');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/detection', authenticateToken, detectionRoutes);
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+let user;
+let preset;
+
+test.before(async () => {
+  await dataService.ready;
+  user = await User.create({ username: 'presets', email: 'presets@example.com', password: 'password123' });
+  preset = await Preset.create({ userId: user.id, name: 'night', parameters: {} });
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/detection`;
+});
+
+test.after(() => {
+  server.close();
+});
+
+const post = async (path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${generateToken(user.id)}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('findForAnalysis finds a preset by id or by name', async () => {
+  assert.strictEqual((await Preset.findForAnalysis(user, preset.id)).id, preset.id);
+  assert.strictEqual((await Preset.findForAnalysis(user, 'night')).id, preset.id);
+  assert.strictEqual(await Preset.findForAnalysis(user, 'day'), null);
+});
+
+test('findForAnalysis selects nothing but strings', async () => {
+  assert.strictEqual(await Preset.findForAnalysis(user, { $ne: null }), null);
+  assert.strictEqual(await Preset.findForAnalysis(user, ['night']), null);
+  assert.strictEqual(await Preset.findForAnalysis(user, 42), null);
+});
+
+test('analyze rejects a preset that is not a string or null', async () => {
+  for (const selection of [{ $ne: null }, ['night'], 42, true]) {
+    const { status, body } = await post('/analyze', { uploadId: 'missing', preset: selection });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.success, false);
+  }
+});
+
+test('analyze looks up a preset given as a string or null', async () => {
+  for (const selection of ['night', null]) {
+    const { status } = await post('/analyze', { uploadId: 'missing', preset: selection });
+    assert.strictEqual(status, 404);
+  }
+});
+
+test('rerun rejects a preset that is not a string or null', async () => {
+  const { status } = await post('/missing/rerun', { preset: { $ne: null } });
+  assert.strictEqual(status, 400);
+});
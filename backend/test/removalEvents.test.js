@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dataService = require('../src/services/dataService');
+const { eventBus, ALL_EVENTS } = require('../src/services/eventBus');
+const User = require('../src/models/User');
+const Upload = require('../src/models/Upload');
+const Detection = require('../src/models/Detection');
+const Camera = require('../src/models/Camera');
+
+// Events published while `action` runs, as "type target-id"
+const eventsDuring = async (action) => {
+  const events = [];
+  const unsubscribe = eventBus.subscribe(ALL_EVENTS, (event) => {
+    events.push(`${event.type} ${event.target ? event.target.id : ''}`);
+  });
+  await action();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  unsubscribe();
+  return events;
+};
+
+const createFixtures = async () => {
+  const user = await dataService.createRecord('users', { email: `${Date.now()}@example.com`, username: 'removal' });
+  const camera = await dataService.createRecord('cameras', { userId: user.id, name: `camera-${Date.now()}` });
+  const upload = await dataService.createRecord('uploads', { userId: user.id, cameraId: camera.id, path: 'missing.jpg' });
+  const detection = await dataService.createRecord('detections', { userId: user.id, uploadId: upload.id });
+  return { user, camera, upload, detection };
+};
+
+test('deleting a user publishes events for the records removed with it', async () => {
+  const { user, camera, upload, detection } = await createFixtures();
+
+  const events = await eventsDuring(() => User.findByIdAndDelete(user.id));
+  for (const expected of [
+    `detection.deleted ${detection.id}`,
+    `upload.deleted ${upload.id}`,
+    `camera.deleted ${camera.id}`,
+    `user.deleted ${user.id}`
+  ]) {
+    assert.ok(events.includes(expected), `missing ${expected} in ${events.join(', ')}`);
+  }
+  assert.strictEqual(events[events.length - 1], `user.deleted ${user.id}`);
+});
+
+test('deleting an upload publishes events for its detections', async () => {
+  const { upload, detection } = await createFixtures();
+
+  const events = await eventsDuring(() => Upload.findByIdAndDelete(upload.id));
+  assert.deepStrictEqual(events, [`detection.deleted ${detection.id}`, `upload.deleted ${upload.id}`]);
+  assert.strictEqual(await Detection.findById(detection.id).withDeleted(), null);
+});
+
+test('deleting a camera publishes an update for the uploads it unlinks', async () => {
+  const { camera, upload } = await createFixtures();
+
+  const events = await eventsDuring(() => new Camera(camera).remove());
+  assert.deepStrictEqual(events, [`upload.updated ${upload.id}`, `camera.deleted ${camera.id}`]);
+  assert.strictEqual((await Upload.findById(upload.id)).cameraId, null);
+});
@@ -9,6 +9,7 @@ import Dashboard from './pages/Dashboard';
 import Upload from './pages/Upload';
 import DetectionResults from './pages/DetectionResults';
 import History from './pages/History';
+import Evaluation from './pages/Evaluation';
 import Profile from './pages/Profile';
 
 // Components
@@ -74,6 +75,7 @@ function App() {
           <Route path="upload" element={<Upload />} />
           <Route path="detection/:id" element={<DetectionResults />} />
           <Route path="history" element={<History />} />
+          <Route path="evaluation" element={<Evaluation />} />
           <Route path="profile" element={<Profile />} />
         </Route>
         
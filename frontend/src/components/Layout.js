@@ -27,6 +27,7 @@ import {
   Person,
   Logout,
   DirectionsCar,
+  Assessment,
 } from '@mui/icons-material';
 import { useAuth } from '../context/AuthContext';
 
@@ -63,6 +64,7 @@ const Layout = () => {
     { text: 'Dashboard', icon: <Dashboard />, path: '/dashboard' },
     { text: 'Upload Image', icon: <CloudUpload />, path: '/upload' },
     { text: 'History', icon: <History />, path: '/history' },
+    { text: 'Evaluation', icon: <Assessment />, path: '/evaluation' },
     { text: 'Profile', icon: <Person />, path: '/profile' },
   ];
 
@@ -216,7 +216,9 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Update user function
-  const updateUser = async (userData) => {
+  // successMessage replaces the generic confirmation, e.g. for a single
+  // preference changed outside the profile page
+  const updateUser = async (userData, { successMessage = 'Profile updated successfully!' } = {}) => {
     try {
       const response = await api.put('/users/profile', userData);
       const updatedUser = response.data.data.user;
@@ -226,7 +228,7 @@ export const AuthProvider = ({ children }) => {
         payload: updatedUser,
       });
 
-      toast.success('Profile updated successfully!');
+      toast.success(successMessage);
       return { success: true, user: updatedUser };
     } catch (error) {
       const message = error.response?.data?.message || 'Update failed';
@@ -10,13 +10,399 @@ import {
   Card,
   CardContent,
   Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
 } from '@mui/material';
 import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
 
+const statusColors = {
+  completed: 'success',
+  failed: 'error',
+  cancelled: 'default',
+  processing: 'info',
+  pending: 'warning',
+};
+
+const formatDelta = (value) => `${value > 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+
+const averageConfidence = (vehicles) => {
+  if (!vehicles.length) return 0;
+  const total = vehicles.reduce((sum, vehicle) => sum + vehicle.confidence, 0);
+  return Math.round((total / vehicles.length) * 100);
+};
+
+const formatTimestamp = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+};
+
+// Vehicle counts and occlusion rate of every sampled frame of a video
+const FrameTable = ({ frames }) => (
+  <TableContainer sx={{ maxHeight: 400 }}>
+    <Table size="small" stickyHeader>
+      <TableHead>
+        <TableRow>
+          <TableCell>Time</TableCell>
+          <TableCell>Vehicles</TableCell>
+          <TableCell>Occluded</TableCell>
+          <TableCell>Occlusion rate</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {frames.map((frame) => (
+          <TableRow key={frame.index}>
+            <TableCell>{formatTimestamp(frame.timestamp)}</TableCell>
+            <TableCell>{frame.totalVehicles}</TableCell>
+            <TableCell>{frame.occludedVehicles}</TableCell>
+            <TableCell>{Math.round(frame.occlusionRate)}%</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  </TableContainer>
+);
+
+// Vehicles followed across the frames of a video, with how long each was
+// occluded and by which other tracks
+const TrackTable = ({ tracks }) => (
+  <TableContainer sx={{ maxHeight: 400, mt: 2 }}>
+    <Table size="small" stickyHeader>
+      <TableHead>
+        <TableRow>
+          <TableCell>Track</TableCell>
+          <TableCell>Type</TableCell>
+          <TableCell>Seen</TableCell>
+          <TableCell>Occluded for</TableCell>
+          <TableCell>Occluded by</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {tracks.map((track) => (
+          <TableRow key={track.trackId}>
+            <TableCell>{track.trackId}</TableCell>
+            <TableCell>{track.type}</TableCell>
+            <TableCell>
+              {formatTimestamp(track.startTime)} – {formatTimestamp(track.endTime)}
+            </TableCell>
+            <TableCell>{track.occludedDuration ? `${track.occludedDuration.toFixed(1)} s` : '—'}</TableCell>
+            <TableCell>
+              {[...new Set(track.occlusionIntervals.flatMap((interval) => interval.occludedBy))].join(', ') || '—'}
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  </TableContainer>
+);
+
+// Vehicle count and occlusion rate per zone; for videos the busiest frame
+// of each zone and its average occlusion rate
+const ZoneTable = ({ zoneStats, isVideo }) => (
+  <TableContainer sx={{ mb: 2 }}>
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>Zone</TableCell>
+          <TableCell>{isVideo ? 'Peak vehicles' : 'Vehicles'}</TableCell>
+          <TableCell>{isVideo ? 'Peak occluded' : 'Occluded'}</TableCell>
+          <TableCell>{isVideo ? 'Avg. occlusion' : 'Occlusion'}</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {zoneStats.map((zone) => (
+          <TableRow key={zone.name}>
+            <TableCell>{zone.name}</TableCell>
+            <TableCell>{zone.totalVehicles}</TableCell>
+            <TableCell>{zone.occludedVehicles}</TableCell>
+            <TableCell>{Math.round(zone.occlusionPercentage)}%</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  </TableContainer>
+);
+
+// Crossings per counting line and stays per zone of a video
+const CountTable = ({ results }) => {
+  const metadata = results.processingMetadata || {};
+  const lines = (metadata.counting?.lines || []).map((line) => {
+    const crossings = (results.crossings || []).filter((crossing) => crossing.line === line.name);
+    const forward = crossings.filter((crossing) => crossing.direction === 'forward').length;
+    return { key: `line:${line.name}`, name: line.name, detail: `${forward} forward · ${crossings.length - forward} backward`, count: crossings.length };
+  });
+  const zones = (metadata.zones?.zones || []).map((zone) => {
+    const stays = (results.dwellTimes || []).filter((stay) => stay.zone === zone.name);
+    const average = stays.length ? stays.reduce((sum, stay) => sum + stay.duration, 0) / stays.length : 0;
+    return { key: `zone:${zone.name}`, name: zone.name, detail: `${average.toFixed(1)} s average stay`, count: stays.length };
+  });
+  if (!lines.length && !zones.length) return null;
+
+  return (
+    <TableContainer sx={{ mb: 2 }}>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Line / zone</TableCell>
+            <TableCell>Vehicles</TableCell>
+            <TableCell>Detail</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {[...lines, ...zones].map((row) => (
+            <TableRow key={row.key}>
+              <TableCell>{row.name}</TableCell>
+              <TableCell>{row.count}</TableCell>
+              <TableCell>{row.detail}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+};
+
+// Vehicles after people reviewed the detection, with what they changed
+const ReviewTable = ({ reviewed }) => (
+  <Box sx={{ mt: 3 }}>
+    <Typography variant="subtitle1" gutterBottom>
+      Reviewed: {reviewed.totalVehicles} vehicles, {Math.round(reviewed.occlusionPercentage)}% occluded
+      {' · '}
+      {reviewed.annotationCount} annotations
+      {reviewed.removedVehicles.length > 0 && ` · removed ${reviewed.removedVehicles.join(', ')}`}
+    </Typography>
+    <TableContainer>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Vehicle</TableCell>
+            <TableCell>Type</TableCell>
+            <TableCell>Occlusion</TableCell>
+            <TableCell>Occluded by</TableCell>
+            <TableCell>Review</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {reviewed.vehicles.map((vehicle) => (
+            <TableRow key={vehicle.id}>
+              <TableCell>{vehicle.id}</TableCell>
+              <TableCell>{vehicle.type}</TableCell>
+              <TableCell>{vehicle.occlusion?.occlusionLevel || 'none'}</TableCell>
+              <TableCell>{vehicle.occlusion?.occludedBy?.join(', ') || '—'}</TableCell>
+              <TableCell>
+                <Chip
+                  label={vehicle.review}
+                  size="small"
+                  variant="outlined"
+                  color={vehicle.review === 'unchanged' ? 'default' : 'warning'}
+                />
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  </Box>
+);
+
+// Summary and vehicle list (or frame list, for videos) of one detection version
+const VersionPanel = ({ detection, title }) => {
+  const results = detection.results || {};
+  const vehicles = results.vehicles || [];
+  const metadata = results.processingMetadata || {};
+  const isVideo = results.mediaType === 'video';
+  const videoSummary = results.videoSummary || {};
+
+  return (
+    <Paper sx={{ p: 3, height: '100%' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <Typography variant="h6">{title}</Typography>
+        <Chip
+          label={detection.status}
+          color={statusColors[detection.status] || 'default'}
+          size="small"
+          variant="outlined"
+        />
+      </Box>
+
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        <Grid item xs={4}>
+          <Card>
+            <CardContent>
+              <Typography variant="body2" color="text.secondary">
+                {isVideo ? 'Peak vehicles' : 'Vehicles'}
+              </Typography>
+              <Typography variant="h5">{results.totalVehicles || 0}</Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+        <Grid item xs={4}>
+          <Card>
+            <CardContent>
+              <Typography variant="body2" color="text.secondary">
+                {isVideo ? 'Avg. occlusion' : 'Occlusion'}
+              </Typography>
+              <Typography variant="h5" color="primary">
+                {Math.round(results.occlusionPercentage || 0)}%
+              </Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+        <Grid item xs={4}>
+          <Card>
+            <CardContent>
+              <Typography variant="body2" color="text.secondary">
+                {isVideo ? 'Frames' : 'Confidence'}
+              </Typography>
+              <Typography variant="h5" color="secondary">
+                {isVideo ? videoSummary.sampledFrames || 0 : `${averageConfidence(vehicles)}%`}
+              </Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+
+      <Typography variant="body2" color="text.secondary">
+        {metadata.detector || 'unknown'} {metadata.modelVersion || ''}
+        {' · '}
+        {detection.processingDuration ? `${detection.processingDuration} ms` : 'N/A'}
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Parameters: {JSON.stringify(metadata.parameters || {})}
+      </Typography>
+
+      {results.zoneStats?.length > 0 && <ZoneTable zoneStats={results.zoneStats} isVideo={isVideo} />}
+
+      {isVideo ? (
+        <>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Busiest at {formatTimestamp(videoSummary.peakVehiclesAt || 0)}
+            {' · '}
+            Most occluded at {formatTimestamp(videoSummary.peakOcclusionAt || 0)} ({Math.round(videoSummary.peakOcclusionRate || 0)}%)
+            {' · '}
+            {videoSummary.averageVehicles || 0} vehicles on average
+            {' · '}
+            {videoSummary.trackedVehicles || 0} tracked
+          </Typography>
+          <CountTable results={results} />
+          <FrameTable frames={results.frames || []} />
+          <TrackTable tracks={results.tracks || []} />
+        </>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Vehicle</TableCell>
+                <TableCell>Type</TableCell>
+                <TableCell>Confidence</TableCell>
+                <TableCell>Occlusion</TableCell>
+                <TableCell>Zones</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {vehicles.map((vehicle) => (
+                <TableRow key={vehicle.id}>
+                  <TableCell>{vehicle.id}</TableCell>
+                  <TableCell>{vehicle.type}</TableCell>
+                  <TableCell>{Math.round(vehicle.confidence * 100)}%</TableCell>
+                  <TableCell>{vehicle.occlusion?.occlusionLevel || 'none'}</TableCell>
+                  <TableCell>{vehicle.zones?.join(', ') || '—'}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {!isVideo && detection.reviewed && <ReviewTable reviewed={detection.reviewed} />}
+    </Paper>
+  );
+};
+
+// Matched, added and removed vehicles between two versions
+const ComparisonPanel = ({ comparison }) => {
+  const { summary } = comparison;
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="h6" gutterBottom>
+        Changes from version {comparison.base.version} to version {comparison.target.version}
+      </Typography>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+        <Chip label={`${summary.matched} matched`} />
+        <Chip label={`${summary.added} added`} color="success" variant="outlined" />
+        <Chip label={`${summary.removed} removed`} color="error" variant="outlined" />
+        <Chip label={`${summary.typeChanges} type changes`} variant="outlined" />
+        <Chip label={`${summary.occlusionChanges} occlusion changes`} variant="outlined" />
+        <Chip label={`Confidence ${formatDelta(summary.meanConfidenceDelta)}`} variant="outlined" />
+      </Box>
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Vehicle</TableCell>
+              <TableCell>Change</TableCell>
+              <TableCell>IoU</TableCell>
+              <TableCell>Confidence</TableCell>
+              <TableCell>Occlusion</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {comparison.matched.map((match) => (
+              <TableRow key={`${match.baseVehicleId}-${match.targetVehicleId}`}>
+                <TableCell>{match.baseVehicleId} → {match.targetVehicleId}</TableCell>
+                <TableCell>
+                  {match.typeChange ? `${match.typeChange.from} → ${match.typeChange.to}` : 'matched'}
+                </TableCell>
+                <TableCell>{match.iou.toFixed(2)}</TableCell>
+                <TableCell>{formatDelta(match.confidence.delta)}</TableCell>
+                <TableCell>
+                  {match.occlusionChange ? `${match.occlusionChange.from} → ${match.occlusionChange.to}` : '—'}
+                </TableCell>
+              </TableRow>
+            ))}
+            {comparison.added.map((vehicle) => (
+              <TableRow key={`added-${vehicle.id}`}>
+                <TableCell>{vehicle.id}</TableCell>
+                <TableCell><Chip label={`added ${vehicle.type}`} color="success" size="small" /></TableCell>
+                <TableCell>—</TableCell>
+                <TableCell>{Math.round(vehicle.confidence * 100)}%</TableCell>
+                <TableCell>{vehicle.occlusion?.occlusionLevel || 'none'}</TableCell>
+              </TableRow>
+            ))}
+            {comparison.removed.map((vehicle) => (
+              <TableRow key={`removed-${vehicle.id}`}>
+                <TableCell>{vehicle.id}</TableCell>
+                <TableCell><Chip label={`removed ${vehicle.type}`} color="error" size="small" /></TableCell>
+                <TableCell>—</TableCell>
+                <TableCell>{Math.round(vehicle.confidence * 100)}%</TableCell>
+                <TableCell>{vehicle.occlusion?.occlusionLevel || 'none'}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+};
+
 const DetectionResults = () => {
   const { id } = useParams();
   const [detection, setDetection] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [compareId, setCompareId] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [compareError, setCompareError] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const { user } = useAuth();
@@ -30,8 +416,13 @@ const DetectionResults = () => {
           return;
         }
 
-        const response = await api.get(`/detections/${id}`);
-        setDetection(response.data.data);
+        const response = await api.get(`/detection/${id}`);
+        const current = response.data.data.detection;
+        setDetection(current);
+        setCompareId('');
+
+        const versionsResponse = await api.get(`/upload/${current.uploadId}/detections`);
+        setVersions(versionsResponse.data.data.detections || []);
       } catch (err) {
         console.error('Error fetching detection:', err);
         setError(err.response?.data?.message || 'Failed to load detection results');
@@ -43,6 +434,29 @@ const DetectionResults = () => {
     fetchDetection();
   }, [id, user]);
 
+  useEffect(() => {
+    if (!compareId) {
+      setComparison(null);
+      return;
+    }
+
+    const fetchComparison = async () => {
+      try {
+        setCompareError('');
+        const response = await api.get('/detection/compare', {
+          params: { base: compareId, target: id },
+        });
+        setComparison(response.data.data.comparison);
+      } catch (err) {
+        console.error('Error comparing detections:', err);
+        setComparison(null);
+        setCompareError(err.response?.data?.message || 'Failed to compare versions');
+      }
+    };
+
+    fetchComparison();
+  }, [compareId, id]);
+
   if (loading) {
     return (
       <Box sx={{ textAlign: 'center', mt: 4 }}>
@@ -68,104 +482,61 @@ const DetectionResults = () => {
     );
   }
 
+  // Only completed image versions have an image mediaType; videos are not compared
+  const canCompare = detection.results?.mediaType === 'image';
+  const otherVersions = canCompare
+    ? versions.filter((version) => version.id !== detection.id && version.results?.mediaType === 'image')
+    : [];
+  const compared = otherVersions.find((version) => version.id === compareId);
+
   return (
     <Box>
-      <Typography variant="h4" component="h1" gutterBottom>
-        Detection Results
-      </Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+        <Typography variant="h4" component="h1">
+          Detection Results
+        </Typography>
 
-      <Grid container spacing={3}>
-        <Grid item xs={12} md={8}>
-          <Paper sx={{ p: 3 }}>
-            <Typography variant="h6" gutterBottom>
-              Analyzed Image
-            </Typography>
-            {detection.resultImage ? (
-              <img
-                src={detection.resultImage}
-                alt="Detection Result"
-                style={{
-                  maxWidth: '100%',
-                  height: 'auto',
-                  borderRadius: '4px',
-                }}
-              />
-            ) : (
-              <Alert severity="info">
-                Processed image not available
-              </Alert>
-            )}
-          </Paper>
-        </Grid>
+        {otherVersions.length > 0 && (
+          <FormControl size="small" sx={{ minWidth: 220 }}>
+            <InputLabel id="compare-version-label">Compare with</InputLabel>
+            <Select
+              labelId="compare-version-label"
+              label="Compare with"
+              value={compareId}
+              onChange={(event) => setCompareId(event.target.value)}
+            >
+              <MenuItem value="">
+                <em>None</em>
+              </MenuItem>
+              {otherVersions.map((version) => (
+                <MenuItem key={version.id} value={version.id}>
+                  Version {version.version} ({version.status})
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+      </Box>
 
-        <Grid item xs={12} md={4}>
-          <Grid container spacing={2}>
-            <Grid item xs={12}>
-              <Card>
-                <CardContent>
-                  <Typography variant="h6" gutterBottom>
-                    Detection Status
-                  </Typography>
-                  <Chip
-                    label={detection.status || 'Completed'}
-                    color="success"
-                    variant="outlined"
-                  />
-                </CardContent>
-              </Card>
-            </Grid>
-
-            <Grid item xs={12}>
-              <Card>
-                <CardContent>
-                  <Typography variant="h6" gutterBottom>
-                    Occlusion Level
-                  </Typography>
-                  <Typography variant="h4" color="primary">
-                    {detection.occlusionPercentage || 0}%
-                  </Typography>
-                </CardContent>
-              </Card>
-            </Grid>
-
-            <Grid item xs={12}>
-              <Card>
-                <CardContent>
-                  <Typography variant="h6" gutterBottom>
-                    Confidence Score
-                  </Typography>
-                  <Typography variant="h4" color="secondary">
-                    {detection.confidenceScore || 0}%
-                  </Typography>
-                </CardContent>
-              </Card>
-            </Grid>
-
-            <Grid item xs={12}>
-              <Card>
-                <CardContent>
-                  <Typography variant="h6" gutterBottom>
-                    Processing Time
-                  </Typography>
-                  <Typography variant="body1">
-                    {detection.processingTime || 'N/A'}
-                  </Typography>
-                </CardContent>
-              </Card>
-            </Grid>
+      {compareError && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          {compareError}
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        {compared && (
+          <Grid item xs={12} md={6}>
+            <VersionPanel detection={compared} title={`Version ${compared.version}`} />
           </Grid>
+        )}
+        <Grid item xs={12} md={compared ? 6 : 12}>
+          <VersionPanel detection={detection} title={`Version ${detection.version || 1}`} />
         </Grid>
 
-        {detection.metadata && (
+        {comparison && (
           <Grid item xs={12}>
-            <Paper sx={{ p: 3 }}>
-              <Typography variant="h6" gutterBottom>
-                Additional Details
-              </Typography>
-              <Typography variant="body2" color="text.secondary">
-                {JSON.stringify(detection.metadata, null, 2)}
-              </Typography>
-            </Paper>
+            <ComparisonPanel comparison={comparison} />
           </Grid>
         )}
       </Grid>
@@ -173,4 +544,4 @@ const DetectionResults = () => {
   );
 };
 
-export default DetectionResults;
\ No newline at end of file
+export default DetectionResults;
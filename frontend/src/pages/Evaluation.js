@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Alert,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  TextField,
+  Button,
+  Grid,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+
+const formatScore = (value) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+
+// Precision, recall and AP per vehicle type at one IoU threshold
+const ClassTable = ({ threshold }) => (
+  <Paper sx={{ p: 3, mb: 3 }}>
+    <Typography variant="h6" gutterBottom>
+      IoU {threshold.iouThreshold} · mAP {formatScore(threshold.mAP)}
+    </Typography>
+    <TableContainer>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Type</TableCell>
+            <TableCell>Ground truth</TableCell>
+            <TableCell>Predicted</TableCell>
+            <TableCell>TP / FP / FN</TableCell>
+            <TableCell>Precision</TableCell>
+            <TableCell>Recall</TableCell>
+            <TableCell>AP</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {threshold.classes.map((entry) => (
+            <TableRow key={entry.type}>
+              <TableCell>{entry.type}</TableCell>
+              <TableCell>{entry.groundTruth}</TableCell>
+              <TableCell>{entry.predictions}</TableCell>
+              <TableCell>
+                {entry.truePositives} / {entry.falsePositives} / {entry.falseNegatives}
+              </TableCell>
+              <TableCell>{formatScore(entry.precision)}</TableCell>
+              <TableCell>{formatScore(entry.recall)}</TableCell>
+              <TableCell>{formatScore(entry.ap)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  </Paper>
+);
+
+// Ground-truth occlusion levels (rows) against the predicted ones (columns)
+const OcclusionMatrix = ({ occlusion }) => (
+  <Paper sx={{ p: 3, mb: 3 }}>
+    <Typography variant="h6" gutterBottom>
+      Occlusion levels · accuracy {formatScore(occlusion.accuracy)}
+    </Typography>
+    <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+      {occlusion.matchedVehicles} vehicles matched at IoU {occlusion.iouThreshold}; rows are ground truth, columns predictions
+    </Typography>
+    <TableContainer>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell />
+            {occlusion.levels.map((level) => (
+              <TableCell key={level}>{level}</TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {occlusion.levels.map((truth) => (
+            <TableRow key={truth}>
+              <TableCell component="th">{truth}</TableCell>
+              {occlusion.levels.map((predicted) => (
+                <TableCell
+                  key={predicted}
+                  sx={truth === predicted ? { fontWeight: 'bold' } : undefined}
+                >
+                  {occlusion.matrix[truth][predicted]}
+                </TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  </Paper>
+);
+
+const Evaluation = () => {
+  const [models, setModels] = useState([]);
+  const [model, setModel] = useState('');
+  const [thresholds, setThresholds] = useState('0.5,0.75');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const { user } = useAuth();
+
+  useEffect(() => {
+    if (!user || user.isGuest) return;
+
+    const fetchModels = async () => {
+      try {
+        const response = await api.get('/evaluation/models');
+        const available = response.data.data.models;
+        setModels(available);
+        if (available.length) setModel(available[0].model);
+      } catch (err) {
+        console.error('Error fetching models:', err);
+        setError(err.response?.data?.message || 'Failed to load model versions');
+      }
+    };
+
+    fetchModels();
+  }, [user]);
+
+  const handleEvaluate = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await api.get('/evaluation', { params: { model, iou: thresholds } });
+      setReport(response.data.data.report);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Evaluation failed');
+      setReport(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (user?.isGuest) {
+    return (
+      <Alert severity="info">
+        Guest users cannot evaluate models. Please create an account or login.
+      </Alert>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Model Evaluation
+      </Typography>
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+        Detections are compared with imported ground truth or, failing that, with the reviewed
+        vehicles of the same upload's annotated detection.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 3, mb: 3, display: 'flex', gap: 2, alignItems: 'center' }}>
+        <FormControl size="small" sx={{ minWidth: 240 }}>
+          <InputLabel id="model-label">Model version</InputLabel>
+          <Select
+            labelId="model-label"
+            label="Model version"
+            value={model}
+            onChange={(event) => setModel(event.target.value)}
+          >
+            {models.map((entry) => (
+              <MenuItem key={entry.model} value={entry.model}>
+                {entry.model} ({entry.withGroundTruth}/{entry.detections} with ground truth)
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          size="small"
+          label="IoU thresholds"
+          value={thresholds}
+          onChange={(event) => setThresholds(event.target.value)}
+          helperText="Comma separated, e.g. 0.5,0.75"
+        />
+        <Button variant="contained" onClick={handleEvaluate} disabled={!model || loading}>
+          {loading ? <CircularProgress size={20} /> : 'Evaluate'}
+        </Button>
+      </Paper>
+
+      {report && (
+        <>
+          <Grid container spacing={2} sx={{ mb: 3 }}>
+            {[
+              ['Images', report.images],
+              ['Ground-truth vehicles', report.groundTruthVehicles],
+              ['Predicted vehicles', report.predictedVehicles],
+              [`mAP@${report.thresholds[0].iouThreshold}`, formatScore(report.thresholds[0].mAP)],
+            ].map(([label, value]) => (
+              <Grid item xs={6} md={3} key={label}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="body2" color="text.secondary">
+                      {label}
+                    </Typography>
+                    <Typography variant="h5">{value}</Typography>
+                  </CardContent>
+                </Card>
+              </Grid>
+            ))}
+          </Grid>
+
+          {report.images === 0 ? (
+            <Alert severity="info">
+              None of this model's detections has ground truth yet. Annotate a detection or import
+              ground-truth boxes for its upload.
+            </Alert>
+          ) : (
+            <>
+              {report.thresholds.map((threshold) => (
+                <ClassTable key={threshold.iouThreshold} threshold={threshold} />
+              ))}
+              <OcclusionMatrix occlusion={report.occlusion} />
+            </>
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default Evaluation;
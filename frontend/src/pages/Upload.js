@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
   Box,
@@ -11,6 +11,10 @@ import {
   CardContent,
   Chip,
   Grid,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
 } from '@mui/material';
 import {
   CloudUpload,
@@ -20,34 +24,110 @@ import {
 import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
 
+const VIDEO_TYPES = ['video/mp4', 'video/avi'];
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+const MAX_VIDEO_SIZE = 50 * 1024 * 1024;
+
 const Upload = () => {
   const [selectedFile, setSelectedFile] = useState(null);
   const [preview, setPreview] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [uploadResult, setUploadResult] = useState(null);
   const [error, setError] = useState('');
-  const { user } = useAuth();
+  const [presets, setPresets] = useState([]);
+  const [presetId, setPresetId] = useState('');
+  const [defaultPresetId, setDefaultPresetId] = useState(null);
+  const [cameras, setCameras] = useState([]);
+  const [cameraId, setCameraId] = useState('');
+  // An upload whose analysis could not be started; Analyze retries it
+  const [pendingUpload, setPendingUpload] = useState(null);
+  const { user, updateUser } = useAuth();
   const navigate = useNavigate();
+  const isMember = Boolean(user) && !user.isGuest;
+
+  // Loaded when a member signs in, not again on every profile change
+  useEffect(() => {
+    if (!isMember) return;
+
+    const fetchPresets = async () => {
+      try {
+        const response = await api.get('/presets');
+        const { presets: available, defaultPresetId: defaultId } = response.data.data;
+        setPresets(available);
+        setDefaultPresetId(defaultId);
+        setPresetId(available.some((preset) => preset.id === defaultId) ? defaultId : '');
+      } catch (err) {
+        console.error('Error fetching presets:', err);
+      }
+    };
+
+    const fetchCameras = async () => {
+      try {
+        const response = await api.get('/cameras');
+        setCameras(response.data.data.cameras);
+      } catch (err) {
+        console.error('Error fetching cameras:', err);
+      }
+    };
+
+    fetchPresets();
+    fetchCameras();
+  }, [isMember]);
+
+  // A video preview's object URL is released once it is replaced, cleared or
+  // the page is left
+  useEffect(() => {
+    if (!preview?.startsWith('blob:')) return undefined;
+    return () => URL.revokeObjectURL(preview);
+  }, [preview]);
+
+  // A camera's default preset replaces the current choice; its zones are
+  // added by the server
+  const handleCameraChange = (event) => {
+    const camera = cameras.find((entry) => entry.id === event.target.value);
+    setCameraId(event.target.value);
+    if (camera?.defaultPreset && presets.some((preset) => preset.id === camera.defaultPreset)) {
+      setPresetId(camera.defaultPreset);
+    }
+  };
+
+  const handleMakeDefault = async () => {
+    const preset = presets.find((entry) => entry.id === presetId);
+    const result = await updateUser(
+      { preferences: { defaultPreset: preset?.id || null } },
+      { successMessage: preset ? `${preset.name} is now your default preset` : 'Default preset cleared' }
+    );
+    if (result.success) {
+      setDefaultPresetId(preset?.id || null);
+    }
+  };
 
   const handleFileSelect = (event) => {
     const file = event.target.files[0];
     if (file) {
       // Check file type
-      if (!file.type.startsWith('image/')) {
-        setError('Please select a valid image file');
+      const isVideo = VIDEO_TYPES.includes(file.type);
+      if (!file.type.startsWith('image/') && !isVideo) {
+        setError('Please select a valid image or video file');
         return;
       }
 
-      // Check file size (limit to 10MB)
-      if (file.size > 10 * 1024 * 1024) {
-        setError('File size must be less than 10MB');
+      // Check file size (10MB for images, 50MB for videos)
+      if (file.size > (isVideo ? MAX_VIDEO_SIZE : MAX_IMAGE_SIZE)) {
+        setError(`File size must be less than ${isVideo ? '50MB' : '10MB'}`);
         return;
       }
 
       setSelectedFile(file);
+      setPendingUpload(null);
       setError('');
       
-      // Create preview
+      // Create preview; videos play from an object URL instead of being read
+      // into memory
+      if (isVideo) {
+        setPreview(URL.createObjectURL(file));
+        return;
+      }
       const reader = new FileReader();
       reader.onload = (e) => {
         setPreview(e.target.result);
@@ -56,6 +136,62 @@ const Upload = () => {
     }
   };
 
+  // For guest users, simulate a successful upload with demo data
+  const showDemoResult = () => {
+    setUploadResult({
+      id: 'guest-' + Date.now(),
+      filename: selectedFile.name,
+      uploadDate: new Date().toISOString(),
+      status: 'processed',
+      occlusionPercentage: Math.floor(Math.random() * 50) + 10,
+      confidenceScore: Math.floor(Math.random() * 30) + 70,
+      processingTime: `${Math.floor(Math.random() * 5) + 1}.${Math.floor(Math.random() * 9)}s`,
+      isDemo: true,
+    });
+  };
+
+  // Start the analysis of a stored upload. When it cannot be started the
+  // upload is kept, so Analyze retries the analysis without uploading again.
+  const startAnalysis = async (upload) => {
+    try {
+      // No preset selected means none, not the default preset
+      const analysis = await api.post('/detection/analyze', {
+        uploadId: upload.id,
+        preset: presetId || null,
+      });
+      setPendingUpload(null);
+
+      const result = {
+        filename: upload.originalName,
+        status: analysis.data.data.status,
+        detectionId: analysis.data.data.detectionId,
+        preset: presets.find((preset) => preset.id === presetId)?.name || 'None',
+        camera: cameras.find((camera) => camera.id === upload.cameraId)?.name || 'None',
+      };
+      setUploadResult(result);
+
+      // For authenticated users, navigate to detection results
+      if (!user?.isGuest && result.detectionId) {
+        setTimeout(() => {
+          navigate(`/detection/${result.detectionId}`);
+        }, 2000);
+      }
+    } catch (err) {
+      console.error('Analysis error:', err);
+
+      if (user?.isGuest) {
+        showDemoResult();
+        return;
+      }
+      setPendingUpload(upload);
+      const reason = err.response?.data?.message || 'the request failed';
+      setError(
+        `${upload.originalName} was uploaded, but its analysis could not be started: ${reason}. ` +
+          'Press Retry analysis to try again.'
+      );
+    }
+  };
+
   const handleUpload = async () => {
     if (!selectedFile) {
       setError('Please select an image first');
@@ -66,47 +202,35 @@ const Upload = () => {
     setError('');
     setUploadResult(null);
 
+    if (pendingUpload) {
+      await startAnalysis(pendingUpload);
+      setUploading(false);
+      return;
+    }
+
     try {
       const formData = new FormData();
-      formData.append('image', selectedFile);
+      if (cameraId) {
+        formData.append('cameraId', cameraId);
+      }
+      formData.append('file', selectedFile);
       
       // For guest users, we can still upload but with limited features
       if (user?.isGuest) {
         formData.append('guestUpload', 'true');
       }
 
-      const response = await api.post('/uploads', formData, {
+      const response = await api.post('/upload/single', formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
       });
-
-      const result = response.data.data;
-      setUploadResult(result);
-      
-      // For authenticated users, navigate to detection results
-      if (!user?.isGuest && result.detectionId) {
-        setTimeout(() => {
-          navigate(`/detection/${result.detectionId}`);
-        }, 2000);
-      }
-
+      await startAnalysis(response.data.data.upload);
     } catch (err) {
       console.error('Upload error:', err);
       
       if (user?.isGuest) {
-        // For guest users, simulate a successful upload with demo data
-        const demoResult = {
-          id: 'guest-' + Date.now(),
-          filename: selectedFile.name,
-          uploadDate: new Date().toISOString(),
-          status: 'processed',
-          occlusionPercentage: Math.floor(Math.random() * 50) + 10,
-          confidenceScore: Math.floor(Math.random() * 30) + 70,
-          processingTime: `${Math.floor(Math.random() * 5) + 1}.${Math.floor(Math.random() * 9)}s`,
-          isDemo: true,
-        };
-        setUploadResult(demoResult);
+        showDemoResult();
       } else {
         const message = err.response?.data?.message || 'Upload failed';
         setError(message);
@@ -118,6 +242,7 @@ const Upload = () => {
 
   const handleReset = () => {
     setSelectedFile(null);
+    setPendingUpload(null);
     setPreview(null);
     setUploadResult(null);
     setError('');
@@ -126,7 +251,7 @@ const Upload = () => {
   return (
     <Box>
       <Typography variant="h4" component="h1" gutterBottom>
-        Upload Image for Analysis
+        Upload Image or Video for Analysis
       </Typography>
 
       {user?.isGuest && (
@@ -158,37 +283,52 @@ const Upload = () => {
           )}
 
           <Grid container spacing={2} sx={{ mt: 2, maxWidth: 600, mx: 'auto' }}>
-            <Grid item xs={12} sm={6}>
-              <Card>
-                <CardContent>
-                  <Typography variant="h6" color="primary">
-                    {uploadResult.occlusionPercentage}%
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    Occlusion Level
-                  </Typography>
-                </CardContent>
-              </Card>
-            </Grid>
-            <Grid item xs={12} sm={6}>
-              <Card>
-                <CardContent>
-                  <Typography variant="h6" color="secondary">
-                    {uploadResult.confidenceScore}%
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    Confidence Score
-                  </Typography>
-                </CardContent>
-              </Card>
-            </Grid>
+            {uploadResult.isDemo && (
+              <>
+                <Grid item xs={12} sm={6}>
+                  <Card>
+                    <CardContent>
+                      <Typography variant="h6" color="primary">
+                        {uploadResult.occlusionPercentage}%
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        Occlusion Level
+                      </Typography>
+                    </CardContent>
+                  </Card>
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <Card>
+                    <CardContent>
+                      <Typography variant="h6" color="secondary">
+                        {uploadResult.confidenceScore}%
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        Confidence Score
+                      </Typography>
+                    </CardContent>
+                  </Card>
+                </Grid>
+              </>
+            )}
             <Grid item xs={12}>
               <Typography variant="body1" sx={{ mt: 2 }}>
                 <strong>File:</strong> {uploadResult.filename}
               </Typography>
-              <Typography variant="body1">
-                <strong>Processing Time:</strong> {uploadResult.processingTime}
-              </Typography>
+              {uploadResult.isDemo ? (
+                <Typography variant="body1">
+                  <strong>Processing Time:</strong> {uploadResult.processingTime}
+                </Typography>
+              ) : (
+                <>
+                  <Typography variant="body1">
+                    <strong>Camera:</strong> {uploadResult.camera}
+                  </Typography>
+                  <Typography variant="body1">
+                    <strong>Preset:</strong> {uploadResult.preset}
+                  </Typography>
+                </>
+              )}
               <Typography variant="body1">
                 <strong>Status:</strong> {uploadResult.status}
               </Typography>
@@ -214,7 +354,7 @@ const Upload = () => {
           <Grid item xs={12} md={6}>
             <Paper sx={{ p: 3 }}>
               <Typography variant="h6" gutterBottom>
-                Select Image
+                Select Image or Video
               </Typography>
               
               <Box
@@ -235,7 +375,7 @@ const Upload = () => {
                 <input
                   id="file-input"
                   type="file"
-                  accept="image/*"
+                  accept={['image/*', ...VIDEO_TYPES].join(',')}
                   onChange={handleFileSelect}
                   style={{ display: 'none' }}
                 />
@@ -257,18 +397,73 @@ const Upload = () => {
                   <>
                     <CloudUpload sx={{ fontSize: 48, mb: 2, color: 'grey.500' }} />
                     <Typography variant="h6" gutterBottom>
-                      Click to select an image
+                      Click to select an image or video
                     </Typography>
                     <Typography variant="body2" color="text.secondary">
-                      Supported formats: JPG, PNG, GIF
+                      Supported formats: JPG, PNG, GIF, MP4, AVI
                     </Typography>
                     <Typography variant="body2" color="text.secondary">
-                      Maximum size: 10MB
+                      Maximum size: 10MB (images), 50MB (videos)
                     </Typography>
                   </>
                 )}
               </Box>
 
+              {!user?.isGuest && cameras.length > 0 && (
+                <FormControl size="small" fullWidth sx={{ mt: 3 }}>
+                  <InputLabel id="camera-label">Camera</InputLabel>
+                  <Select
+                    labelId="camera-label"
+                    label="Camera"
+                    value={cameraId}
+                    onChange={handleCameraChange}
+                  >
+                    <MenuItem value="">
+                      <em>None</em>
+                    </MenuItem>
+                    {cameras.map((camera) => (
+                      <MenuItem key={camera.id} value={camera.id}>
+                        {camera.name}
+                        {camera.location?.address ? ` — ${camera.location.address}` : ''}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              )}
+
+              {!user?.isGuest && (
+                <Box sx={{ mt: 3, display: 'flex', gap: 1, alignItems: 'center' }}>
+                  <FormControl size="small" fullWidth>
+                    <InputLabel id="preset-label">Analysis preset</InputLabel>
+                    <Select
+                      labelId="preset-label"
+                      label="Analysis preset"
+                      value={presetId}
+                      onChange={(event) => setPresetId(event.target.value)}
+                    >
+                      <MenuItem value="">
+                        <em>None (default settings)</em>
+                      </MenuItem>
+                      {presets.map((preset) => (
+                        <MenuItem key={preset.id} value={preset.id}>
+                          {preset.name}
+                          {preset.scope === 'team' ? ' (team)' : ''}
+                          {preset.id === defaultPresetId ? ' — default' : ''}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                  <Button
+                    size="small"
+                    onClick={handleMakeDefault}
+                    disabled={(presetId || null) === defaultPresetId}
+                    sx={{ whiteSpace: 'nowrap' }}
+                  >
+                    Make default
+                  </Button>
+                </Box>
+              )}
+
               <Box sx={{ mt: 3, textAlign: 'center' }}>
                 <Button
                   variant="contained"
@@ -278,7 +473,7 @@ const Upload = () => {
                   startIcon={uploading ? <CircularProgress size={20} /> : <CloudUpload />}
                   sx={{ minWidth: 200 }}
                 >
-                  {uploading ? 'Processing...' : 'Analyze Image'}
+                  {uploading ? 'Processing...' : pendingUpload ? 'Retry analysis' : 'Analyze'}
                 </Button>
               </Box>
             </Paper>
@@ -287,7 +482,7 @@ const Upload = () => {
           <Grid item xs={12} md={6}>
             <Paper sx={{ p: 3 }}>
               <Typography variant="h6" gutterBottom>
-                Image Preview
+                Preview
               </Typography>
               
               <Box
@@ -302,7 +497,13 @@ const Upload = () => {
                   bgcolor: 'grey.50',
                 }}
               >
-                {preview ? (
+                {preview && VIDEO_TYPES.includes(selectedFile?.type) ? (
+                  <video
+                    src={preview}
+                    controls
+                    style={{ maxWidth: '100%', maxHeight: '400px', borderRadius: '4px' }}
+                  />
+                ) : preview ? (
                   <img
                     src={preview}
                     alt="Preview"
@@ -317,7 +518,7 @@ const Upload = () => {
                   <Box sx={{ textAlign: 'center', color: 'grey.500' }}>
                     <ImageIcon sx={{ fontSize: 64, mb: 2 }} />
                     <Typography variant="body2">
-                      Image preview will appear here
+                      Preview will appear here
                     </Typography>
                   </Box>
                 )}